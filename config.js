@@ -0,0 +1,18 @@
+/*
+ * Configuração da loja.
+ *
+ * dataSource: de onde vêm produtos, carrinhos, contas e pedidos.
+ *   - 'local': o próprio navegador (localStorage). Não precisa de servidor.
+ *   - 'rest':  uma API REST em 'apiBaseUrl' (JSON via fetch).
+ *
+ * O servidor de testes ('node mock-server.js') entrega a sua própria versão
+ * deste arquivo, já apontando para a API dele.
+ *
+ * ATENÇÃO: no modo 'rest' o login continua sendo conferido no navegador, que
+ * recebe a lista de contas (com o hash das senhas) e pode alterar qualquer uma.
+ * Serve para demonstração (ver o aviso em mock-server.js); não use com dados reais.
+ */
+window.TECHSHOP_CONFIG = {
+    dataSource: 'local',
+    apiBaseUrl: 'http://localhost:3000/api',
+};
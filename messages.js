@@ -0,0 +1,1021 @@
+/*
+ * Textos da loja em cada idioma.
+ *
+ * Cada idioma é um objeto "chave -> texto". Trechos entre chaves (ex: '{name}')
+ * são trocados pelos valores passados a 't' em 'script.js'. Textos que mudam
+ * com a quantidade usam um objeto com as formas do Intl.PluralRules
+ * (ex: { one: '1 avaliação', other: '{count} avaliações' }).
+ *
+ * Para adicionar um idioma, copie o bloco 'pt-BR' com o código do idioma novo,
+ * traduza os textos e inclua uma opção no seletor de idioma do 'index.html'.
+ * Chaves que faltarem em um idioma aparecem em português.
+ */
+window.TECHSHOP_MESSAGES = {
+    'pt-BR': {
+        // Cabeçalho
+        'nav.home': 'Início',
+        'nav.wishlist': 'Favoritos',
+        'nav.orders': 'Meus Pedidos',
+        'nav.admin': 'Admin',
+        'nav.login': 'Login/Cadastro',
+        'nav.logout': 'Sair',
+        'nav.greeting': 'Olá, {name}',
+        'nav.language': 'Idioma',
+
+        // Textos comuns
+        'common.remove': 'Remover',
+        'common.edit': 'Editar',
+        'common.cancel': 'Cancelar',
+        'common.continue': 'Continuar',
+        'common.back': '← Voltar',
+        'common.you': '(você)',
+        'common.removedProduct': 'Produto removido',
+
+        // Notificações
+        'toast.region': 'Notificações',
+        'toast.undo': 'Desfazer',
+        'toast.dismiss': 'Fechar notificação',
+        'toast.undoUnavailable': 'Não é mais possível desfazer esta ação.',
+
+        // Vitrine
+        'home.title': 'Nossos Produtos',
+        'home.subtitle': 'Bem-vindo à DEXTECH. Os melhores eletrônicos estão aqui.',
+        'filters.search': 'Buscar',
+        'filters.searchPlaceholder': 'Nome ou descrição...',
+        'filters.category': 'Categoria',
+        'filters.allCategories': 'Todas',
+        'filters.minPrice': 'Preço mín.',
+        'filters.maxPrice': 'Preço máx.',
+        'filters.sort': 'Ordenar por',
+        'filters.clear': 'Limpar filtros',
+        'sort.default': 'Padrão',
+        'sort.priceAsc': 'Menor preço',
+        'sort.priceDesc': 'Maior preço',
+        'sort.name': 'Nome (A-Z)',
+        'sort.newest': 'Mais recentes',
+        'sort.rating': 'Melhor avaliados',
+        'catalog.empty': 'Nenhum produto cadastrado. Adicione produtos no painel Admin.',
+        'catalog.noMatches': 'Nenhum produto corresponde aos filtros escolhidos.',
+        'pagination.label': 'Páginas do catálogo',
+        'pagination.showing': 'Mostrando {first}–{last} de {total} produtos',
+        'pagination.previous': 'Anterior',
+        'pagination.previousLabel': 'Página anterior',
+        'pagination.next': 'Próxima',
+        'pagination.nextLabel': 'Próxima página',
+        'pagination.page': 'Página {page}',
+        'image.none': 'Sem imagem',
+
+        // Produto
+        'product.viewDetails': 'Ver Detalhes',
+        'product.addToCart': 'Adicionar ao Carrinho',
+        'product.backToCatalog': '← Voltar aos produtos',
+        'stock.soldOut': 'Esgotado',
+        'stock.low': 'Últimas unidades',
+        'promotion.buyXPayY': 'Leve {buy} pague {pay}',
+        'promotion.discountLabel': '{promotion}: {name}',
+
+        // Avaliações
+        'reviews.title': 'Avaliações',
+        'reviews.yourRating': 'Sua nota',
+        'reviews.yourComment': 'Seu comentário',
+        'reviews.moderationNote': 'Sua avaliação foi ocultada pela moderação e não aparece para os outros clientes.',
+        'reviews.publish': 'Publicar avaliação',
+        'reviews.saveChanges': 'Salvar alterações',
+        'reviews.delete': 'Excluir avaliação',
+        'reviews.loginLink': 'Entre na sua conta',
+        'reviews.loginPrompt': 'para avaliar este produto.',
+        'reviews.none': 'Este produto ainda não foi avaliado. Seja o primeiro!',
+        'reviews.noRatings': 'Sem avaliações',
+        'reviews.count': { one: '{count} avaliação', other: '{count} avaliações' },
+        'reviews.starsLabel': 'Nota {rating} de 5',
+        'reviews.edited': '{date} (editada)',
+        'reviews.errorRating': 'Escolha uma nota de 1 a 5 estrelas.',
+        'reviews.errorText': 'Escreva um comentário sobre o produto.',
+        'reviews.errorLength': 'O comentário pode ter no máximo {max} caracteres.',
+        'reviews.loginRequired': 'Entre na sua conta para avaliar produtos.',
+        'reviews.saveFailed': 'Não foi possível salvar sua avaliação.',
+        'reviews.updated': 'Avaliação atualizada!',
+        'reviews.thanks': 'Obrigado pela sua avaliação!',
+        'reviews.confirmDelete': 'Excluir sua avaliação deste produto?',
+        'reviews.deleteFailed': 'Não foi possível excluir sua avaliação.',
+        'reviews.deleted': 'Avaliação excluída.',
+        'reviews.moderateFailed': 'Não foi possível moderar a avaliação.',
+        'reviews.hiddenToast': 'Avaliação ocultada.',
+        'reviews.shownToast': 'Avaliação visível novamente.',
+
+        // Carrinho
+        'cart.title': 'Meu Carrinho',
+        'cart.empty': 'Seu carrinho está vazio.',
+        'cart.each': '{price} cada',
+        'cart.decrease': 'Diminuir quantidade de {name}',
+        'cart.quantity': 'Quantidade de {name}',
+        'cart.increase': 'Aumentar quantidade de {name}',
+        'cart.subtotal': 'Subtotal',
+        'cart.shipping': 'Frete',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Finalizar Compra',
+        'cart.couponLabel': 'Cupom de desconto',
+        'cart.applyCoupon': 'Aplicar',
+        'cart.noticeTitle': 'Seu carrinho foi atualizado:',
+        'cart.noticeDismiss': 'Entendi',
+        'cart.added': '{name} adicionado ao carrinho!',
+        'cart.removed': '{name} removido do carrinho.',
+        'cart.restored': '{name} voltou para o carrinho.',
+        'cart.itemWithOptions': '{name} ({options})',
+        'cart.removeItem': 'Remover {name} do carrinho',
+        'cart.soldOut': '{name} está esgotado.',
+        'cart.stockLimit': 'Só temos {stock} unidade(s) de {name} em estoque.',
+        'cart.updatedToast': 'Seu carrinho foi atualizado. Veja os detalhes no carrinho.',
+        'cart.loadFailed': 'Não foi possível carregar seu carrinho. ({error})',
+        'cart.saveFailed': 'Não foi possível salvar o carrinho.',
+        'cartNotice.unavailable': '{name} não está mais disponível na loja e foi removido.',
+        'cartNotice.soldOut': '{name} esgotou e foi removido.',
+        'cartNotice.priceChanged': 'O preço de {name} mudou de {from} para {to}.',
+        'cartNotice.quantityAdjusted': 'A quantidade de {name} foi ajustada para {stock} (estoque disponível).',
+
+        // Frete (carrinho)
+        'shipping.cepLabel': 'CEP de entrega',
+        'shipping.cepPlaceholder': 'CEP de entrega (ex: 01001-000)',
+        'shipping.calculate': 'Calcular frete',
+        'shipping.pac': 'PAC',
+        'shipping.sedex': 'SEDEX',
+        'shipping.days': { one: 'até {count} dia útil', other: 'até {count} dias úteis' },
+        'shipping.free': 'Grátis',
+        'shipping.pending': 'Informe o CEP',
+        'shipping.rowLabel': 'Frete ({service})',
+        'shipping.destination': 'Entrega para o CEP {cep} ({region}):',
+        'shipping.freeThresholdHint': 'Frete grátis no PAC em compras a partir de {amount}.',
+        'shipping.noRegion': 'Ainda não entregamos no CEP {cep}.',
+        'shipping.cartEmpty': 'Adicione produtos ao carrinho para calcular o frete.',
+        'shipping.required': 'Calcule o frete e escolha a entrega antes de finalizar a compra.',
+        'shipping.recalculated': 'O frete foi recalculado para o CEP {cep}.',
+
+        // Cupons (carrinho)
+        'coupon.applied': 'Cupom {code} aplicado.',
+        'coupon.notApplied': 'Cupom {code} não aplicado: {reason}',
+        'coupon.remove': 'remover',
+        'coupon.cartEmpty': 'Adicione produtos ao carrinho antes de usar um cupom.',
+        'coupon.rejected': 'Cupom {code} recusado: {reason}',
+        'coupon.appliedToast': 'Cupom {code} aplicado!',
+        'coupon.notFound': 'cupom não encontrado.',
+        'coupon.inactive': 'este cupom está desativado.',
+        'coupon.expiredOn': 'este cupom expirou em {date}.',
+        'coupon.minimumNotReached': 'o carrinho precisa ter pelo menos {minimum} (faltam {missing}).',
+        'coupon.percentOff': '{value}% de desconto',
+        'coupon.amountOff': '{amount} de desconto',
+        'coupon.freeShipping': 'Frete grátis',
+        'coupon.discountLabel': 'Cupom {code} ({description})',
+
+        // Favoritos
+        'wishlist.title': 'Meus Favoritos',
+        'wishlist.add': 'Adicionar aos favoritos',
+        'wishlist.remove': 'Remover dos favoritos',
+        'wishlist.empty': 'Você ainda não tem favoritos. Toque no ♡ de um produto para guardá-lo aqui.',
+        'wishlist.priceDropped': 'Baixou de preço! Era {price}',
+        'wishlist.moveToCart': 'Mover para o carrinho',
+        'wishlist.added': '{name} foi para os favoritos!',
+        'wishlist.removed': '{name} saiu dos favoritos.',
+        'wishlist.loadFailed': 'Não foi possível carregar seus favoritos. ({error})',
+        'wishlist.saveFailed': 'Não foi possível salvar seus favoritos.',
+
+        // Checkout
+        'checkout.stepReview': '1. Revisão',
+        'checkout.stepAddress': '2. Endereço',
+        'checkout.stepPayment': '3. Pagamento',
+        'checkout.stepConfirm': '4. Confirmação',
+        'checkout.reviewTitle': 'Revise seu carrinho',
+        'checkout.backToCart': '← Voltar ao carrinho',
+        'checkout.addressTitle': 'Endereço de entrega',
+        'checkout.paymentTitle': 'Forma de pagamento',
+        'checkout.paymentNote': 'Pagamento simulado: nenhuma cobrança real é feita.',
+        'checkout.confirmTitle': 'Confirme seu pedido',
+        'checkout.confirmButton': 'Confirmar Pedido',
+        'checkout.delivery': 'Entrega',
+        'checkout.payment': 'Pagamento',
+        'checkout.cardEnding': '{method} final {last4}',
+        'checkout.cep': 'CEP {cep}',
+        'checkout.chargedInBaseCurrency': 'O pagamento é cobrado em reais: {total}.',
+        'checkout.invalidCep': 'Informe um CEP válido (ex: 01001-000).',
+        'checkout.invalidState': 'Informe a sigla do estado (ex: SP).',
+        'checkout.choosePayment': 'Escolha uma forma de pagamento.',
+        'checkout.invalidCard': 'Preencha os dados do cartão corretamente.',
+        'checkout.invalidExpiry': 'Validade do cartão inválida.',
+        'checkout.outOfStock': 'Não há estoque suficiente de {name}. Ajuste seu carrinho.',
+        'checkout.orderFailed': 'Não foi possível registrar o pedido.',
+        'checkout.orderPlaced': 'Pedido #{id} realizado com sucesso!',
+        'address.recipient': 'Nome do destinatário',
+        'address.cep': 'CEP',
+        'address.street': 'Rua',
+        'address.number': 'Número',
+        'address.complement': 'Complemento (opcional)',
+        'address.district': 'Bairro',
+        'address.city': 'Cidade',
+        'address.state': 'Estado (UF)',
+        'payment.pix': 'Pix',
+        'payment.card': 'Cartão de crédito',
+        'payment.boleto': 'Boleto bancário',
+        'card.number': 'Número do cartão',
+        'card.name': 'Nome impresso no cartão',
+        'card.expiry': 'Validade (MM/AA)',
+        'card.expiryPlaceholder': 'MM/AA',
+
+        // Pedidos
+        'orders.empty': 'Você ainda não fez nenhum pedido.',
+        'orders.number': 'Pedido #{id}',
+        'orders.deliveryTo': '{method} · Entrega em {city}/{state}',
+        'orderStatus.awaitingPayment': 'Aguardando pagamento',
+        'orderStatus.paid': 'Pago',
+
+        // Login e cadastro
+        'auth.loginTitle': 'Login',
+        'auth.registerTitle': 'Cadastro',
+        'auth.name': 'Nome',
+        'auth.email': 'Email',
+        'auth.password': 'Senha',
+        'auth.loginSubmit': 'Entrar',
+        'auth.registerSubmit': 'Cadastrar',
+        'auth.adminOnly': 'Acesso restrito a administradores.',
+        'auth.cryptoUnavailable': 'Seu navegador não permite login seguro nesta página (use HTTPS).',
+        'auth.legacyFailed': 'Não foi possível atualizar a conta antiga.',
+        'auth.invalidCredentials': 'Email ou senha incorretos.',
+        'auth.welcomeBack': 'Bem-vindo de volta, {name}!',
+        'auth.fillAll': 'Por favor, preencha todos os campos.',
+        'auth.passwordTooShort': 'A senha precisa ter pelo menos {min} caracteres.',
+        'auth.emailTaken': 'Já existe uma conta com este email.',
+        'auth.registerFailed': 'Não foi possível concluir o cadastro.',
+        'auth.registeredAdmin': 'Cadastro realizado! Esta é a primeira conta da loja e já é administradora. Faça o login.',
+        'auth.registered': 'Cadastro realizado com sucesso! Faça o login.',
+        'auth.goodbye': 'Até logo, {name}!',
+        'auth.guest': 'visitante',
+
+        // Página não encontrada
+        'notFound.title': 'Página não encontrada',
+        'notFound.address': 'O endereço acessado não existe.',
+        'notFound.product': 'O produto procurado não existe ou foi removido da loja.',
+        'notFound.catalogPage': 'Esta página do catálogo não existe.',
+        'notFound.goHome': 'Ir para a página inicial',
+
+        // Dados, armazenamento e outras abas
+        'data.loading': 'Carregando produtos...',
+        'data.loadFailed': 'Não foi possível carregar os produtos. ({error})',
+        'data.retry': 'Tentar novamente',
+        'data.saving': 'Salvando {count} alteração(ões)...',
+        'data.rolledBack': '{message} A alteração foi desfeita. ({error})',
+        'data.offline': 'Sem conexão com o servidor.',
+        'data.serverError': 'O servidor respondeu com o erro {status}.',
+        'data.invalidResponse': 'Resposta inválida do servidor em {path}.',
+        'storage.full': 'Não há espaço para salvar os dados neste navegador. As últimas alterações podem se perder.',
+        'storage.saveFailed': 'Não foi possível salvar os dados neste navegador.',
+        'storage.recovered': 'Alguns dados salvos neste navegador estavam corrompidos e foram descartados.',
+        'tabSync.updated': 'Atualizado em outra aba: {parts}.',
+        'tabSync.products': 'o catálogo',
+        'tabSync.cart': 'o carrinho',
+        'tabSync.wishlist': 'os favoritos',
+        'tabSync.users': 'as contas',
+        'tabSync.orders': 'os pedidos',
+        'tabSync.reviews': 'as avaliações',
+        'pwa.offline': 'Sem internet',
+        'pwa.wentOffline': 'Você está sem internet. O catálogo e o carrinho continuam funcionando.',
+        'pwa.backOnline': 'A conexão voltou.',
+        'pwa.updateAvailable': 'Uma nova versão da loja está disponível.',
+        'pwa.update': 'Atualizar',
+
+        // Admin: produtos
+        'admin.title': 'Painel de Administração',
+        'productForm.addTitle': 'Adicionar Novo Produto',
+        'productForm.editTitle': 'Editar Produto',
+        'productForm.add': 'Adicionar Produto',
+        'productForm.save': 'Salvar Alterações',
+        'productForm.cancelEdit': 'Cancelar edição',
+        'productForm.name': 'Nome do Produto',
+        'productForm.price': 'Preço em reais (ex: 1200.50)',
+        'productForm.stock': 'Estoque (unidades)',
+        'productForm.categoryPlaceholder': 'ex: Notebooks',
+        'productForm.img': 'URL da Imagem',
+        'productForm.imgPlaceholder': 'https://exemplo.co/...',
+        'productForm.imgPreviewAlt': 'Pré-visualização da imagem',
+        'productForm.imgPreviewEmpty': 'A pré-visualização da imagem aparece aqui.',
+        'productForm.imgPreviewLoading': 'Carregando pré-visualização...',
+        'productForm.imgPreviewInvalid': 'URL inválida: use um endereço que comece com http:// ou https://.',
+        'productForm.imgPreviewFailed': 'Não foi possível carregar a imagem desta URL.',
+        'productForm.description': 'Descrição do item',
+        'productForm.package': 'Embalagem (usada no cálculo do frete)',
+        'productForm.weight': 'Peso (kg)',
+        'productForm.length': 'Comprimento (cm)',
+        'productForm.width': 'Largura (cm)',
+        'productForm.height': 'Altura (cm)',
+        'product.errorName': 'Informe o nome do produto.',
+        'product.errorPrice': 'Informe um preço válido (0 ou mais).',
+        'product.errorStock': 'O estoque deve ser um número inteiro de unidades (0 ou mais).',
+        'product.errorCategory': 'Informe a categoria.',
+        'product.errorImg': 'Informe uma URL de imagem válida (http:// ou https://).',
+        'product.errorDescription': 'Informe a descrição.',
+        'product.errorWeight': 'Informe o peso em kg (maior que 0).',
+        'product.errorDimensions': 'Informe as medidas da embalagem em cm (maiores que 0).',
+        'product.notFound': 'Este produto não existe mais.',
+        'product.updated': 'Produto atualizado com sucesso!',
+        'product.added': 'Produto adicionado com sucesso!',
+        'product.saveFailed': 'Não foi possível salvar o produto.',
+        'product.confirmDelete': 'Remover "{name}" da loja? Ele também sai dos carrinhos e favoritos.',
+        'product.deleteFailed': 'Não foi possível remover o produto.',
+        'product.deleted': '{name} removido da loja.',
+        'product.restored': '{name} voltou para a loja.',
+        'product.restoreFailed': 'Não foi possível restaurar o produto.',
+        'adminProducts.title': 'Produtos Cadastrados',
+        'adminProducts.empty': 'Nenhum produto cadastrado.',
+        'adminProducts.priceAndStock': '{price} · Estoque: {stock}',
+
+        // Variações de produto
+        'variants.title': 'Variações (opcional)',
+        'variants.note': 'Cadastre as opções do produto (ex: Cor com os valores Preto, Branco) e clique em "Gerar combinações". Cada combinação tem SKU, preço, estoque e imagem próprios; a vitrine mostra o menor preço e a soma dos estoques.',
+        'variants.optionName': 'Nome da opção',
+        'variants.optionNamePlaceholder': 'ex: Cor',
+        'variants.optionValues': 'Valores da opção, separados por vírgula',
+        'variants.optionValuesPlaceholder': 'ex: Preto, Branco',
+        'variants.addOption': '+ Adicionar opção',
+        'variants.generate': 'Gerar combinações',
+        'variants.combination': 'Combinação',
+        'variants.sku': 'SKU',
+        'variants.price': 'Preço (R$)',
+        'variants.stock': 'Estoque',
+        'variants.img': 'URL da imagem (opcional)',
+        'variants.count': { one: '{count} variação', other: '{count} variações' },
+        'variants.choose': 'Escolher opções',
+        'variants.chooseFirst': 'Escolha as opções de {name} na página do produto.',
+        'variants.priceFrom': 'A partir de {price}',
+        'variants.skuLabel': 'SKU: {sku}',
+        'variants.unavailable': 'Esta combinação não está disponível.',
+        'variants.errorTooManyOptions': 'Use no máximo {max} opções.',
+        'variants.errorOptionName': 'Informe o nome de cada opção (ex: Cor).',
+        'variants.errorOptionDuplicate': 'A opção "{name}" aparece mais de uma vez.',
+        'variants.errorOptionValues': 'Informe os valores da opção "{name}", sem repetir.',
+        'variants.errorOutdated': 'As opções mudaram: clique em "Gerar combinações" para atualizar a tabela.',
+        'variants.errorSku': 'Combinação {row}: informe o SKU.',
+        'variants.errorSkuDuplicate': 'O SKU {sku} já está em uso.',
+        'variants.errorPrice': 'Combinação {row}: informe um preço válido (0 ou mais).',
+        'variants.errorStock': 'Combinação {row}: o estoque deve ser um número inteiro de unidades (0 ou mais).',
+        'variants.errorImg': 'Combinação {row}: a URL da imagem deve começar com http:// ou https://.',
+
+        // Admin: importação e exportação
+        'catalogIO.title': 'Importar / Exportar Catálogo',
+        'catalogIO.exportJson': 'Exportar JSON',
+        'catalogIO.exportCsv': 'Exportar CSV',
+        'catalogIO.file': 'Arquivo do catálogo (.json ou .csv)',
+        'catalogIO.mode': 'Como importar',
+        'catalogIO.merge': 'Mesclar pelo ID (atualiza os existentes e adiciona os novos)',
+        'catalogIO.replace': 'Substituir o catálogo inteiro',
+        'catalogIO.import': 'Importar',
+        'catalogIO.validCount': ': {count} produto(s) válido(s)',
+        'catalogIO.invalidCount': ', {count} com erro (serão ignorados)',
+        'catalogIO.replaceWarning': '. Os {count} produto(s) atuais serão substituídos.',
+        'catalogIO.unnamed': '(sem nome)',
+        'catalogIO.updatesExisting': 'Atualiza o produto existente',
+        'catalogIO.newProduct': 'Produto novo',
+        'catalogIO.item': 'Item {position}: {name}',
+        'catalogIO.csvEmpty': 'O arquivo CSV está vazio.',
+        'catalogIO.csvHeader': 'O CSV precisa de um cabeçalho com as colunas: {columns}.',
+        'catalogIO.jsonInvalid': 'O arquivo não é um JSON válido.',
+        'catalogIO.jsonNotList': 'O JSON deve conter uma lista de produtos.',
+        'catalogIO.notAProduct': 'Este item não é um produto.',
+        'catalogIO.variantsInvalid': 'As variações (options e variants) não são listas em JSON válidas.',
+        'catalogIO.duplicateId': 'O ID {id} aparece mais de uma vez no arquivo.',
+        'catalogIO.exported': 'Catálogo exportado ({count} produtos).',
+        'catalogIO.noProducts': 'O arquivo não tem nenhum produto.',
+        'catalogIO.readFailed': 'Não foi possível ler o arquivo.',
+        'catalogIO.chooseFile': 'Escolha um arquivo para importar.',
+        'catalogIO.noValidRows': 'Nenhuma linha válida para importar.',
+        'catalogIO.confirmReplace': 'Substituir os {current} produto(s) atuais pelos {count} do arquivo?',
+        'catalogIO.importFailed': 'Não foi possível importar o catálogo.',
+        'catalogIO.done': 'Importação concluída: {added} novo(s), {updated} atualizado(s){skipped}.',
+        'catalogIO.skipped': ', {count} ignorado(s)',
+
+        // Admin: cupons
+        'coupons.title': 'Cupons de Desconto',
+        'coupons.code': 'Código',
+        'coupons.codePlaceholder': 'ex: BEMVINDO10',
+        'coupons.type': 'Tipo',
+        'coupons.typePercent': 'Porcentagem (%)',
+        'coupons.typeFixed': 'Valor fixo (R$)',
+        'coupons.typeFreeShipping': 'Frete grátis',
+        'coupons.value': 'Valor do desconto',
+        'coupons.valuePlaceholder': 'ex: 10',
+        'coupons.min': 'Valor mínimo do carrinho em reais (opcional)',
+        'coupons.expiry': 'Válido até (opcional)',
+        'coupons.create': 'Criar Cupom',
+        'coupons.empty': 'Nenhum cupom criado.',
+        'coupons.statusDisabled': 'Desativado',
+        'coupons.statusExpired': 'Expirado',
+        'coupons.statusActive': 'Ativo',
+        'coupons.minimum': 'mínimo de {price}',
+        'coupons.validUntil': 'válido até {date}',
+        'coupons.activate': 'Ativar',
+        'coupons.deactivate': 'Desativar',
+        'coupons.invalidCode': 'O código deve ter de 3 a 20 letras, números, "-" ou "_".',
+        'coupons.duplicate': 'Já existe um cupom {code}.',
+        'coupons.valueRequired': 'Informe o valor do desconto.',
+        'coupons.percentTooHigh': 'O desconto em porcentagem deve ser de no máximo 100%.',
+        'coupons.minNegative': 'O valor mínimo do carrinho não pode ser negativo.',
+        'coupons.created': 'Cupom {code} criado!',
+        'coupons.activated': 'Cupom {code} ativado.',
+        'coupons.deactivated': 'Cupom {code} desativado.',
+        'coupons.confirmDelete': 'Remover o cupom {code}?',
+        'coupons.deleted': 'Cupom {code} removido.',
+
+        // Admin: promoções
+        'promotions.title': 'Promoções Automáticas',
+        'promotions.product': 'Produto',
+        'promotions.buy': 'Leve',
+        'promotions.pay': 'Pague',
+        'promotions.create': 'Criar Promoção',
+        'promotions.empty': 'Nenhuma promoção criada.',
+        'promotions.chooseProduct': 'Escolha um produto.',
+        'promotions.invalid': 'Em "leve X pague Y", X deve ser maior que Y (ex: leve 3 pague 2).',
+        'promotions.duplicate': 'Este produto já tem uma promoção. Remova-a antes de criar outra.',
+        'promotions.created': 'Promoção criada!',
+        'promotions.deleted': 'Promoção removida.',
+
+        // Admin: tabela de frete
+        'shippingTable.title': 'Tabela de Frete',
+        'shippingTable.note': 'Cada faixa de CEP tem o preço do primeiro kg, o valor de cada kg adicional e o prazo do PAC e do SEDEX. O peso cobrado de cada produto é o maior entre o peso real e o peso cúbico (comprimento x largura x altura / 6000).',
+        'shippingTable.freeThreshold': 'Frete grátis no PAC a partir de (em reais, 0 = desativado)',
+        'shippingTable.region': 'Região',
+        'shippingTable.cepStart': 'CEP inicial',
+        'shippingTable.cepEnd': 'CEP final',
+        'shippingTable.price': 'Até 1 kg',
+        'shippingTable.perKg': 'Kg adicional',
+        'shippingTable.days': 'Prazo (dias úteis)',
+        'shippingTable.addRegion': 'Adicionar faixa',
+        'shippingTable.save': 'Salvar Tabela',
+        'shippingTable.saved': 'Tabela de frete salva!',
+        'shippingTable.errorThreshold': 'O valor do frete grátis deve ser um número (0 ou mais).',
+        'shippingTable.errorEmpty': 'Cadastre pelo menos uma faixa de CEP.',
+        'shippingTable.errorName': 'Linha {row}: informe o nome da região.',
+        'shippingTable.errorCep': 'Linha {row}: os CEPs devem ter 8 dígitos, e o inicial não pode ser maior que o final.',
+        'shippingTable.errorPrice': 'Linha {row}: os preços do {service} devem ser números (0 ou mais).',
+        'shippingTable.errorDays': 'Linha {row}: o prazo do {service} deve ser um número inteiro de dias (1 ou mais).',
+        'shippingTable.errorOverlap': 'As faixas "{first}" e "{second}" têm CEPs em comum.',
+
+        // Admin: moeda de exibição
+        'currency.title': 'Moeda de Exibição',
+        'currency.note': 'Os preços são cadastrados e cobrados em reais. Para atender clientes de fora, a loja pode mostrá-los convertidos para outra moeda.',
+        'currency.code': 'Moeda (código ISO, ex: USD)',
+        'currency.rate': 'Quanto vale 1 real nesta moeda',
+        'currency.save': 'Salvar Moeda',
+        'currency.example': 'Exemplo: {base} aparecem como {converted}.',
+        'currency.invalidCode': 'Informe um código de moeda com 3 letras (ex: USD, EUR).',
+        'currency.invalidRate': 'A taxa de conversão deve ser um número maior que zero.',
+        'currency.saved': 'Os preços agora aparecem em {code}.',
+
+        // Admin: estatísticas
+        'analytics.title': 'Estatísticas',
+        'analytics.note': 'Produtos abertos e itens colocados ou tirados do carrinho ficam registrados neste navegador. A conversão é o número de adições ao carrinho dividido pelo de visualizações do produto.',
+        'analytics.from': 'De',
+        'analytics.to': 'Até',
+        'analytics.export': 'Exportar CSV',
+        'analytics.exported': { one: '{count} evento exportado.', other: '{count} eventos exportados.' },
+        'analytics.exportEmpty': 'Não há eventos no período para exportar.',
+        'analytics.errorRange': 'A data inicial deve ser anterior à data final.',
+        'analytics.empty': 'Nenhum evento registrado no período.',
+        'analytics.summary': 'Visualizações: {views} · Adições ao carrinho: {adds} · Remoções do carrinho: {removals}',
+        'analytics.chartTitle': 'Atividade por dia',
+        'analytics.chartDay': '{date} · Visualizações: {views} · Adições: {adds} · Remoções: {removals}',
+        'analytics.eventViews': 'Visualizações',
+        'analytics.eventAdds': 'Adições ao carrinho',
+        'analytics.eventRemovals': 'Remoções do carrinho',
+        'analytics.mostViewed': 'Mais visualizados',
+        'analytics.conversion': 'Conversão (visualização → carrinho)',
+        'analytics.abandoned': 'Mais abandonados no carrinho',
+        'analytics.product': 'Produto',
+        'analytics.views': 'Visualizações',
+        'analytics.adds': 'Adições',
+        'analytics.rate': 'Conversão',
+        'analytics.removals': 'Remoções',
+        'analytics.units': 'Unidades',
+        'analytics.noData': 'Nada registrado no período.',
+        'analytics.maxEvents': 'Guardar no máximo (eventos; os mais antigos são apagados)',
+        'analytics.saveSettings': 'Salvar Limite',
+        'analytics.stored': { one: '{count} evento guardado (limite: {max}).', other: '{count} eventos guardados (limite: {max}).' },
+        'analytics.errorMaxEvents': 'O limite deve ser um número inteiro entre {min} e {max}.',
+        'analytics.settingsSaved': 'Limite salvo: até {max} eventos.',
+
+        // Admin: avaliações e usuários
+        'adminReviews.note': 'Avaliações ocultadas não aparecem na loja nem contam na nota dos produtos.',
+        'adminReviews.empty': 'Nenhuma avaliação recebida.',
+        'adminReviews.hiddenBadge': 'Oculta',
+        'adminReviews.show': 'Mostrar',
+        'adminReviews.hide': 'Ocultar',
+        'users.title': 'Usuários',
+        'users.admin': 'Administrador',
+        'users.customer': 'Cliente',
+        'users.makeAdmin': 'Tornar admin',
+        'users.removeAdmin': 'Remover admin',
+        'users.roleFailed': 'Não foi possível alterar o papel da conta.',
+        'users.lastAdmin': 'A loja precisa de pelo menos um administrador.',
+        'users.nowAdmin': '{name} agora é administrador.',
+        'users.nowCustomer': '{name} agora é cliente.',
+    },
+
+    'en-US': {
+        // Header
+        'nav.home': 'Home',
+        'nav.wishlist': 'Favorites',
+        'nav.orders': 'My Orders',
+        'nav.admin': 'Admin',
+        'nav.login': 'Sign in/Sign up',
+        'nav.logout': 'Sign out',
+        'nav.greeting': 'Hi, {name}',
+        'nav.language': 'Language',
+
+        // Common texts
+        'common.remove': 'Remove',
+        'common.edit': 'Edit',
+        'common.cancel': 'Cancel',
+        'common.continue': 'Continue',
+        'common.back': '← Back',
+        'common.you': '(you)',
+        'common.removedProduct': 'Removed product',
+
+        // Notifications
+        'toast.region': 'Notifications',
+        'toast.undo': 'Undo',
+        'toast.dismiss': 'Dismiss notification',
+        'toast.undoUnavailable': 'This action can no longer be undone.',
+
+        // Storefront
+        'home.title': 'Our Products',
+        'home.subtitle': 'Welcome to DEXTECH. The best electronics are right here.',
+        'filters.search': 'Search',
+        'filters.searchPlaceholder': 'Name or description...',
+        'filters.category': 'Category',
+        'filters.allCategories': 'All',
+        'filters.minPrice': 'Min. price',
+        'filters.maxPrice': 'Max. price',
+        'filters.sort': 'Sort by',
+        'filters.clear': 'Clear filters',
+        'sort.default': 'Default',
+        'sort.priceAsc': 'Lowest price',
+        'sort.priceDesc': 'Highest price',
+        'sort.name': 'Name (A-Z)',
+        'sort.newest': 'Newest',
+        'sort.rating': 'Best rated',
+        'catalog.empty': 'No products yet. Add products in the Admin panel.',
+        'catalog.noMatches': 'No products match the selected filters.',
+        'pagination.label': 'Catalog pages',
+        'pagination.showing': 'Showing {first}–{last} of {total} products',
+        'pagination.previous': 'Previous',
+        'pagination.previousLabel': 'Previous page',
+        'pagination.next': 'Next',
+        'pagination.nextLabel': 'Next page',
+        'pagination.page': 'Page {page}',
+        'image.none': 'No image',
+
+        // Product
+        'product.viewDetails': 'View Details',
+        'product.addToCart': 'Add to Cart',
+        'product.backToCatalog': '← Back to products',
+        'stock.soldOut': 'Sold out',
+        'stock.low': 'Only a few left',
+        'promotion.buyXPayY': 'Buy {buy}, pay {pay}',
+        'promotion.discountLabel': '{promotion}: {name}',
+
+        // Reviews
+        'reviews.title': 'Reviews',
+        'reviews.yourRating': 'Your rating',
+        'reviews.yourComment': 'Your comment',
+        'reviews.moderationNote': 'Your review was hidden by moderation and is not shown to other customers.',
+        'reviews.publish': 'Post review',
+        'reviews.saveChanges': 'Save changes',
+        'reviews.delete': 'Delete review',
+        'reviews.loginLink': 'Sign in',
+        'reviews.loginPrompt': 'to review this product.',
+        'reviews.none': 'This product has no reviews yet. Be the first!',
+        'reviews.noRatings': 'No reviews',
+        'reviews.count': { one: '{count} review', other: '{count} reviews' },
+        'reviews.starsLabel': 'Rated {rating} out of 5',
+        'reviews.edited': '{date} (edited)',
+        'reviews.errorRating': 'Choose a rating from 1 to 5 stars.',
+        'reviews.errorText': 'Write a comment about the product.',
+        'reviews.errorLength': 'The comment can have at most {max} characters.',
+        'reviews.loginRequired': 'Sign in to review products.',
+        'reviews.saveFailed': 'Could not save your review.',
+        'reviews.updated': 'Review updated!',
+        'reviews.thanks': 'Thank you for your review!',
+        'reviews.confirmDelete': 'Delete your review of this product?',
+        'reviews.deleteFailed': 'Could not delete your review.',
+        'reviews.deleted': 'Review deleted.',
+        'reviews.moderateFailed': 'Could not moderate the review.',
+        'reviews.hiddenToast': 'Review hidden.',
+        'reviews.shownToast': 'Review visible again.',
+
+        // Cart
+        'cart.title': 'My Cart',
+        'cart.empty': 'Your cart is empty.',
+        'cart.each': '{price} each',
+        'cart.decrease': 'Decrease quantity of {name}',
+        'cart.quantity': 'Quantity of {name}',
+        'cart.increase': 'Increase quantity of {name}',
+        'cart.subtotal': 'Subtotal',
+        'cart.shipping': 'Shipping',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Checkout',
+        'cart.couponLabel': 'Discount code',
+        'cart.applyCoupon': 'Apply',
+        'cart.noticeTitle': 'Your cart was updated:',
+        'cart.noticeDismiss': 'Got it',
+        'cart.added': '{name} added to the cart!',
+        'cart.removed': '{name} removed from the cart.',
+        'cart.restored': '{name} is back in the cart.',
+        'cart.itemWithOptions': '{name} ({options})',
+        'cart.removeItem': 'Remove {name} from the cart',
+        'cart.soldOut': '{name} is sold out.',
+        'cart.stockLimit': 'We only have {stock} unit(s) of {name} in stock.',
+        'cart.updatedToast': 'Your cart was updated. See the details in the cart.',
+        'cart.loadFailed': 'Could not load your cart. ({error})',
+        'cart.saveFailed': 'Could not save the cart.',
+        'cartNotice.unavailable': '{name} is no longer available in the store and was removed.',
+        'cartNotice.soldOut': '{name} sold out and was removed.',
+        'cartNotice.priceChanged': 'The price of {name} changed from {from} to {to}.',
+        'cartNotice.quantityAdjusted': 'The quantity of {name} was adjusted to {stock} (available stock).',
+
+        // Shipping (cart)
+        'shipping.cepLabel': 'Delivery ZIP code (CEP)',
+        'shipping.cepPlaceholder': 'Delivery CEP (e.g. 01001-000)',
+        'shipping.calculate': 'Calculate shipping',
+        'shipping.pac': 'PAC',
+        'shipping.sedex': 'SEDEX',
+        'shipping.days': { one: 'up to {count} business day', other: 'up to {count} business days' },
+        'shipping.free': 'Free',
+        'shipping.pending': 'Enter your CEP',
+        'shipping.rowLabel': 'Shipping ({service})',
+        'shipping.destination': 'Delivery to CEP {cep} ({region}):',
+        'shipping.freeThresholdHint': 'Free PAC shipping on orders from {amount}.',
+        'shipping.noRegion': 'We do not deliver to CEP {cep} yet.',
+        'shipping.cartEmpty': 'Add products to the cart to calculate shipping.',
+        'shipping.required': 'Calculate shipping and choose a delivery option before checking out.',
+        'shipping.recalculated': 'Shipping was recalculated for CEP {cep}.',
+
+        // Coupons (cart)
+        'coupon.applied': 'Coupon {code} applied.',
+        'coupon.notApplied': 'Coupon {code} not applied: {reason}',
+        'coupon.remove': 'remove',
+        'coupon.cartEmpty': 'Add products to the cart before using a coupon.',
+        'coupon.rejected': 'Coupon {code} rejected: {reason}',
+        'coupon.appliedToast': 'Coupon {code} applied!',
+        'coupon.notFound': 'coupon not found.',
+        'coupon.inactive': 'this coupon is disabled.',
+        'coupon.expiredOn': 'this coupon expired on {date}.',
+        'coupon.minimumNotReached': 'the cart needs at least {minimum} ({missing} to go).',
+        'coupon.percentOff': '{value}% off',
+        'coupon.amountOff': '{amount} off',
+        'coupon.freeShipping': 'Free shipping',
+        'coupon.discountLabel': 'Coupon {code} ({description})',
+
+        // Favorites
+        'wishlist.title': 'My Favorites',
+        'wishlist.add': 'Add to favorites',
+        'wishlist.remove': 'Remove from favorites',
+        'wishlist.empty': 'You have no favorites yet. Tap the ♡ on a product to save it here.',
+        'wishlist.priceDropped': 'Price dropped! It was {price}',
+        'wishlist.moveToCart': 'Move to cart',
+        'wishlist.added': '{name} added to your favorites!',
+        'wishlist.removed': '{name} removed from your favorites.',
+        'wishlist.loadFailed': 'Could not load your favorites. ({error})',
+        'wishlist.saveFailed': 'Could not save your favorites.',
+
+        // Checkout
+        'checkout.stepReview': '1. Review',
+        'checkout.stepAddress': '2. Address',
+        'checkout.stepPayment': '3. Payment',
+        'checkout.stepConfirm': '4. Confirmation',
+        'checkout.reviewTitle': 'Review your cart',
+        'checkout.backToCart': '← Back to cart',
+        'checkout.addressTitle': 'Delivery address',
+        'checkout.paymentTitle': 'Payment method',
+        'checkout.paymentNote': 'Simulated payment: no real charge is made.',
+        'checkout.confirmTitle': 'Confirm your order',
+        'checkout.confirmButton': 'Place Order',
+        'checkout.delivery': 'Delivery',
+        'checkout.payment': 'Payment',
+        'checkout.cardEnding': '{method} ending in {last4}',
+        'checkout.cep': 'ZIP code (CEP) {cep}',
+        'checkout.chargedInBaseCurrency': 'You will be charged in Brazilian reais: {total}.',
+        'checkout.invalidCep': 'Enter a valid CEP (e.g. 01001-000).',
+        'checkout.invalidState': 'Enter the state abbreviation (e.g. SP).',
+        'checkout.choosePayment': 'Choose a payment method.',
+        'checkout.invalidCard': 'Fill in the card details correctly.',
+        'checkout.invalidExpiry': 'Invalid card expiry date.',
+        'checkout.outOfStock': 'Not enough stock of {name}. Please adjust your cart.',
+        'checkout.orderFailed': 'Could not place the order.',
+        'checkout.orderPlaced': 'Order #{id} placed successfully!',
+        'address.recipient': 'Recipient name',
+        'address.cep': 'ZIP code (CEP)',
+        'address.street': 'Street',
+        'address.number': 'Number',
+        'address.complement': 'Address line 2 (optional)',
+        'address.district': 'District',
+        'address.city': 'City',
+        'address.state': 'State (UF)',
+        'payment.pix': 'Pix',
+        'payment.card': 'Credit card',
+        'payment.boleto': 'Bank slip (boleto)',
+        'card.number': 'Card number',
+        'card.name': 'Name on card',
+        'card.expiry': 'Expiry (MM/YY)',
+        'card.expiryPlaceholder': 'MM/YY',
+
+        // Orders
+        'orders.empty': 'You have not placed any orders yet.',
+        'orders.number': 'Order #{id}',
+        'orders.deliveryTo': '{method} · Delivery to {city}/{state}',
+        'orderStatus.awaitingPayment': 'Awaiting payment',
+        'orderStatus.paid': 'Paid',
+
+        // Sign in and sign up
+        'auth.loginTitle': 'Sign in',
+        'auth.registerTitle': 'Sign up',
+        'auth.name': 'Name',
+        'auth.email': 'Email',
+        'auth.password': 'Password',
+        'auth.loginSubmit': 'Sign in',
+        'auth.registerSubmit': 'Create account',
+        'auth.adminOnly': 'Access restricted to administrators.',
+        'auth.cryptoUnavailable': 'Your browser does not allow secure sign-in on this page (use HTTPS).',
+        'auth.legacyFailed': 'Could not update the old account.',
+        'auth.invalidCredentials': 'Incorrect email or password.',
+        'auth.welcomeBack': 'Welcome back, {name}!',
+        'auth.fillAll': 'Please fill in all fields.',
+        'auth.passwordTooShort': 'The password must have at least {min} characters.',
+        'auth.emailTaken': 'An account with this email already exists.',
+        'auth.registerFailed': 'Could not complete the sign-up.',
+        'auth.registeredAdmin': 'Account created! This is the store\'s first account, so it is an administrator. Please sign in.',
+        'auth.registered': 'Account created successfully! Please sign in.',
+        'auth.goodbye': 'See you soon, {name}!',
+        'auth.guest': 'guest',
+
+        // Page not found
+        'notFound.title': 'Page not found',
+        'notFound.address': 'The address you opened does not exist.',
+        'notFound.product': 'The product you are looking for does not exist or was removed from the store.',
+        'notFound.catalogPage': 'This catalog page does not exist.',
+        'notFound.goHome': 'Go to the home page',
+
+        // Data, storage and other tabs
+        'data.loading': 'Loading products...',
+        'data.loadFailed': 'Could not load the products. ({error})',
+        'data.retry': 'Try again',
+        'data.saving': 'Saving {count} change(s)...',
+        'data.rolledBack': '{message} The change was undone. ({error})',
+        'data.offline': 'No connection to the server.',
+        'data.serverError': 'The server responded with error {status}.',
+        'data.invalidResponse': 'Invalid server response at {path}.',
+        'storage.full': 'There is no space left to save data in this browser. The latest changes may be lost.',
+        'storage.saveFailed': 'Could not save data in this browser.',
+        'storage.recovered': 'Some data saved in this browser was corrupted and has been discarded.',
+        'tabSync.updated': 'Updated in another tab: {parts}.',
+        'tabSync.products': 'the catalog',
+        'tabSync.cart': 'the cart',
+        'tabSync.wishlist': 'the favorites',
+        'tabSync.users': 'the accounts',
+        'tabSync.orders': 'the orders',
+        'tabSync.reviews': 'the reviews',
+        'pwa.offline': 'Offline',
+        'pwa.wentOffline': 'You are offline. The catalog and the cart keep working.',
+        'pwa.backOnline': 'You are back online.',
+        'pwa.updateAvailable': 'A new version of the store is available.',
+        'pwa.update': 'Update',
+
+        // Admin: products
+        'admin.title': 'Administration Panel',
+        'productForm.addTitle': 'Add New Product',
+        'productForm.editTitle': 'Edit Product',
+        'productForm.add': 'Add Product',
+        'productForm.save': 'Save Changes',
+        'productForm.cancelEdit': 'Cancel editing',
+        'productForm.name': 'Product Name',
+        'productForm.price': 'Price in Brazilian reais (e.g. 1200.50)',
+        'productForm.stock': 'Stock (units)',
+        'productForm.categoryPlaceholder': 'e.g. Notebooks',
+        'productForm.img': 'Image URL',
+        'productForm.imgPlaceholder': 'https://example.com/...',
+        'productForm.imgPreviewAlt': 'Image preview',
+        'productForm.imgPreviewEmpty': 'The image preview appears here.',
+        'productForm.imgPreviewLoading': 'Loading preview...',
+        'productForm.imgPreviewInvalid': 'Invalid URL: use an address starting with http:// or https://.',
+        'productForm.imgPreviewFailed': 'Could not load the image at this URL.',
+        'productForm.description': 'Item description',
+        'productForm.package': 'Package (used to calculate shipping)',
+        'productForm.weight': 'Weight (kg)',
+        'productForm.length': 'Length (cm)',
+        'productForm.width': 'Width (cm)',
+        'productForm.height': 'Height (cm)',
+        'product.errorName': 'Enter the product name.',
+        'product.errorPrice': 'Enter a valid price (0 or more).',
+        'product.errorStock': 'Stock must be a whole number of units (0 or more).',
+        'product.errorCategory': 'Enter the category.',
+        'product.errorImg': 'Enter a valid image URL (http:// or https://).',
+        'product.errorDescription': 'Enter the description.',
+        'product.errorWeight': 'Enter the weight in kg (greater than 0).',
+        'product.errorDimensions': 'Enter the package dimensions in cm (greater than 0).',
+        'product.notFound': 'This product no longer exists.',
+        'product.updated': 'Product updated successfully!',
+        'product.added': 'Product added successfully!',
+        'product.saveFailed': 'Could not save the product.',
+        'product.confirmDelete': 'Remove "{name}" from the store? It is also removed from carts and favorites.',
+        'product.deleteFailed': 'Could not remove the product.',
+        'product.deleted': '{name} removed from the store.',
+        'product.restored': '{name} is back in the store.',
+        'product.restoreFailed': 'Could not restore the product.',
+        'adminProducts.title': 'Registered Products',
+        'adminProducts.empty': 'No products yet.',
+        'adminProducts.priceAndStock': '{price} · Stock: {stock}',
+
+        // Product variants
+        'variants.title': 'Variants (optional)',
+        'variants.note': 'Add the product options (e.g. Color with the values Black, White) and click "Generate combinations". Each combination has its own SKU, price, stock and image; the storefront shows the lowest price and the total stock.',
+        'variants.optionName': 'Option name',
+        'variants.optionNamePlaceholder': 'e.g. Color',
+        'variants.optionValues': 'Option values, separated by commas',
+        'variants.optionValuesPlaceholder': 'e.g. Black, White',
+        'variants.addOption': '+ Add option',
+        'variants.generate': 'Generate combinations',
+        'variants.combination': 'Combination',
+        'variants.sku': 'SKU',
+        'variants.price': 'Price (R$)',
+        'variants.stock': 'Stock',
+        'variants.img': 'Image URL (optional)',
+        'variants.count': { one: '{count} variant', other: '{count} variants' },
+        'variants.choose': 'Choose options',
+        'variants.chooseFirst': 'Choose the options for {name} on the product page.',
+        'variants.priceFrom': 'From {price}',
+        'variants.skuLabel': 'SKU: {sku}',
+        'variants.unavailable': 'This combination is not available.',
+        'variants.errorTooManyOptions': 'Use at most {max} options.',
+        'variants.errorOptionName': 'Enter a name for each option (e.g. Color).',
+        'variants.errorOptionDuplicate': 'The option "{name}" appears more than once.',
+        'variants.errorOptionValues': 'Enter the values of the option "{name}", without repeating.',
+        'variants.errorOutdated': 'The options changed: click "Generate combinations" to update the table.',
+        'variants.errorSku': 'Combination {row}: enter the SKU.',
+        'variants.errorSkuDuplicate': 'The SKU {sku} is already in use.',
+        'variants.errorPrice': 'Combination {row}: enter a valid price (0 or more).',
+        'variants.errorStock': 'Combination {row}: stock must be a whole number of units (0 or more).',
+        'variants.errorImg': 'Combination {row}: the image URL must start with http:// or https://.',
+
+        // Admin: import and export
+        'catalogIO.title': 'Import / Export Catalog',
+        'catalogIO.exportJson': 'Export JSON',
+        'catalogIO.exportCsv': 'Export CSV',
+        'catalogIO.file': 'Catalog file (.json or .csv)',
+        'catalogIO.mode': 'How to import',
+        'catalogIO.merge': 'Merge by ID (updates existing products and adds new ones)',
+        'catalogIO.replace': 'Replace the whole catalog',
+        'catalogIO.import': 'Import',
+        'catalogIO.validCount': ': {count} valid product(s)',
+        'catalogIO.invalidCount': ', {count} with errors (will be skipped)',
+        'catalogIO.replaceWarning': '. The {count} current product(s) will be replaced.',
+        'catalogIO.unnamed': '(no name)',
+        'catalogIO.updatesExisting': 'Updates the existing product',
+        'catalogIO.newProduct': 'New product',
+        'catalogIO.item': 'Item {position}: {name}',
+        'catalogIO.csvEmpty': 'The CSV file is empty.',
+        'catalogIO.csvHeader': 'The CSV needs a header with the columns: {columns}.',
+        'catalogIO.jsonInvalid': 'The file is not valid JSON.',
+        'catalogIO.jsonNotList': 'The JSON must contain a list of products.',
+        'catalogIO.notAProduct': 'This item is not a product.',
+        'catalogIO.variantsInvalid': 'The variants (options and variants) are not valid JSON lists.',
+        'catalogIO.duplicateId': 'The ID {id} appears more than once in the file.',
+        'catalogIO.exported': 'Catalog exported ({count} products).',
+        'catalogIO.noProducts': 'The file has no products.',
+        'catalogIO.readFailed': 'Could not read the file.',
+        'catalogIO.chooseFile': 'Choose a file to import.',
+        'catalogIO.noValidRows': 'No valid rows to import.',
+        'catalogIO.confirmReplace': 'Replace the {current} current product(s) with the {count} from the file?',
+        'catalogIO.importFailed': 'Could not import the catalog.',
+        'catalogIO.done': 'Import finished: {added} new, {updated} updated{skipped}.',
+        'catalogIO.skipped': ', {count} skipped',
+
+        // Admin: coupons
+        'coupons.title': 'Discount Coupons',
+        'coupons.code': 'Code',
+        'coupons.codePlaceholder': 'e.g. WELCOME10',
+        'coupons.type': 'Type',
+        'coupons.typePercent': 'Percentage (%)',
+        'coupons.typeFixed': 'Fixed amount (R$)',
+        'coupons.typeFreeShipping': 'Free shipping',
+        'coupons.value': 'Discount value',
+        'coupons.valuePlaceholder': 'e.g. 10',
+        'coupons.min': 'Minimum cart value in Brazilian reais (optional)',
+        'coupons.expiry': 'Valid until (optional)',
+        'coupons.create': 'Create Coupon',
+        'coupons.empty': 'No coupons yet.',
+        'coupons.statusDisabled': 'Disabled',
+        'coupons.statusExpired': 'Expired',
+        'coupons.statusActive': 'Active',
+        'coupons.minimum': 'minimum of {price}',
+        'coupons.validUntil': 'valid until {date}',
+        'coupons.activate': 'Enable',
+        'coupons.deactivate': 'Disable',
+        'coupons.invalidCode': 'The code must have 3 to 20 letters, digits, "-" or "_".',
+        'coupons.duplicate': 'A coupon {code} already exists.',
+        'coupons.valueRequired': 'Enter the discount value.',
+        'coupons.percentTooHigh': 'A percentage discount can be at most 100%.',
+        'coupons.minNegative': 'The minimum cart value cannot be negative.',
+        'coupons.created': 'Coupon {code} created!',
+        'coupons.activated': 'Coupon {code} enabled.',
+        'coupons.deactivated': 'Coupon {code} disabled.',
+        'coupons.confirmDelete': 'Remove the coupon {code}?',
+        'coupons.deleted': 'Coupon {code} removed.',
+
+        // Admin: promotions
+        'promotions.title': 'Automatic Promotions',
+        'promotions.product': 'Product',
+        'promotions.buy': 'Buy',
+        'promotions.pay': 'Pay',
+        'promotions.create': 'Create Promotion',
+        'promotions.empty': 'No promotions yet.',
+        'promotions.chooseProduct': 'Choose a product.',
+        'promotions.invalid': 'In "buy X, pay Y", X must be greater than Y (e.g. buy 3, pay 2).',
+        'promotions.duplicate': 'This product already has a promotion. Remove it before creating another.',
+        'promotions.created': 'Promotion created!',
+        'promotions.deleted': 'Promotion removed.',
+
+        // Admin: shipping table
+        'shippingTable.title': 'Shipping Table',
+        'shippingTable.note': 'Each CEP range has the price of the first kg, the price of each additional kg and the delivery time for PAC and SEDEX. Each product is charged by the greater of its actual weight and its volumetric weight (length x width x height / 6000).',
+        'shippingTable.freeThreshold': 'Free PAC shipping from (in Brazilian reais, 0 = disabled)',
+        'shippingTable.region': 'Region',
+        'shippingTable.cepStart': 'First CEP',
+        'shippingTable.cepEnd': 'Last CEP',
+        'shippingTable.price': 'Up to 1 kg',
+        'shippingTable.perKg': 'Additional kg',
+        'shippingTable.days': 'Delivery (business days)',
+        'shippingTable.addRegion': 'Add range',
+        'shippingTable.save': 'Save Table',
+        'shippingTable.saved': 'Shipping table saved!',
+        'shippingTable.errorThreshold': 'The free shipping amount must be a number (0 or more).',
+        'shippingTable.errorEmpty': 'Add at least one CEP range.',
+        'shippingTable.errorName': 'Row {row}: enter the region name.',
+        'shippingTable.errorCep': 'Row {row}: CEPs must have 8 digits, and the first cannot be greater than the last.',
+        'shippingTable.errorPrice': 'Row {row}: the {service} prices must be numbers (0 or more).',
+        'shippingTable.errorDays': 'Row {row}: the {service} delivery time must be a whole number of days (1 or more).',
+        'shippingTable.errorOverlap': 'The ranges "{first}" and "{second}" share CEPs.',
+
+        // Admin: display currency
+        'currency.title': 'Display Currency',
+        'currency.note': 'Prices are registered and charged in Brazilian reais. To serve international buyers, the store can show them converted to another currency.',
+        'currency.code': 'Currency (ISO code, e.g. USD)',
+        'currency.rate': 'Value of 1 Brazilian real in this currency',
+        'currency.save': 'Save Currency',
+        'currency.example': 'Example: {base} is shown as {converted}.',
+        'currency.invalidCode': 'Enter a 3-letter currency code (e.g. USD, EUR).',
+        'currency.invalidRate': 'The conversion rate must be a number greater than zero.',
+        'currency.saved': 'Prices are now shown in {code}.',
+
+        // Admin: statistics
+        'analytics.title': 'Statistics',
+        'analytics.note': 'Opened products and items put into or taken out of the cart are recorded in this browser. Conversion is the number of cart additions divided by the number of product views.',
+        'analytics.from': 'From',
+        'analytics.to': 'To',
+        'analytics.export': 'Export CSV',
+        'analytics.exported': { one: '{count} event exported.', other: '{count} events exported.' },
+        'analytics.exportEmpty': 'There are no events in this period to export.',
+        'analytics.errorRange': 'The start date must be before the end date.',
+        'analytics.empty': 'No events recorded in this period.',
+        'analytics.summary': 'Views: {views} · Cart additions: {adds} · Cart removals: {removals}',
+        'analytics.chartTitle': 'Daily activity',
+        'analytics.chartDay': '{date} · Views: {views} · Additions: {adds} · Removals: {removals}',
+        'analytics.eventViews': 'Views',
+        'analytics.eventAdds': 'Cart additions',
+        'analytics.eventRemovals': 'Cart removals',
+        'analytics.mostViewed': 'Most viewed',
+        'analytics.conversion': 'Conversion (view → cart)',
+        'analytics.abandoned': 'Most abandoned in the cart',
+        'analytics.product': 'Product',
+        'analytics.views': 'Views',
+        'analytics.adds': 'Additions',
+        'analytics.rate': 'Conversion',
+        'analytics.removals': 'Removals',
+        'analytics.units': 'Units',
+        'analytics.noData': 'Nothing recorded in this period.',
+        'analytics.maxEvents': 'Keep at most (events; the oldest are deleted)',
+        'analytics.saveSettings': 'Save Limit',
+        'analytics.stored': { one: '{count} event stored (limit: {max}).', other: '{count} events stored (limit: {max}).' },
+        'analytics.errorMaxEvents': 'The limit must be a whole number between {min} and {max}.',
+        'analytics.settingsSaved': 'Limit saved: up to {max} events.',
+
+        // Admin: reviews and users
+        'adminReviews.note': 'Hidden reviews are not shown in the store and do not count towards product ratings.',
+        'adminReviews.empty': 'No reviews received.',
+        'adminReviews.hiddenBadge': 'Hidden',
+        'adminReviews.show': 'Show',
+        'adminReviews.hide': 'Hide',
+        'users.title': 'Users',
+        'users.admin': 'Administrator',
+        'users.customer': 'Customer',
+        'users.makeAdmin': 'Make admin',
+        'users.removeAdmin': 'Remove admin',
+        'users.roleFailed': 'Could not change the account role.',
+        'users.lastAdmin': 'The store needs at least one administrator.',
+        'users.nowAdmin': '{name} is now an administrator.',
+        'users.nowCustomer': '{name} is now a customer.',
+    },
+};
@@ -0,0 +1,272 @@
+/*
+ * Servidor de testes da loja (API REST falsa + arquivos do site).
+ *
+ * Uso:  node mock-server.js
+ * Depois abra http://localhost:3000 — a página já vem configurada para usar a API.
+ *
+ * Não precisa instalar nada: usa só módulos do próprio Node.
+ * Os dados ficam na memória (começam com data/produtos.json) e somem ao parar o servidor.
+ *
+ * Variáveis de ambiente (opcionais):
+ *   PORT            porta do servidor (padrão 3000)
+ *   MOCK_DELAY_MS   atraso de cada resposta da API, para ver os estados de "Carregando..."
+ *   MOCK_FAIL_RATE  chance (0 a 1) de uma alteração falhar, para testar o "desfazer" das atualizações otimistas
+ *
+ * ATENÇÃO: SÓ PARA DEMONSTRAÇÃO, SEM NENHUMA SEGURANÇA. Não use com dados reais
+ * nem deixe acessível pela rede:
+ *   - GET /api/users entrega todas as contas, com o hash e o "sal" das senhas
+ *     (o login é conferido no navegador, que precisa deles);
+ *   - nenhuma rota confere quem está chamando: qualquer um pode alterar
+ *     produtos, pedidos e contas (inclusive se tornar administrador com um PUT).
+ * Uma API de verdade confere a senha no servidor, nunca devolve o hash e só
+ * aceita alterações de quem tem permissão.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE) || 0;
+const ROOT = __dirname;
+
+/** Tipos de arquivo servidos */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+};
+
+/** O "banco de dados" da API */
+const db = {
+    products: JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'produtos.json'), 'utf8')),
+    users: [],
+    orders: [],
+    reviews: [],
+    carts: {}, // dono ('guest' ou ID da conta) -> itens
+    wishlists: {}, // dono ('guest' ou ID da conta) -> favoritos
+};
+
+/**
+ * Responde com JSON (ou vazio, com 204, quando 'body' for undefined).
+ * @param {http.ServerResponse} res - A resposta.
+ * @param {number} status - O código HTTP.
+ * @param {*} [body] - O corpo.
+ */
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status === 200 ? 204 : status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Lê o corpo JSON de uma requisição.
+ * @param {http.IncomingMessage} req - A requisição.
+ * @returns {Promise<*>} O corpo convertido.
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Cria ou atualiza (pelo ID) um item de uma lista.
+ * @param {object[]} items - A lista.
+ * @param {object} item - O item.
+ */
+function upsert(items, item) {
+    const index = items.findIndex(existing => existing.id === item.id);
+    if (index === -1) {
+        items.push(item);
+    } else {
+        items[index] = item;
+    }
+}
+
+/**
+ * Encontra onde fica o estoque de um item de pedido: a variação (quando o item
+ * tem SKU) ou o próprio produto.
+ * @param {object} item - O item do pedido ({ id, sku?, quantity }).
+ * @returns {object|undefined} O produto ou a variação (undefined se não existir).
+ */
+function findStock(item) {
+    const product = db.products.find(existing => existing.id === item.id);
+    if (!product || !item.sku) return product;
+    return (product.variants || []).find(variant => variant.sku === item.sku);
+}
+
+/**
+ * Dá baixa no estoque de um item de pedido. Em produtos com variações, o
+ * estoque do produto é a soma das variações.
+ * @param {object} item - O item do pedido.
+ */
+function deductStock(item) {
+    findStock(item).stock -= item.quantity;
+    const product = db.products.find(existing => existing.id === item.id);
+    if (item.sku) product.stock = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+}
+
+/**
+ * Atende as rotas da API (tudo que começa com /api).
+ * @param {http.IncomingMessage} req - A requisição.
+ * @param {http.ServerResponse} res - A resposta.
+ * @param {string[]} parts - O caminho depois de /api, em partes (ex: ['products', '3']).
+ */
+async function handleApi(req, res, parts) {
+    const [resource, rawId] = parts;
+    const id = rawId === undefined ? undefined : decodeURIComponent(rawId);
+    const { method } = req;
+
+    if (DELAY_MS > 0) await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+
+    if (method !== 'GET' && Math.random() < FAIL_RATE) {
+        sendJson(res, 503, { error: 'Falha simulada (MOCK_FAIL_RATE).' });
+        return;
+    }
+
+    const body = method === 'PUT' || method === 'POST' ? await readJsonBody(req) : null;
+
+    if (resource === 'products') {
+        if (method === 'GET' && !id) return sendJson(res, 200, db.products);
+        if (method === 'PUT' && !id && Array.isArray(body)) {
+            db.products = body;
+            return sendJson(res, 200);
+        }
+        if (method === 'PUT' && id && body && body.id === id) {
+            upsert(db.products, body);
+            return sendJson(res, 200, body);
+        }
+        if (method === 'DELETE' && id) {
+            db.products = db.products.filter(product => product.id !== id);
+            return sendJson(res, 200);
+        }
+    }
+
+    if (resource === 'users') {
+        if (method === 'GET' && !id) return sendJson(res, 200, db.users);
+        if (method === 'PUT' && id && body && body.id === id) {
+            upsert(db.users, body);
+            return sendJson(res, 200, body);
+        }
+    }
+
+    if (resource === 'orders') {
+        if (method === 'GET' && !id) return sendJson(res, 200, db.orders);
+        if (method === 'POST' && !id && body && body.id && Array.isArray(body.items)) {
+            // O pedido e a baixa no estoque acontecem juntos: sem estoque para tudo, nada muda
+            const shortItem = body.items.find(item => !findStock(item) || findStock(item).stock < item.quantity);
+            if (shortItem) return sendJson(res, 409, { error: `Estoque insuficiente: ${shortItem.name}` });
+            body.items.forEach(item => deductStock(item));
+            db.orders.push(body);
+            return sendJson(res, 201, body);
+        }
+    }
+
+    if (resource === 'reviews') {
+        if (method === 'GET' && !id) return sendJson(res, 200, db.reviews);
+        if (method === 'PUT' && id && body && body.id === id) {
+            upsert(db.reviews, body);
+            return sendJson(res, 200, body);
+        }
+        if (method === 'DELETE' && id) {
+            db.reviews = db.reviews.filter(review => review.id !== id);
+            return sendJson(res, 200);
+        }
+    }
+
+    // Carrinhos e favoritos: uma lista por dono
+    if ((resource === 'carts' || resource === 'wishlists') && id) {
+        const lists = db[resource];
+        if (method === 'GET') return sendJson(res, 200, lists[id] || []);
+        if (method === 'PUT' && Array.isArray(body)) {
+            lists[id] = body;
+            return sendJson(res, 200);
+        }
+        if (method === 'DELETE') {
+            delete lists[id];
+            return sendJson(res, 200);
+        }
+    }
+
+    sendJson(res, 404, { error: `Rota não encontrada: ${method} /api/${parts.join('/')}` });
+}
+
+/**
+ * Entrega um arquivo do site. 'config.js' é trocado por uma versão que usa esta API.
+ * @param {http.ServerResponse} res - A resposta.
+ * @param {string} pathname - O caminho pedido.
+ */
+function serveFile(res, pathname) {
+    if (pathname === '/config.js') {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'] });
+        res.end("window.TECHSHOP_CONFIG = { dataSource: 'rest', apiBaseUrl: '/api' };\n");
+        return;
+    }
+
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    // Não deixa sair da pasta do projeto (ex: /../../etc/passwd)
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Arquivo não encontrado.');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    // Permite usar a API a partir de uma página servida em outro endereço
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const parts = pathname.split('/').filter(Boolean);
+
+    try {
+        if (parts[0] === 'api') {
+            await handleApi(req, res, parts.slice(1));
+        } else {
+            serveFile(res, decodeURIComponent(pathname));
+        }
+    } catch (error) {
+        console.error(error);
+        sendJson(res, 400, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Servidor de testes em http://localhost:${PORT} (API em /api)`);
+});
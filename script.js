@@ -13,9 +13,62 @@ document.addEventListener('DOMContentLoaded', () => {
      * (ex: adiciona ao carrinho), nós atualizamos o 'state' e
      * depois "redesenhamos" a página com base nesses novos dados.
      */
+    /** Filtros da vitrine quando nada foi escolhido (busca vazia, todas as categorias...) */
+    const DEFAULT_FILTERS = {
+        query: '',       // Texto da busca
+        category: '',    // Categoria escolhida ('' = todas)
+        minPrice: null,  // Preço mínimo (null = sem limite)
+        maxPrice: null,  // Preço máximo (null = sem limite)
+        sort: 'default', // Ordenação (ver 'sortProducts')
+    };
+
+    /** Idioma usado quando o cliente ainda não escolheu nenhum (os textos de 'messages.js' nasceram nele) */
+    const DEFAULT_LOCALE = 'pt-BR';
+
+    /** Moeda em que os preços são cadastrados e cobrados */
+    const BASE_CURRENCY = 'BRL';
+
+    /** Moeda de exibição padrão: os próprios reais, sem conversão */
+    const DEFAULT_CURRENCY = { code: BASE_CURRENCY, rate: 1 };
+
     let state = {
         products: [], // Lista de todos os produtos da loja
         cart: [],     // Lista de produtos no carrinho
+        wishlist: [], // Produtos favoritos ({ id, savedPrice, addedAt }), por conta como o carrinho
+        orders: [],   // Histórico de pedidos finalizados
+        guestOrderIds: [], // Pedidos feitos como visitante NESTE navegador (só eles aparecem para visitantes)
+        reviews: [],  // Avaliações (nota de 1 a 5 e comentário) dos produtos
+        users: [],    // Contas cadastradas (com a senha guardada apenas como hash)
+        session: null, // Sessão atual ({ userId }) ou null se ninguém estiver logado
+        filters: { ...DEFAULT_FILTERS }, // Busca, filtros e ordenação da vitrine
+        catalogPage: 1, // Página da vitrine sendo mostrada (fica na URL, ex: '#/pagina/2')
+        editingProductId: null, // ID do produto sendo editado no admin (null = cadastrando um novo)
+        viewingProductId: null, // ID do produto aberto na página de detalhe
+        variantSelection: {}, // Opções escolhidas na página de detalhe (ex: { Cor: 'Preto' })
+        cartNotices: [], // Avisos do que mudou no carrinho por causa do catálogo ({ key, params }, ex: preço alterado)
+        catalogImport: null, // Arquivo de catálogo lido e aguardando confirmação ({ fileName, rows })
+        dataStatus: {        // Situação da comunicação com o data source (localStorage ou API REST)
+            loading: false,  // Carregando produtos, contas e pedidos
+            error: null,     // Mensagem do erro de carregamento (null = carregou bem)
+            pending: 0,      // Alterações enviadas que ainda não foram confirmadas
+        },
+        coupons: [],     // Cupons de desconto criados no admin
+        promotions: [],  // Promoções automáticas (ex: "leve 3 pague 2" em um produto)
+        appliedCoupon: null, // Código do cupom aplicado ao carrinho atual (ou null)
+        shippingChoice: null, // Frete escolhido para o carrinho atual ({ cep, service }, ex: { cep: '01001-000', service: 'pac' }) ou null
+        shippingTable: null,  // Faixas de CEP com os preços e prazos do frete e o valor do frete grátis (carregada em 'loadState')
+        analyticsSettings: null, // Quantos eventos das estatísticas guardar ({ maxEvents }, carregado em 'loadState')
+        analyticsEvents: [], // Eventos das estatísticas, do mais antigo para o mais novo (carregados em 'loadState')
+        analyticsFilter: { from: '', to: '' }, // Período das estatísticas no admin ('AAAA-MM-DD'; '' = sem limite)
+        locale: DEFAULT_LOCALE, // Idioma dos textos, datas e números (ex: 'pt-BR')
+        currency: { ...DEFAULT_CURRENCY }, // Moeda em que os preços aparecem e a taxa de conversão a partir do real
+
+        // Dados do checkout em andamento (etapa atual, endereço e pagamento escolhidos)
+        checkout: {
+            step: 'review',
+            address: null,
+            payment: null,
+        },
     };
 
     // ---------------------------------------------------------------------
@@ -30,17 +83,97 @@ document.addEventListener('DOMContentLoaded', () => {
         pages: document.querySelectorAll('.page'), // Todas as seções que funcionam como "páginas"
         navLinks: document.querySelectorAll('.nav-link'), // Todos os links de navegação
         productGrid: document.getElementById('product-grid'), // Onde os produtos aparecem na home
+        productPagination: document.getElementById('product-pagination'), // Páginas da vitrine ("Anterior", 1, 2, ...)
+        catalogFilters: document.getElementById('catalog-filters'), // Barra de busca e filtros da home
+        filterSearch: document.getElementById('filter-search'),
+        filterCategory: document.getElementById('filter-category'),
+        filterMinPrice: document.getElementById('filter-min-price'),
+        filterMaxPrice: document.getElementById('filter-max-price'),
+        filterSort: document.getElementById('filter-sort'),
+        categoryOptions: document.getElementById('category-options'), // Sugestões de categoria no form do admin
         cartCount: document.getElementById('cart-count'), // O número no ícone do carrinho
+        wishlistCount: document.getElementById('wishlist-count'), // Quantos favoritos, no link "Favoritos"
+        wishlistItems: document.getElementById('wishlist-items'), // A lista da página "Meus Favoritos"
         cartItemsContainer: document.getElementById('cart-items-container'), // A lista de itens no carrinho
         cartTotal: document.getElementById('cart-total'), // O valor total do carrinho
+        cartNotice: document.getElementById('cart-notice'), // Avisos de mudanças no carrinho
+        cartSummary: document.getElementById('cart-summary'), // Subtotal, descontos e frete do carrinho
+        couponForm: document.getElementById('coupon-form'), // Campo "Cupom de desconto" do carrinho
+        couponMessage: document.getElementById('coupon-message'), // Cupom aplicado ou motivo da recusa
+        shippingForm: document.getElementById('shipping-form'), // Campo "CEP de entrega" do carrinho
+        shippingCep: document.getElementById('shipping-cep'),
+        shippingOptions: document.getElementById('shipping-options'), // Opções de frete (PAC, SEDEX) do CEP informado
+        shippingTableForm: document.getElementById('shipping-table-form'), // Tabela de frete (admin)
+        shippingRegionRows: document.getElementById('shipping-region-rows'), // Uma linha por faixa de CEP
+        couponAdminForm: document.getElementById('coupon-admin-form'),
+        adminCouponList: document.getElementById('admin-coupon-list'),
+        promotionForm: document.getElementById('promotion-form'),
+        promoProductSelect: document.getElementById('promo-product'),
+        adminPromotionList: document.getElementById('admin-promotion-list'),
+        catalogExportActions: document.getElementById('catalog-export-actions'),
+        catalogImportForm: document.getElementById('catalog-import-form'), // Arquivo + modo de importação
+        catalogImportFile: document.getElementById('catalog-import-file'),
+        catalogImportPreview: document.getElementById('catalog-import-preview'), // Prévia linha a linha
+        catalogImportActions: document.getElementById('catalog-import-actions'),
+        catalogImportConfirm: document.getElementById('catalog-import-confirm'),
         productDetailContent: document.getElementById('product-detail-content'), // Onde o detalhe do produto é mostrado
+        productDetailBackLink: document.getElementById('product-detail-back'), // "Voltar aos produtos" (para a página de onde veio)
+        reviewSummary: document.getElementById('review-summary'), // Nota média do produto aberto
+        reviewForm: document.getElementById('review-form'), // Formulário "Sua nota" (só para quem está logado)
+        reviewText: document.getElementById('review-text'),
+        reviewSubmit: document.getElementById('review-submit'),
+        reviewDeleteButton: document.getElementById('review-delete'),
+        reviewModerationNote: document.getElementById('review-moderation-note'), // Aviso de avaliação ocultada
+        reviewLoginPrompt: document.getElementById('review-login-prompt'), // "Entre na sua conta para avaliar"
+        reviewList: document.getElementById('review-list'), // Avaliações do produto aberto
+        notFoundMessage: document.getElementById('not-found-message'), // Texto da página "não encontrada"
         adminProductList: document.getElementById('admin-product-list'), // Lista de produtos no painel admin
-        toast: document.getElementById('toast'), // A notificação (popup)
+        adminSyncStatus: document.getElementById('admin-sync-status'), // "Salvando alterações..."
+        toastContainer: document.getElementById('toast-container'), // Onde as notificações (popups) são empilhadas
+        checkoutButton: document.getElementById('checkout-button'), // Botão "Finalizar Compra" do carrinho
+        checkoutPage: document.getElementById('page-checkout'), // Página com as etapas do checkout
+        checkoutSteps: document.querySelectorAll('#checkout-steps [data-step]'), // Indicador de etapas
+        checkoutPanels: document.querySelectorAll('.checkout-step'), // O conteúdo de cada etapa
+        checkoutReviewItems: document.getElementById('checkout-review-items'), // Itens na etapa de revisão
+        checkoutSummary: document.getElementById('checkout-summary'), // Resumo na etapa de confirmação
+        cardFields: document.getElementById('card-fields'), // Campos extras do cartão de crédito
+        ordersList: document.getElementById('orders-list'), // Lista da página "Meus Pedidos"
+        loginLink: document.getElementById('login-link'), // Link "Login/Cadastro" do cabeçalho
+        userGreeting: document.getElementById('user-greeting'), // "Olá, Fulano" no cabeçalho
+        logoutButton: document.getElementById('logout-button'), // Botão "Sair" do cabeçalho
+        adminLink: document.getElementById('admin-link'), // Link "Admin" (só aparece para administradores)
+        adminUserList: document.getElementById('admin-user-list'), // Lista de contas no painel admin
+        adminReviewList: document.getElementById('admin-review-list'), // Moderação de avaliações no painel admin
+        languageSelect: document.getElementById('language-select'), // Seletor de idioma do cabeçalho
+        offlineIndicator: document.getElementById('offline-indicator'), // "Sem internet" no cabeçalho
+        updateBanner: document.getElementById('update-banner'), // "Uma nova versão da loja está disponível"
+        updateButton: document.getElementById('update-button'),
+        currencyForm: document.getElementById('currency-form'), // Moeda de exibição dos preços (admin)
+        currencyExample: document.getElementById('currency-example'), // "Exemplo: R$ 100,00 aparecem como..."
+        analyticsFilterForm: document.getElementById('analytics-filter-form'), // Período das estatísticas (admin)
+        analyticsExportButton: document.getElementById('analytics-export'),
+        analyticsSummary: document.getElementById('analytics-summary'), // Totais do período
+        analyticsReport: document.getElementById('analytics-report'), // Gráfico diário e rankings de produtos
+        analyticsSettingsForm: document.getElementById('analytics-settings-form'), // Limite de eventos guardados
+        analyticsStored: document.getElementById('analytics-stored'), // "N eventos guardados (limite: M)"
         
         // Formulários
         loginForm: document.getElementById('login-form'),
         registerForm: document.getElementById('register-form'),
         addProductForm: document.getElementById('add-product-form'),
+        productFormTitle: document.getElementById('product-form-title'), // "Adicionar" ou "Editar" produto
+        productFormSubmit: document.getElementById('product-form-submit'),
+        cancelEditButton: document.getElementById('cancel-edit-button'),
+        productImgInput: document.getElementById('prod-img'),
+        productImgPreview: document.getElementById('prod-img-preview'),
+        productImgPreviewMessage: document.getElementById('prod-img-preview-message'),
+        variantOptionRows: document.getElementById('variant-option-rows'), // Opções do produto (ex: Cor, Armazenamento)
+        addVariantOptionButton: document.getElementById('add-variant-option'),
+        generateVariantsButton: document.getElementById('generate-variants'),
+        variantTable: document.getElementById('variant-table'), // Tabela de combinações (SKU, preço, estoque, imagem)
+        variantRows: document.getElementById('variant-rows'),
+        checkoutAddressForm: document.getElementById('checkout-address-form'),
+        checkoutPaymentForm: document.getElementById('checkout-payment-form'),
     };
 
     // ---------------------------------------------------------------------
@@ -52,23 +185,91 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function setupEventListeners() {
         
-        // --- Ouvintes da Navegação (Links) ---
-        // Itera (passa por) sobre cada link de navegação
-        DOMElements.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault(); // Impede o link de recarregar a página (comportamento padrão de <a>)
-                const pageId = link.dataset.page; // Pega o 'data-page' (ex: "page-home") do HTML
-                showPage(pageId); // Chama a função para mostrar a página clicada
-            });
-        });
+        // --- Ouvinte da Navegação (Roteador) ---
+        // Os links de navegação apontam para rotas (ex: href="#/carrinho").
+        // Quando o "#" da URL muda (clique, voltar/avançar do navegador),
+        // o roteador descobre qual página mostrar.
+        window.addEventListener('hashchange', handleRoute);
+
+
+        // --- Imagens que não carregam ---
+        // O evento 'error' das imagens não "sobe" para os elementos pais, então
+        // é ouvido na fase de captura (o 'true' no final). Imagens quebradas dos
+        // produtos são trocadas pela imagem padrão.
+        document.addEventListener('error', e => {
+            if (e.target instanceof HTMLImageElement && e.target !== DOMElements.productImgPreview) {
+                showImagePlaceholder(e.target);
+            }
+        }, true);
 
         
+        // --- Seletor de Idioma ---
+        DOMElements.languageSelect.addEventListener('change', e => setLocale(e.target.value));
+
+        // --- Conexão e Atualizações (ver 'sw.js') ---
+        window.addEventListener('online', handleConnectionChange);
+        window.addEventListener('offline', handleConnectionChange);
+        DOMElements.updateButton.addEventListener('click', applyUpdate);
+
+        // --- Estatísticas: grava os eventos pendentes antes de a aba sair de vista ou ser fechada ---
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveAnalyticsEvents();
+        });
+        window.addEventListener('pagehide', saveAnalyticsEvents);
+
+
         // --- Ouvintes dos Formulários ---
         DOMElements.loginForm.addEventListener('submit', handleLogin);
         DOMElements.registerForm.addEventListener('submit', handleRegister);
-        DOMElements.addProductForm.addEventListener('submit', handleAddProduct);
+        DOMElements.logoutButton.addEventListener('click', handleLogout);
+        DOMElements.addProductForm.addEventListener('submit', handleProductFormSubmit);
+        DOMElements.cancelEditButton.addEventListener('click', cancelProductEdit);
+
+        // Pré-visualização da imagem enquanto o admin digita a URL
+        DOMElements.productImgInput.addEventListener('input', updateImagePreview);
+        DOMElements.productImgPreview.addEventListener('load', () => {
+            DOMElements.productImgPreview.classList.remove('hidden');
+            setTranslatedText(DOMElements.productImgPreviewMessage, null);
+        });
+        DOMElements.productImgPreview.addEventListener('error', () => {
+            DOMElements.productImgPreview.classList.add('hidden');
+            // Só avisa se ainda houver uma URL (o 'error' também dispara ao limpar o 'src')
+            if (DOMElements.productImgInput.value.trim()) {
+                setTranslatedText(DOMElements.productImgPreviewMessage, 'productForm.imgPreviewFailed');
+            }
+        });
+
+        // Editor de variações do formulário de produto
+        DOMElements.addVariantOptionButton.addEventListener('click', addVariantOptionRow);
+        DOMElements.generateVariantsButton.addEventListener('click', generateVariantRows);
+        DOMElements.variantOptionRows.addEventListener('click', e => {
+            if (e.target.closest('.btn-remove-variant-option')) {
+                e.target.closest('.variant-option-row').remove();
+                updateVariantEditorState();
+            }
+        });
+        DOMElements.variantRows.addEventListener('click', e => {
+            if (e.target.closest('.btn-remove-variant')) {
+                e.target.closest('tr').remove();
+                updateVariantEditorState();
+            }
+        });
+
+        DOMElements.checkoutAddressForm.addEventListener('submit', handleCheckoutAddress);
+        DOMElements.checkoutPaymentForm.addEventListener('submit', handleCheckoutPayment);
 
         
+        // --- Ouvintes da Barra de Filtros ---
+        // 'input' dispara a cada tecla digitada; 'change' ao trocar uma opção dos selects
+        DOMElements.catalogFilters.addEventListener('input', handleFiltersChange);
+        DOMElements.catalogFilters.addEventListener('change', handleFiltersChange);
+        DOMElements.catalogFilters.addEventListener('submit', e => e.preventDefault()); // Enter na busca não recarrega a página
+        DOMElements.catalogFilters.addEventListener('reset', e => {
+            e.preventDefault(); // Nós mesmos limpamos os campos, a partir do 'state'
+            resetFilters();
+        });
+
+
         // --- Ouvinte da Grade de Produtos (Delegação de Evento) ---
         /*
          * Usamos "Delegação de Evento" aqui. Em vez de adicionar um "ouvinte"
@@ -83,13 +284,23 @@ document.addEventListener('DOMContentLoaded', () => {
                 const id = e.target.closest('.btn-add-to-cart').dataset.id; // Pega o ID do produto
                 addToCart(id);
             }
-            
-            // Verifica se o clique foi em um link "Ver Detalhes"
-            if (e.target.closest('.btn-view-detail')) {
-                e.preventDefault(); // Impede o link <a> de navegar
-                const id = e.target.closest('.btn-view-detail').dataset.id;
-                showProductDetail(id);
+
+            // Botão de coração (favoritar / desfavoritar)
+            if (e.target.closest('.btn-toggle-wishlist')) {
+                toggleWishlist(e.target.closest('.btn-toggle-wishlist').dataset.id);
             }
+
+            // Botão "Tentar novamente" da mensagem de erro de carregamento
+            if (e.target.closest('.btn-retry-load')) {
+                reloadData();
+            }
+
+            // Botão "Limpar filtros" da mensagem de "nenhum produto encontrado"
+            if (e.target.closest('.btn-clear-filters')) {
+                resetFilters();
+            }
+
+            // Os links "Ver Detalhes" apontam para '#/produto/:id' e são tratados pelo roteador
         });
 
         
@@ -97,9 +308,82 @@ document.addEventListener('DOMContentLoaded', () => {
         DOMElements.cartItemsContainer.addEventListener('click', e => {
             
             // Verifica se o clique foi no botão "Remover"
+            // ('data-key' identifica a linha: o produto e, se tiver, a variação)
             if (e.target.closest('.btn-remove-from-cart')) {
-                const id = e.target.closest('.btn-remove-from-cart').dataset.id;
-                removeFromCart(id);
+                const key = e.target.closest('.btn-remove-from-cart').dataset.key;
+                removeFromCart(key);
+            }
+
+            // Botões "-" e "+" de quantidade
+            if (e.target.closest('.btn-cart-decrease')) {
+                const key = e.target.closest('.btn-cart-decrease').dataset.key;
+                updateCartQuantity(key, getCartQuantity(key) - 1);
+            }
+            if (e.target.closest('.btn-cart-increase')) {
+                const key = e.target.closest('.btn-cart-increase').dataset.key;
+                updateCartQuantity(key, getCartQuantity(key) + 1);
+            }
+        });
+
+        // Quantidade digitada diretamente no campo (dispara ao sair do campo ou apertar Enter)
+        DOMElements.cartItemsContainer.addEventListener('change', e => {
+            if (e.target.classList.contains('cart-qty-input')) {
+                const quantity = parseInt(e.target.value, 10);
+                // Texto inválido volta para a quantidade atual
+                updateCartQuantity(e.target.dataset.key, Number.isNaN(quantity) ? getCartQuantity(e.target.dataset.key) : quantity);
+            }
+        });
+
+        // Botão "Entendi" dos avisos do carrinho
+        DOMElements.cartNotice.addEventListener('click', e => {
+            if (e.target.closest('.btn-dismiss-cart-notice')) {
+                state.cartNotices = [];
+                renderCart();
+            }
+        });
+
+        // --- Ouvintes de Cupons ---
+        DOMElements.couponForm.addEventListener('submit', handleApplyCoupon);
+        DOMElements.couponMessage.addEventListener('click', e => {
+            if (e.target.closest('.btn-remove-coupon')) {
+                removeAppliedCoupon();
+            }
+        });
+
+        // --- Ouvintes do Frete ---
+        DOMElements.shippingForm.addEventListener('submit', handleCalculateShipping);
+        DOMElements.shippingOptions.addEventListener('change', e => {
+            if (e.target.name === 'shipping-service') {
+                selectShippingService(e.target.value);
+            }
+        });
+
+        // Botão "Finalizar Compra" abre o checkout
+        DOMElements.checkoutButton.addEventListener('click', () => navigateTo('/checkout'));
+        
+        
+        // --- Ouvinte da Página de Checkout (Delegação de Evento) ---
+        DOMElements.checkoutPage.addEventListener('click', e => {
+            // Botões "Continuar" que não são de formulário (ex: etapa de revisão)
+            if (e.target.closest('.btn-checkout-next')) {
+                goToCheckoutStep(e.target.closest('.btn-checkout-next').dataset.next);
+            }
+
+            // Botões "Voltar" de cada etapa
+            if (e.target.closest('.btn-checkout-back')) {
+                goToCheckoutStep(e.target.closest('.btn-checkout-back').dataset.back);
+            }
+
+            // Botão final "Confirmar Pedido"
+            if (e.target.closest('#confirm-order-button')) {
+                confirmOrder();
+            }
+        });
+
+        // Mostra os campos do cartão apenas quando "Cartão de crédito" está selecionado
+        DOMElements.checkoutPaymentForm.addEventListener('change', e => {
+            if (e.target.name === 'payment-method') {
+                DOMElements.cardFields.classList.toggle('hidden', e.target.value !== 'card');
             }
         });
         
@@ -108,21 +392,140 @@ document.addEventListener('DOMContentLoaded', () => {
         DOMElements.productDetailContent.addEventListener('click', e => {
             // Verifica se o clique foi no botão "Adicionar ao Carrinho" da página de detalhe
             if (e.target.closest('.btn-add-to-cart-detail')) {
-                const id = e.target.closest('.btn-add-to-cart-detail').dataset.id;
-                addToCart(id);
+                const { id, sku } = e.target.closest('.btn-add-to-cart-detail').dataset;
+                addToCart(id, sku || null); // 'sku' só existe em produtos com variações
+            }
+
+            // Botão de coração (favoritar / desfavoritar)
+            if (e.target.closest('.btn-toggle-wishlist')) {
+                toggleWishlist(e.target.closest('.btn-toggle-wishlist').dataset.id);
+            }
+        });
+        // Troca de opção (ex: outra cor): mostra o preço, a foto e o estoque da combinação
+        DOMElements.productDetailContent.addEventListener('change', e => {
+            if (e.target.classList.contains('variant-option-select')) {
+                state.variantSelection[e.target.dataset.option] = e.target.value;
+                const product = state.products.find(p => p.id === state.viewingProductId);
+                if (product) renderProductDetailContent(product);
+            }
+        });
+
+        // --- Ouvinte da Página de Favoritos (Delegação de Evento) ---
+        DOMElements.wishlistItems.addEventListener('click', e => {
+            if (e.target.closest('.btn-wishlist-to-cart')) {
+                moveWishlistItemToCart(e.target.closest('.btn-wishlist-to-cart').dataset.id);
+            }
+            if (e.target.closest('.btn-remove-from-wishlist')) {
+                toggleWishlist(e.target.closest('.btn-remove-from-wishlist').dataset.id);
             }
         });
 
+        // --- Ouvintes das Avaliações ---
+        DOMElements.reviewForm.addEventListener('submit', handleReviewSubmit);
+        DOMElements.reviewDeleteButton.addEventListener('click', deleteOwnReview);
+
         
         // --- Ouvinte da Lista de Admin (Delegação de Evento) ---
         DOMElements.adminProductList.addEventListener('click', e => {
+
+            // Botão "Tentar novamente" da mensagem de erro de carregamento
+            if (e.target.closest('.btn-retry-load')) {
+                reloadData();
+            }
             
+            // Verifica se o clique foi no botão "Editar"
+            if (e.target.closest('.btn-edit-product')) {
+                const id = e.target.closest('.btn-edit-product').dataset.id;
+                startProductEdit(id);
+            }
+
             // Verifica se o clique foi no botão "Remover" (deletar produto)
             if (e.target.closest('.btn-delete-product')) {
                 const id = e.target.closest('.btn-delete-product').dataset.id;
                 deleteProduct(id);
             }
         });
+
+
+        // --- Ouvintes de Importação/Exportação do Catálogo ---
+        DOMElements.catalogExportActions.addEventListener('click', e => {
+            if (e.target.closest('.btn-export-catalog')) {
+                exportCatalog(e.target.closest('.btn-export-catalog').dataset.format);
+            }
+        });
+        DOMElements.catalogImportFile.addEventListener('change', handleCatalogFileSelected);
+        DOMElements.catalogImportForm.addEventListener('change', e => {
+            // Trocar entre "mesclar" e "substituir" muda o que a prévia mostra
+            if (e.target.name === 'import-mode') renderCatalogImportPreview();
+        });
+        DOMElements.catalogImportForm.addEventListener('submit', applyCatalogImport);
+        document.getElementById('catalog-import-cancel').addEventListener('click', cancelCatalogImport);
+
+
+        // --- Ouvinte da Moeda de Exibição do Admin ---
+        DOMElements.currencyForm.addEventListener('submit', handleCurrencyFormSubmit);
+
+
+        // --- Ouvintes da Tabela de Frete do Admin ---
+        DOMElements.shippingTableForm.addEventListener('submit', handleShippingTableSubmit);
+        DOMElements.shippingTableForm.addEventListener('click', e => {
+            if (e.target.closest('#add-shipping-region')) {
+                addShippingRegionRow();
+            }
+            // A faixa só sai da tabela salva com "Salvar Tabela"
+            if (e.target.closest('.btn-remove-shipping-region')) {
+                e.target.closest('tr').remove();
+            }
+        });
+
+
+        // --- Ouvintes de Cupons e Promoções do Admin ---
+        DOMElements.couponAdminForm.addEventListener('submit', handleCreateCoupon);
+        DOMElements.adminCouponList.addEventListener('click', e => {
+            if (e.target.closest('.btn-toggle-coupon')) {
+                toggleCoupon(e.target.closest('.btn-toggle-coupon').dataset.code);
+            }
+            if (e.target.closest('.btn-delete-coupon')) {
+                deleteCoupon(e.target.closest('.btn-delete-coupon').dataset.code);
+            }
+        });
+        DOMElements.promotionForm.addEventListener('submit', handleCreatePromotion);
+        DOMElements.adminPromotionList.addEventListener('click', e => {
+            if (e.target.closest('.btn-delete-promotion')) {
+                deletePromotion(e.target.closest('.btn-delete-promotion').dataset.id);
+            }
+        });
+
+
+        // --- Ouvinte da Lista de Usuários do Admin (Delegação de Evento) ---
+        DOMElements.adminUserList.addEventListener('click', e => {
+            // Botões "Tornar admin" / "Remover admin"
+            if (e.target.closest('.btn-toggle-role')) {
+                const id = e.target.closest('.btn-toggle-role').dataset.id;
+                toggleUserRole(id);
+            }
+        });
+
+        // --- Ouvinte da Moderação de Avaliações do Admin (Delegação de Evento) ---
+        DOMElements.adminReviewList.addEventListener('click', e => {
+            // Botões "Ocultar" / "Mostrar"
+            if (e.target.closest('.btn-toggle-review')) {
+                toggleReviewHidden(e.target.closest('.btn-toggle-review').dataset.id);
+            }
+        });
+
+        // --- Ouvintes das Estatísticas do Admin ---
+        DOMElements.analyticsFilterForm.addEventListener('change', handleAnalyticsFilterChange);
+        DOMElements.analyticsFilterForm.addEventListener('submit', e => e.preventDefault()); // Enter numa data não recarrega a página
+        DOMElements.analyticsExportButton.addEventListener('click', exportAnalyticsEvents);
+        DOMElements.analyticsSettingsForm.addEventListener('submit', handleAnalyticsSettingsSubmit);
+
+        // --- Ouvintes das Notificações ---
+        // Botões "Desfazer" e fechar; com o mouse ou o foco sobre elas, os tempos ficam pausados
+        DOMElements.toastContainer.addEventListener('click', handleToastClick);
+        ['mouseenter', 'mouseleave', 'focusin', 'focusout'].forEach(type => {
+            DOMElements.toastContainer.addEventListener(type, updateToastsPaused);
+        });
     }
 
     
@@ -130,12 +533,133 @@ document.addEventListener('DOMContentLoaded', () => {
     // FUNÇÕES DE NAVEGAÇÃO E UI (USER INTERFACE)
     // ---------------------------------------------------------------------
 
+    /*
+     * Tabela de rotas da loja. A rota atual fica no "#" da URL
+     * (ex: 'index.html#/produto/123'), assim um F5 mantém a página,
+     * os botões voltar/avançar funcionam e dá para compartilhar links.
+     *
+     * - path: o caminho da rota. Trechos com ":" são parâmetros (ex: ':id').
+     * - page: o ID da seção HTML que a rota mostra.
+     * - enter: (opcional) prepara a página antes de mostrá-la. Se retornar
+     *   'false', a rota foi recusada e a página não é mostrada.
+     * - requiresAdmin: (opcional) só administradores podem abrir a rota.
+     * - restoreScroll: (opcional) ao voltar para a rota, a janela volta para a
+     *   rolagem em que estava (ex: vitrine -> detalhe -> "voltar").
+     */
+    const ROUTES = [
+        { path: '/', page: 'page-home', enter: () => showCatalogPage(1), restoreScroll: true },
+        { path: '/pagina/:page', page: 'page-home', enter: params => showCatalogPage(params.page), restoreScroll: true },
+        { path: '/produto/:id', page: 'page-product-detail', enter: (params, isNewVisit) => showProductDetail(params.id, isNewVisit) },
+        { path: '/carrinho', page: 'page-cart' },
+        { path: '/checkout', page: 'page-checkout', enter: startCheckout },
+        { path: '/favoritos', page: 'page-wishlist' },
+        { path: '/pedidos', page: 'page-orders' },
+        { path: '/login', page: 'page-login' },
+        { path: '/admin', page: 'page-admin', enter: renderAnalytics, requiresAdmin: true },
+    ];
+
+    /** Rolagem da janela em cada caminho já visitado (ex: '/pagina/3' -> 1200) */
+    const scrollPositions = new Map();
+    let currentPath = null; // Caminho mostrado agora (para guardar a rolagem ao sair dele)
+    let shownPath = null; // Caminho cuja página está na tela (null depois de um "não encontrado" ou redirecionamento)
+
+    /**
+     * Navega para uma rota, atualizando o "#" da URL.
+     * @param {string} path - O caminho da rota (ex: '/carrinho').
+     * @param {boolean} [replace=false] - Se true, substitui a entrada atual do histórico
+     *   (usado em redirecionamentos, para o "voltar" não cair de novo na rota recusada).
+     */
+    function navigateTo(path, replace = false) {
+        if (window.location.hash === `#${path}`) {
+            // A URL não vai mudar, então o evento 'hashchange' não dispara: roteia na mão
+            handleRoute();
+        } else if (replace) {
+            window.location.replace(`#${path}`);
+        } else {
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Procura a rota que corresponde a um caminho.
+     * @param {string} path - O caminho atual (ex: '/produto/123').
+     * @returns {{route: object, params: object}|null} A rota e seus parâmetros, ou null se nenhuma bater.
+     */
+    function matchRoute(path) {
+        const pathParts = path.split('/').filter(Boolean); // '/produto/123' -> ['produto', '123']
+
+        for (const route of ROUTES) {
+            const routeParts = route.path.split('/').filter(Boolean);
+            if (routeParts.length !== pathParts.length) continue;
+
+            const params = {};
+            const matches = routeParts.every((part, i) => {
+                if (part.startsWith(':')) {
+                    try {
+                        params[part.slice(1)] = decodeURIComponent(pathParts[i]); // Guarda o parâmetro
+                    } catch {
+                        return false; // Trecho mal codificado (ex: '%E0'): o endereço não existe
+                    }
+                    return true;
+                }
+                return part === pathParts[i];
+            });
+
+            if (matches) return { route, params };
+        }
+        return null;
+    }
+
+    /**
+     * Lê o "#" da URL e mostra a página correspondente.
+     * É chamada no início e sempre que a URL muda.
+     */
+    function handleRoute() {
+        const path = window.location.hash.slice(1) || '/'; // '#/carrinho' -> '/carrinho'
+        const match = matchRoute(path);
+
+        // Guarda onde a página que está saindo estava rolada
+        if (currentPath !== null) scrollPositions.set(currentPath, window.scrollY);
+        currentPath = path;
+        // Redesenhar a página que já está na tela (ex: "Tentar novamente") não é uma nova visita
+        const isNewVisit = path !== shownPath;
+        shownPath = null;
+
+        if (!match) {
+            showNotFound();
+            return;
+        }
+
+        const { route, params } = match;
+
+        // Rotas de administração: quem não é admin é mandado para o login (ou para a Home)
+        if (route.requiresAdmin && !requireAdmin()) {
+            navigateTo(getCurrentUser() ? '/' : '/login', true);
+            return;
+        }
+
+        if (route.enter && route.enter(params, isNewVisit) === false) return;
+
+        showPage(route.page, route.restoreScroll ? scrollPositions.get(path) || 0 : 0);
+        shownPath = path;
+    }
+
+    /**
+     * Mostra a página de "não encontrado".
+     * @param {string} [messageKey] - A chave de uma explicação opcional (ex: produto inexistente).
+     */
+    function showNotFound(messageKey = 'notFound.address') {
+        setTranslatedText(DOMElements.notFoundMessage, messageKey);
+        showPage('page-not-found');
+    }
+
     /**
      * Mostra uma página (seção) específica e esconde todas as outras.
      * Isso cria a ilusão de um site de "várias páginas" (SPA - Single Page Application).
      * @param {string} pageId - O ID da seção HTML para mostrar (ex: 'page-home').
+     * @param {number} [scrollY=0] - Até onde rolar a janela depois de mostrar a página.
      */
-    function showPage(pageId) {
+    function showPage(pageId, scrollY = 0) {
         if (!pageId) return; // Se o ID for nulo ou indefinido, não faz nada
         
         // Itera sobre todas as seções com a classe '.page'
@@ -147,412 +671,6406 @@ document.addEventListener('DOMContentLoaded', () => {
                 page.style.display = 'none'; // Esconde
             }
         });
-        
-        // Rola a janela para o topo sempre que trocar de página
-        window.scrollTo(0, 0);
-    }
 
-    /**
-     * Mostra uma notificação (toast) no canto da tela.
-     * @param {string} message - A mensagem para exibir.
-     * @param {boolean} [isError=false] - Se true, mostra a notificação com fundo vermelho (erro).
-     */
-    function showToast(message, isError = false) {
-        DOMElements.toast.textContent = message; // Define o texto
-        
-        // Define a classe CSS (verde para sucesso, vermelho para erro)
-        DOMElements.toast.className = isError 
-            ? 'show bg-red-600' // Classe de erro (vermelho)
-            : 'show bg-green-500'; // Classe de sucesso (verde)
+        // Destaca no menu o link da página atual
+        DOMElements.navLinks.forEach(link => {
+            const isCurrent = link.dataset.page === pageId;
+            link.classList.toggle('font-semibold', isCurrent);
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
         
-        // Define um "timer" para esconder a notificação após 3 segundos (3000ms)
-        setTimeout(() => {
-            DOMElements.toast.className = DOMElements.toast.className.replace('show', '');
-        }, 3000);
+        // Rola a janela para o topo (ou para onde a página estava, ao voltar para ela)
+        window.scrollTo(0, scrollY);
     }
 
     // ---------------------------------------------------------------------
-    // FUNÇÕES DE DADOS (LOCALSTORAGE)
+    // NOTIFICAÇÕES (TOASTS)
+    // ---------------------------------------------------------------------
+    // As notificações formam uma fila: cada uma tem o seu próprio tempo na
+    // tela e elas se empilham no canto, sem uma apagar a outra. Se houver
+    // muitas ao mesmo tempo, as mais novas esperam a vez. O contêiner é uma
+    // "live region" (aria-live), então os leitores de tela anunciam cada
+    // notificação; os erros usam role="alert" para serem anunciados na hora.
+    // Enquanto o mouse ou o foco do teclado estiver sobre elas, os tempos
+    // ficam pausados (dá tempo de ler e de clicar em "Desfazer").
     // ---------------------------------------------------------------------
-    
-    /**
-     * Carrega os dados de produtos e carrinho do LocalStorage (memória do navegador).
-     * Isso faz com que os dados persistam mesmo se o usuário fechar a aba.
-     */
-    function loadStateFromLocalStorage() {
-        // Tenta carregar os produtos salvos
-        const storedProducts = localStorage.getItem('techshop_products');
-        // Tenta carregar o carrinho salvo
-        const storedCart = localStorage.getItem('techshop_cart');
 
-        if (storedProducts) {
-            // Se achou produtos, converte o texto (JSON) de volta para um array
-            state.products = JSON.parse(storedProducts);
-        } else {
-            // Se não houver produtos, carrega os dados iniciais (mock)
-            state.products = getInitialProducts();
-            saveProductsToLocalStorage(); // E salva esses dados iniciais no LocalStorage
-        }
+    /** Classes de cor de cada tipo de notificação */
+    const TOAST_VARIANTS = {
+        success: 'bg-green-500',
+        error: 'bg-red-600',
+        info: 'bg-gray-800',
+    };
+
+    /** Quanto tempo (ms) cada notificação fica na tela */
+    const TOAST_DURATION = 3000;
+
+    /** Notificações com ação ("Desfazer") ficam mais tempo, para dar tempo de clicar */
+    const TOAST_ACTION_DURATION = 6000;
+
+    /** Quantas notificações aparecem ao mesmo tempo; as outras esperam na fila */
+    const MAX_VISIBLE_TOASTS = 3;
+
+    /** Tempo (ms) da animação de saída (ver '.toast' no style.css) */
+    const TOAST_EXIT_DURATION = 300;
+
+    /** Notificações esperando a vez de aparecer */
+    const toastQueue = [];
 
-        if (storedCart) {
-            // Se achou um carrinho salvo, carrega
-            state.cart = JSON.parse(storedCart);
+    /** Notificações na tela: { id, element, action, remaining, startedAt, timer } */
+    let visibleToasts = [];
+
+    /** Contador para dar um ID a cada notificação */
+    let nextToastId = 1;
+
+    /** Se os tempos estão pausados (mouse ou foco sobre as notificações) */
+    let toastsPaused = false;
+
+    /**
+     * Mostra uma notificação (toast) no canto da tela.
+     * @param {string} message - A mensagem para exibir.
+     * @param {'success'|'error'|'info'} [variant='success'] - O tipo (define a cor e como é anunciada).
+     * @param {object} [options]
+     * @param {{label: string, run: function(): void}} [options.action] - Um botão na notificação (ex: "Desfazer").
+     */
+    function showToast(message, variant = 'success', { action = null } = {}) {
+        // A mesma mensagem já na tela (ex: cliques repetidos) só ganha mais tempo
+        const duplicate = !action && visibleToasts.find(toast =>
+            !toast.action && toast.variant === variant && toast.message === message);
+        if (duplicate) {
+            startToastTimer(duplicate, TOAST_DURATION);
+            return;
         }
-        // Se não achou, 'state.cart' continua como o array vazio [] que definimos no início.
-    }
 
-    
-    /** Salva a lista de PRODUTOS ATUAL no LocalStorage */
-    function saveProductsToLocalStorage() {
-        // Converte o array de produtos para uma string JSON e salva
-        localStorage.setItem('techshop_products', JSON.stringify(state.products));
+        toastQueue.push({ id: nextToastId++, message, variant, action });
+        showQueuedToasts();
     }
 
-    
-    /** Salva o CARRINHO ATUAL no LocalStorage */
-    function saveCartToLocalStorage() {
-        localStorage.setItem('techshop_cart', JSON.stringify(state.cart));
+    /**
+     * Mostra uma notificação com o botão "Desfazer".
+     * @param {string} message - A mensagem para exibir.
+     * @param {function(): void} undo - O que fazer se o usuário clicar em "Desfazer".
+     */
+    function showUndoToast(message, undo) {
+        showToast(message, 'info', { action: { label: t('toast.undo'), run: undo } });
     }
 
-    // ---------------------------------------------------------------------
-    // FUNÇÕES DE RENDERIZAÇÃO (Desenhar na tela)
-    // ---------------------------------------------------------------------
-
     /**
-     * "Renderiza" (desenha) a grade de produtos na página inicial.
-     * Ele lê o 'state.products' e cria o HTML para cada produto.
+     * Ordem "original" de cada lista que tem "Desfazer" (em chaves): a ordem atual com
+     * os itens removidos no lugar em que estavam. Assim, vários itens removidos voltam
+     * para a posição certa seja qual for a ordem em que as remoções são desfeitas.
      */
-    function renderProductGrid() {
-        DOMElements.productGrid.innerHTML = ''; // Limpa a grade antes de adicionar novos
-        
-        // Se não houver produtos, mostra uma mensagem
-        if (state.products.length === 0) {
-            DOMElements.productGrid.innerHTML = '<p class="text-gray-600 col-span-3">Nenhum produto cadastrado. Adicione produtos no painel Admin.</p>';
-            return; // Encerra a função
-        }
+    const originalOrders = { cart: [], products: [], wishlist: [] };
 
-        // Itera sobre cada produto no 'state'
-        state.products.forEach(product => {
-            // Cria o "card" do produto usando Template Literals (crases ``)
-            const productCard = `
-                <div class="bg-white rounded-lg shadow-lg overflow-hidden transition-transform duration-300 hover:scale-105">
-                    <img src="${product.img}" alt="${product.name}" class="product-image">
-                    <div class="p-6">
-                        <h3 class="text-xl font-semibold text-gray-800 mb-2">${product.name}</h3>
-                        <p class="text-2xl font-bold text-indigo-600 mb-4">R$ ${product.price.toFixed(2).replace('.', ',')}</p>
-                        <div class="flex flex-col sm:flex-row sm:justify-between gap-3">
-                            <a href="#" class="btn-view-detail w-full sm:w-auto text-center text-indigo-600 border border-indigo-600 py-2 px-4 rounded-lg hover:bg-indigo-50" data-id="${product.id}">Ver Detalhes</a>
-                            <button class="btn-add-to-cart w-full sm:w-auto bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-700 transition-colors" data-id="${product.id}">
-                                Adicionar ao Carrinho
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
-            // Adiciona o card criado ao HTML da grade de produtos
-            DOMElements.productGrid.innerHTML += productCard;
+    /**
+     * Atualiza a ordem original de uma lista. Chame ANTES de remover itens dela.
+     * @param {'cart'|'products'|'wishlist'} listName - A lista.
+     * @param {string[]} keys - As chaves dos itens, na ordem atual.
+     */
+    function rememberOriginalOrder(listName, keys) {
+        const order = [...keys];
+        // Os itens que já tinham saído entram logo depois do item que vinha antes deles
+        let position = 0;
+        originalOrders[listName].forEach(key => {
+            const index = order.indexOf(key);
+            if (index === -1) {
+                order.splice(position++, 0, key);
+            } else {
+                position = index + 1;
+            }
         });
+        originalOrders[listName] = order;
     }
-    
-    
+
     /**
-     * Mostra a página de detalhe de um produto específico.
-     * @param {string} productId - O ID do produto a ser exibido.
+     * Devolve um item removido à sua posição original (ver 'rememberOriginalOrder').
+     * Itens que a lista ganhou depois da remoção ficam depois dele.
+     * @param {'cart'|'products'|'wishlist'} listName - O nome da lista.
+     * @param {object[]} items - A lista (é alterada).
+     * @param {object} item - O item removido.
+     * @param {function(object): string} getKey - Como identificar um item.
      */
-    function showProductDetail(productId) {
-        // Encontra o produto no 'state' usando o ID
-        const product = state.products.find(p => p.id === productId);
-        if (!product) return; // Se não encontrar o produto, não faz nada
-        
-        // Cria o HTML para a página de detalhes
-        DOMElements.productDetailContent.innerHTML = `
-            <div class="grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
-                <img src="${product.img}" alt="${product.name}" class="w-full h-auto object-cover rounded-lg shadow-md">
-                <div>
-                    <h1 class="text-4xl font-bold mb-3">${product.name}</h1>
-                    <p class="text-3xl text-indigo-600 font-semibold mb-6">R$ ${product.price.toFixed(2).replace('.', ',')}</p>
-                    <p class="text-gray-700 text-lg mb-8">${product.description}</p>
-                    <button class="btn-add-to-cart-detail w-full md:w-auto bg-indigo-600 text-white py-3 px-8 rounded-lg font-semibold hover:bg-indigo-700 transition-colors text-lg" data-id="${product.id}">
-                        Adicionar ao Carrinho
-                    </button>
-                </div>
-            </div>
-        `;
-        // Mostra a página de detalhes
-        showPage('page-product-detail');
+    function insertInOriginalOrder(listName, items, item, getKey) {
+        const order = originalOrders[listName];
+        const rank = key => (order.includes(key) ? order.indexOf(key) : Infinity);
+        const itemRank = rank(getKey(item));
+        const nextIndex = items.findIndex(existing => rank(getKey(existing)) > itemRank);
+        items.splice(nextIndex === -1 ? items.length : nextIndex, 0, item);
     }
 
-    
     /**
-     * Renderiza (desenha) os itens do carrinho na página do carrinho.
-     * Lê o 'state.cart' e cria o HTML.
+     * Tira da fila as notificações que cabem na tela e as exibe.
      */
-    function renderCart() {
-        DOMElements.cartItemsContainer.innerHTML = ''; // Limpa o container
-        let total = 0; // Variável para somar o total
+    function showQueuedToasts() {
+        while (visibleToasts.length < MAX_VISIBLE_TOASTS && toastQueue.length > 0) {
+            const toast = toastQueue.shift();
+            toast.element = createToastElement(toast);
+            DOMElements.toastContainer.appendChild(toast.element);
+            void toast.element.offsetWidth; // Força o navegador a desenhar antes, para a animação de entrada rodar
+            toast.element.classList.add('show');
 
-        // Se o carrinho estiver vazio, mostra mensagem
-        if (state.cart.length === 0) {
-            DOMElements.cartItemsContainer.innerHTML = '<p class="text-gray-600">Seu carrinho está vazio.</p>';
-            DOMElements.cartTotal.textContent = 'R$ 0,00';
-            DOMElements.cartCount.textContent = '0';
-            return; // Encerra a função
+            visibleToasts.push(toast);
+            startToastTimer(toast, toast.action ? TOAST_ACTION_DURATION : TOAST_DURATION);
         }
+    }
 
-        // Itera sobre cada item no 'state.cart'
-        state.cart.forEach(item => {
-            const itemTotal = item.price * item.quantity; // Calcula o subtotal do item
-            total += itemTotal; // Adiciona ao total geral
-            
-            // Cria o HTML para o item do carrinho
-            const cartItem = `
-                <div class="flex justify-between items-center py-4 border-b border-gray-200">
-                    <div class="flex items-center">
-                        <img src="${item.img}" alt="${item.name}" class="h-16 w-16 object-cover rounded-lg mr-4">
-                        <div>
-                            <h4 class="text-lg font-semibold text-gray-800">${item.name}</h4>
-                            <p class="text-gray-600">Qtd: ${item.quantity}</p>
-                        </div>
-                    </div>
-                    <div class="text-right">
-                        <p class="text-lg font-semibold text-gray-800">R$ ${itemTotal.toFixed(2).replace('.', ',')}</p>
-                        <button class="btn-remove-from-cart text-red-500 hover:text-red-700 text-sm" data-id="${item.id}">
-                            Remover
-                        </button>
-                    </div>
-                </div>
-            `;
-            DOMElements.cartItemsContainer.innerHTML += cartItem;
-        });
-
-        // Atualiza o texto do total geral
-        DOMElements.cartTotal.textContent = `R$ ${total.toFixed(2).replace('.', ',')}`;
-        
-        // Calcula a quantidade total de itens (somando as quantidades de CADA item)
-        // 'reduce' é um método de array que "reduz" o array a um único valor.
-        // Começa com 'sum' = 0, e para cada 'item', adiciona 'item.quantity' ao 'sum'.
-        const totalItems = state.cart.reduce((sum, item) => sum + item.quantity, 0);
-        
-        // Atualiza o contador no ícone do carrinho
-        DOMElements.cartCount.textContent = totalItems;
+    /**
+     * Cria o elemento de uma notificação.
+     * @param {object} toast - A notificação (mensagem, tipo e ação opcional).
+     * @returns {HTMLElement} O elemento.
+     */
+    function createToastElement(toast) {
+        return h('div', {
+            className: `toast ${TOAST_VARIANTS[toast.variant] || TOAST_VARIANTS.success}`,
+            role: toast.variant === 'error' ? 'alert' : 'status',
+            dataset: { toastId: toast.id },
+        },
+            h('span', {}, toast.message),
+            toast.action
+                ? h('button', { type: 'button', className: 'toast-action', dataset: { toastId: toast.id } }, toast.action.label)
+                : null,
+            h('button', {
+                type: 'button',
+                className: 'toast-dismiss',
+                'aria-label': t('toast.dismiss'),
+                dataset: { toastId: toast.id },
+            }, '×')
+        );
     }
 
-    
     /**
-     * Renderiza a lista de produtos na página de Admin.
+     * (Re)inicia o tempo de uma notificação na tela.
+     * @param {object} toast - A notificação.
+     * @param {number} duration - Quanto tempo (ms) ela ainda deve ficar.
      */
-    function renderAdminProductList() {
-        DOMElements.adminProductList.innerHTML = ''; // Limpa a lista
-        
-        // Se não houver produtos, mostra mensagem
-        if (state.products.length === 0) {
-            DOMElements.adminProductList.innerHTML = '<p class="text-gray-600">Nenhum produto cadastrado.</p>';
-            return;
-        }
+    function startToastTimer(toast, duration) {
+        clearTimeout(toast.timer);
+        toast.remaining = duration;
+        toast.startedAt = Date.now();
+        toast.timer = toastsPaused ? null : setTimeout(() => dismissToast(toast.id), duration);
+    }
 
-        // Itera sobre os produtos e cria o HTML para a lista de admin
-        state.products.forEach(product => {
-            const productItem = `
-                <div class="flex justify-between items-center p-4 border rounded-lg">
-                    <div class="flex items-center">
-                        <img src="${product.img}" alt="${product.name}" class="h-12 w-12 object-cover rounded-lg mr-4">
-                        <div>
-                            <h4 class="text-lg font-semibold text-gray-800">${product.name}</h4>
-                            <p class="text-gray-600">R$ ${product.price.toFixed(2).replace('.', ',')}</p>
-                        </div>
-                    </div>
-                    <button class="btn-delete-product bg-red-500 text-white py-2 px-4 rounded-lg font-semibold hover:bg-red-600 transition-colors" data-id="${product.id}">
-                        Remover
-                    </button>
-                </div>
-            `;
-            DOMElements.adminProductList.innerHTML += productItem;
+    /**
+     * Pausa ou retoma o tempo de todas as notificações na tela.
+     * @param {boolean} paused - true para pausar.
+     */
+    function setToastsPaused(paused) {
+        if (paused === toastsPaused) return;
+        toastsPaused = paused;
+
+        visibleToasts.forEach(toast => {
+            if (paused) {
+                clearTimeout(toast.timer);
+                toast.remaining -= Date.now() - toast.startedAt;
+            } else {
+                startToastTimer(toast, Math.max(toast.remaining, 1000));
+            }
         });
     }
 
-    // ---------------------------------------------------------------------
-    // FUNÇÕES DE LÓGICA DE NEGÓCIO
-    // ---------------------------------------------------------------------
-
     /**
-     * Adiciona um produto ao carrinho (state.cart).
-     * @param {string} productId - O ID do produto a ser adicionado.
+     * Tira uma notificação da tela e dá a vez à próxima da fila.
+     * @param {number} toastId - O ID da notificação.
      */
-    function addToCart(productId) {
-        // 1. Encontra o produto na lista GERAL de produtos
-        const product = state.products.find(p => p.id === productId);
-        if (!product) return; // Se não achar, encerra
+    function dismissToast(toastId) {
+        const toast = visibleToasts.find(item => item.id === toastId);
+        if (!toast) return;
 
-        // 2. Verifica se o item JÁ ESTÁ no carrinho
-        const cartItem = state.cart.find(item => item.id === productId);
+        clearTimeout(toast.timer);
+        visibleToasts = visibleToasts.filter(item => item !== toast);
+        toast.element.classList.remove('show');
+        setTimeout(() => toast.element.remove(), TOAST_EXIT_DURATION);
 
-        if (cartItem) {
-            // 3a. Se JÁ ESTÁ, apenas aumenta a quantidade
-            cartItem.quantity++;
-        } else {
-            // 3b. Se NÃO ESTÁ, adiciona o produto ao carrinho com quantidade 1
-            state.cart.push({
-                id: product.id,
-                name: product.name,
-                price: product.price,
-                img: product.img,
-                quantity: 1
-            });
-        }
-        
-        // 4. Salva o carrinho atualizado no LocalStorage
-        saveCartToLocalStorage();
-        // 5. Redesenha o carrinho na tela
-        renderCart();
-        // 6. Mostra uma notificação de sucesso
-        showToast(`${product.name} adicionado ao carrinho!`);
+        showQueuedToasts();
+        // O botão clicado sai da tela com a notificação e pode levar o foco junto
+        setTimeout(updateToastsPaused, 0);
     }
 
     /**
-     * Remove um item do carrinho.
-     * @param {string} productId - O ID do produto a ser removido.
+     * Pausa os tempos das notificações enquanto o mouse ou o foco estiver sobre elas.
      */
-    function removeFromCart(productId) {
+    function updateToastsPaused() {
+        const container = DOMElements.toastContainer;
+        setToastsPaused(visibleToasts.length > 0
+            && (container.matches(':hover') || container.contains(document.activeElement)));
+    }
+
+    /**
+     * Trata os cliques nas notificações ("Desfazer" e fechar).
+     * @param {Event} e - O evento de clique.
+     */
+    function handleToastClick(e) {
+        const actionButton = e.target.closest('.toast-action');
+        const dismissButton = e.target.closest('.toast-dismiss');
+        const button = actionButton || dismissButton;
+        if (!button) return;
+
+        const toastId = Number(button.dataset.toastId);
+        const toast = visibleToasts.find(item => item.id === toastId);
+        if (!toast) return;
+
+        dismissToast(toastId);
+        // A ação roda uma vez só: a notificação já saiu da tela
+        if (actionButton) toast.action.run();
+    }
+
+    // ---------------------------------------------------------------------
+    // IDIOMA E MOEDA
+    // ---------------------------------------------------------------------
+    // Os textos da loja ficam em 'messages.js', um catálogo por idioma.
+    // O código usa só as chaves (ex: t('cart.empty')) e o HTML marca os
+    // textos fixos com 'data-i18n'. Preços, datas e notas são formatados
+    // com o Intl, no idioma escolhido. Os preços continuam cadastrados e
+    // cobrados em reais: a moeda de exibição só converte o que é mostrado.
+    // ---------------------------------------------------------------------
+
+    /** Catálogos de textos de cada idioma (ver 'messages.js') */
+    const MESSAGES = window.TECHSHOP_MESSAGES || {};
+
+    /** Formatadores de moeda já criados (criar um Intl.NumberFormat é caro) */
+    const currencyFormatters = new Map();
+
+    /**
+     * Busca um texto no idioma atual, trocando os '{nomes}' pelos valores de 'params'.
+     * Textos com plural escolhem a forma pelo 'params.count'. Chaves que faltam no
+     * idioma atual caem no português e, em último caso, na própria chave.
+     * @param {string} key - A chave do texto (ex: 'cart.added').
+     * @param {object} [params] - Os valores do texto (ex: { name: 'Notebook' }).
+     * @returns {string} O texto pronto.
+     */
+    function t(key, params = {}) {
+        const catalog = MESSAGES[state.locale] || {};
+        let message = catalog[key] ?? (MESSAGES[DEFAULT_LOCALE] || {})[key] ?? key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(state.locale).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Coloca um texto traduzido em um elemento e guarda a chave em 'data-i18n',
+     * para o texto acompanhar as trocas de idioma.
+     * @param {HTMLElement} element - O elemento.
+     * @param {string|null} key - A chave do texto (null limpa o elemento).
+     */
+    function setTranslatedText(element, key) {
+        if (key) {
+            element.dataset.i18n = key;
+            element.textContent = t(key);
+        } else {
+            delete element.dataset.i18n;
+            element.textContent = '';
+        }
+    }
+
+    /**
+     * Traduz os textos fixos do HTML: o conteúdo ('data-i18n') e os atributos
+     * 'placeholder', 'aria-label' e 'alt' ('data-i18n-placeholder', ...).
+     */
+    function applyStaticTranslations() {
+        document.documentElement.lang = state.locale;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+        document.querySelectorAll('[data-i18n-alt]').forEach(element => {
+            element.alt = t(element.dataset.i18nAlt);
+        });
+        DOMElements.languageSelect.value = state.locale;
+    }
+
+    /**
+     * Formata um valor em uma moeda, no idioma atual (ex: 1200.5, 'BRL' -> "R$ 1.200,50").
+     * @param {number} value - O valor, já na moeda 'currencyCode'.
+     * @param {string} currencyCode - O código ISO da moeda (ex: 'USD').
+     * @returns {string} O valor formatado.
+     */
+    function formatMoney(value, currencyCode) {
+        const cacheKey = `${state.locale}|${currencyCode}`;
+        if (!currencyFormatters.has(cacheKey)) {
+            currencyFormatters.set(cacheKey, new Intl.NumberFormat(state.locale, { style: 'currency', currency: currencyCode }));
+        }
+        return currencyFormatters.get(cacheKey).format(value);
+    }
+
+    /**
+     * Converte um valor em reais para a moeda de exibição.
+     * @param {number} value - O valor em reais.
+     * @returns {number} O valor na moeda de exibição.
+     */
+    function convertPrice(value) {
+        return value * state.currency.rate;
+    }
+
+    /**
+     * Formata um preço em reais na moeda de exibição (ex: 1200.5 -> "R$ 1.200,50" ou "$240.10").
+     * @param {number} value - O valor em reais.
+     * @returns {string} O preço formatado.
+     */
+    function formatPrice(value) {
+        return formatMoney(convertPrice(value), state.currency.code);
+    }
+
+    /**
+     * @param {string} code - Um código de moeda digitado (ex: 'usd').
+     * @returns {boolean} true se o Intl conhecer a moeda.
+     */
+    function isValidCurrencyCode(code) {
+        if (!/^[A-Z]{3}$/.test(code)) return false;
+        try {
+            new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency: code });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Troca o idioma da loja e redesenha tudo com os novos textos.
+     * @param {string} locale - O idioma (uma das chaves de 'messages.js', ex: 'en-US').
+     */
+    function setLocale(locale) {
+        if (!MESSAGES[locale] || locale === state.locale) return;
+        state.locale = locale;
+        writeStoredValue('techshop_locale', locale);
+        refreshLocaleDependentViews();
+    }
+
+    /**
+     * Redesenha tudo que mostra textos ou preços (depois de trocar o idioma ou a moeda).
+     */
+    function refreshLocaleDependentViews() {
+        applyStaticTranslations();
+        renderAll();
+        renderCatalogImportPreview();
+        renderSyncStatus();
+        renderCurrencySettings();
+        renderShippingTableEditor();
+        renderVariantEditor(readVariantEditor()); // Mantém o que o admin já digitou
+        renderAnalytics();
+        renderCheckout();
+        if (state.viewingProductId) {
+            const product = state.products.find(p => p.id === state.viewingProductId);
+            if (product) renderProductDetailContent(product);
+        }
+    }
+
+    /**
+     * Preenche o formulário "Moeda de Exibição" do admin com a moeda atual
+     * e mostra um exemplo de conversão.
+     */
+    function renderCurrencySettings() {
+        const form = DOMElements.currencyForm;
+        form.elements['currency-code'].value = state.currency.code;
+        form.elements['currency-rate'].value = state.currency.rate;
+        DOMElements.currencyExample.textContent = t('currency.example', {
+            base: formatMoney(100, BASE_CURRENCY),
+            converted: formatPrice(100),
+        });
+    }
+
+    /**
+     * Lida com o envio do formulário "Moeda de Exibição" (só administradores).
+     * @param {Event} e - O evento de 'submit'.
+     */
+    function handleCurrencyFormSubmit(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
+
+        const form = e.target;
+        const code = form.elements['currency-code'].value.trim().toUpperCase();
+        const rate = code === BASE_CURRENCY ? 1 : parseFloat(form.elements['currency-rate'].value);
+
+        if (!isValidCurrencyCode(code)) {
+            showToast(t('currency.invalidCode'), 'error');
+            return;
+        }
+        if (!Number.isFinite(rate) || rate <= 0) {
+            showToast(t('currency.invalidRate'), 'error');
+            return;
+        }
+
+        state.currency = { code, rate };
+        writeStoredValue('techshop_currency', state.currency);
+        refreshLocaleDependentViews();
+        showToast(t('currency.saved', { code }));
+    }
+
+    // ---------------------------------------------------------------------
+    // MÓDULO DE ARMAZENAMENTO (versão dos dados, migrações e recuperação)
+    // ---------------------------------------------------------------------
+    // Todo acesso aos dados salvos passa por aqui (readStoredValue,
+    // writeStoredValue e removeStoredValue). O módulo:
+    //   - guarda a versão do formato dos dados e roda as migrações pendentes;
+    //   - confere o formato de cada valor lido e descarta o que estiver
+    //     corrompido (com um aviso), em vez de quebrar a loja inteira;
+    //   - quando o localStorage enche (catálogos grandes, imagens em data URL),
+    //     guarda o valor no IndexedDB e deixa só uma marcação no localStorage.
+    // ---------------------------------------------------------------------
+
+    /** Chave onde fica a versão do formato dos dados salvos */
+    const SCHEMA_VERSION_KEY = 'techshop_schema_version';
+
+    /** Marcação deixada no localStorage quando o valor de verdade está no IndexedDB */
+    const INDEXED_DB_MARKER = '@indexeddb';
+
+    /** Nome do banco e da "tabela" do IndexedDB usados quando o localStorage enche */
+    const INDEXED_DB_NAME = 'techshop';
+    const INDEXED_DB_STORE = 'entries';
+
+    /**
+     * Migrações do formato dos dados, em ordem. Cada uma leva os dados da versão
+     * anterior para a sua 'version'. Para mudar o formato de algo já salvo,
+     * adicione uma migração no fim da lista (nunca altere uma que já existe).
+     */
+    const STORAGE_MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Produtos ganham categoria e estoque; contas ganham papel',
+            migrate() {
+                const products = readRawStoredValue('techshop_products');
+                if (Array.isArray(products)) {
+                    products.forEach(product => {
+                        if (!product || typeof product !== 'object') return;
+                        if (!product.category) product.category = DEFAULT_CATEGORY;
+                        if (!Number.isInteger(product.stock)) product.stock = DEFAULT_STOCK;
+                    });
+                    writeStoredValue('techshop_products', products);
+                }
+
+                const users = readRawStoredValue('techshop_users');
+                if (Array.isArray(users)) {
+                    users.forEach(user => {
+                        // Contas criadas antes dos papéis existirem são clientes
+                        if (user && typeof user === 'object' && !user.role) user.role = 'customer';
+                    });
+                    writeStoredValue('techshop_users', users);
+                }
+            },
+        },
+        {
+            version: 2,
+            description: 'Cupom aplicado ao carrinho passa a ser salvo em JSON',
+            migrate() {
+                getStoredKeys()
+                    .filter(key => /^techshop_cart.*_coupon$/.test(key))
+                    .forEach(key => {
+                        const raw = localStorage.getItem(key);
+                        // Códigos só de números (ex: 100) também são um JSON válido, mas viram número
+                        if (typeof readRawStoredValue(key) !== 'string') writeStoredValue(key, raw);
+                    });
+            },
+        },
+        {
+            version: 3,
+            description: 'Produtos ganham peso e medidas da embalagem (para o frete)',
+            migrate() {
+                const products = readRawStoredValue('techshop_products');
+                if (!Array.isArray(products)) return;
+                products.forEach(product => {
+                    if (!product || typeof product !== 'object') return;
+                    // Medidas de uma caixa média; o admin pode ajustar cada produto
+                    Object.entries(DEFAULT_PACKAGE).forEach(([field, value]) => {
+                        if (!Number.isFinite(product[field])) product[field] = value;
+                    });
+                });
+                writeStoredValue('techshop_products', products);
+            },
+        },
+        {
+            version: 4,
+            description: 'Limite de eventos das estatísticas passa a ter um máximo menor',
+            migrate() {
+                const settings = readRawStoredValue('techshop_analytics_settings');
+                if (!isPlainObject(settings) || !Number.isInteger(settings.maxEvents)) return;
+                // Um limite acima do novo máximo fica no máximo (e os eventos a mais são apagados)
+                const maxEvents = Math.min(settings.maxEvents, ANALYTICS_MAX_EVENTS_RANGE.max);
+                writeStoredValue('techshop_analytics_settings', { ...settings, maxEvents });
+                const events = readRawStoredValue('techshop_analytics');
+                if (Array.isArray(events) && events.length > maxEvents) writeStoredValue('techshop_analytics', events.slice(-maxEvents));
+            },
+        },
+    ];
+
+    /** Versão atual do formato dos dados (a da última migração) */
+    const CURRENT_SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+    /**
+     * O formato esperado de cada chave salva. 'items' confere cada item de uma lista
+     * (itens inválidos são descartados); 'validate' confere o valor inteiro.
+     * Vale a primeira regra cuja 'pattern' combinar com a chave.
+     */
+    const STORAGE_SCHEMAS = [
+        { pattern: /^techshop_products$/, items: isStoredProduct },
+        { pattern: /^techshop_orders$/, items: order => isPlainObject(order) && typeof order.id === 'string' && Array.isArray(order.items) },
+        { pattern: /^techshop_guest_orders$/, items: orderId => typeof orderId === 'string' },
+        { pattern: /^techshop_users$/, items: isStoredUser },
+        { pattern: /^techshop_reviews$/, items: isStoredReview },
+        { pattern: /^techshop_coupons$/, items: coupon => isPlainObject(coupon) && typeof coupon.code === 'string' && typeof coupon.type === 'string' },
+        { pattern: /^techshop_promotions$/, items: promotion => isPlainObject(promotion) && typeof promotion.productId === 'string' && Number.isInteger(promotion.buy) && Number.isInteger(promotion.pay) },
+        { pattern: /^techshop_cart.*_coupon$/, validate: code => typeof code === 'string' },
+        { pattern: /^techshop_cart.*_shipping$/, validate: choice => isPlainObject(choice) && typeof choice.cep === 'string' && typeof choice.service === 'string' },
+        { pattern: /^techshop_cart/, items: isStoredCartItem },
+        { pattern: /^techshop_wishlist/, items: isStoredWishlistItem },
+        { pattern: /^techshop_session$/, validate: session => isPlainObject(session) && typeof session.userId === 'string' },
+        { pattern: /^techshop_(filters|user)$/, validate: isPlainObject },
+        { pattern: /^techshop_locale$/, validate: locale => typeof locale === 'string' },
+        { pattern: /^techshop_shipping_table$/, validate: isStoredShippingTable },
+        { pattern: /^techshop_analytics$/, items: isStoredAnalyticsEvent },
+        { pattern: /^techshop_analytics_settings$/, validate: settings => isPlainObject(settings) && isValidAnalyticsMaxEvents(settings.maxEvents) },
+        { pattern: /^techshop_currency$/, validate: currency => isPlainObject(currency) && typeof currency.code === 'string' && Number.isFinite(currency.rate) && currency.rate > 0 },
+    ];
+
+    /** Valores guardados no IndexedDB, carregados na memória ao abrir a loja (a leitura do IndexedDB é assíncrona) */
+    const indexedDbCache = new Map();
+
+    /** Banco do IndexedDB (null se o navegador não tiver IndexedDB) */
+    let fallbackDatabase = null;
+
+    /** Chaves que estavam corrompidas e foram recuperadas nesta visita (para avisar o usuário) */
+    const storageRecoveries = [];
+
+    /**
+     * @param {*} value - Um valor qualquer.
+     * @returns {boolean} true se for um objeto comum (e não null ou um array).
+     */
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de um produto salvo */
+    function isStoredProduct(product) {
+        return isPlainObject(product) &&
+            typeof product.id === 'string' &&
+            typeof product.name === 'string' &&
+            Number.isFinite(product.price) &&
+            Number.isInteger(product.stock) &&
+            typeof product.category === 'string' &&
+            (product.options === undefined || (Array.isArray(product.options) && product.options.every(isStoredVariantOption))) &&
+            (product.variants === undefined || (Array.isArray(product.variants) && product.variants.every(isStoredVariant)));
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de uma opção de produto (ex: { name: 'Cor', values: ['Preto'] }) */
+    function isStoredVariantOption(option) {
+        return isPlainObject(option) &&
+            typeof option.name === 'string' &&
+            Array.isArray(option.values) &&
+            option.values.every(value => typeof value === 'string');
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de uma variação de produto */
+    function isStoredVariant(variant) {
+        return isPlainObject(variant) &&
+            typeof variant.sku === 'string' &&
+            isPlainObject(variant.options) &&
+            Object.values(variant.options).every(value => typeof value === 'string') &&
+            Number.isFinite(variant.price) &&
+            Number.isInteger(variant.stock);
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de uma conta salva */
+    function isStoredUser(user) {
+        return isPlainObject(user) &&
+            typeof user.id === 'string' &&
+            typeof user.email === 'string' &&
+            typeof user.passwordHash === 'string' &&
+            typeof user.salt === 'string';
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de uma avaliação salva */
+    function isStoredReview(review) {
+        return isPlainObject(review) &&
+            typeof review.id === 'string' &&
+            typeof review.productId === 'string' &&
+            typeof review.userId === 'string' &&
+            Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5 &&
+            typeof review.text === 'string' &&
+            typeof review.createdAt === 'string';
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de um item de carrinho salvo */
+    function isStoredCartItem(item) {
+        return isPlainObject(item) &&
+            typeof item.id === 'string' &&
+            (item.sku === undefined || typeof item.sku === 'string') &&
+            Number.isFinite(item.price) &&
+            Number.isInteger(item.quantity) && item.quantity > 0;
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de uma tabela de frete salva */
+    function isStoredShippingTable(table) {
+        return isPlainObject(table) &&
+            Number.isFinite(table.freeShippingThreshold) &&
+            Array.isArray(table.regions) &&
+            table.regions.every(region => isPlainObject(region) &&
+                typeof region.cepStart === 'string' &&
+                typeof region.cepEnd === 'string' &&
+                Object.keys(SHIPPING_SERVICES).every(service => isPlainObject(region[service])));
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de um evento das estatísticas */
+    function isStoredAnalyticsEvent(event) {
+        return isPlainObject(event) &&
+            Object.keys(ANALYTICS_EVENT_TYPES).includes(event.type) &&
+            typeof event.productId === 'string' &&
+            typeof event.at === 'string' && !Number.isNaN(Date.parse(event.at));
+    }
+
+    /** @returns {boolean} true se o valor tiver o formato de um favorito salvo */
+    function isStoredWishlistItem(item) {
+        return isPlainObject(item) &&
+            typeof item.id === 'string' &&
+            Number.isFinite(item.savedPrice) &&
+            typeof item.addedAt === 'string';
+    }
+
+    /**
+     * Lista as chaves da loja que existem no localStorage.
+     * @returns {string[]} As chaves que começam com 'techshop_'.
+     */
+    function getStoredKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith('techshop_')) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Converte um pedido do IndexedDB (que avisa por eventos) em uma Promise.
+     * @param {IDBRequest} request - O pedido feito ao IndexedDB.
+     * @returns {Promise<*>} O resultado do pedido.
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Abre (ou cria) o banco do IndexedDB usado quando o localStorage enche.
+     * @returns {Promise<IDBDatabase|null>} O banco, ou null se o navegador não tiver IndexedDB.
+     */
+    async function openFallbackDatabase() {
+        if (!window.indexedDB) return null;
+
+        const request = indexedDB.open(INDEXED_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+        return promisifyRequest(request);
+    }
+
+    /**
+     * Grava (ou apaga, com 'value' undefined) uma chave no IndexedDB.
+     * @param {string} key - A chave.
+     * @param {*} [value] - O valor a gravar.
+     * @returns {Promise<void>}
+     */
+    function writeIndexedDbEntry(key, value) {
+        const store = fallbackDatabase.transaction(INDEXED_DB_STORE, 'readwrite').objectStore(INDEXED_DB_STORE);
+        return promisifyRequest(value === undefined ? store.delete(key) : store.put(value, key));
+    }
+
+    /**
+     * Prepara o armazenamento: abre o IndexedDB, carrega o que está guardado nele
+     * e roda as migrações pendentes. Deve ser chamada antes de qualquer leitura.
+     */
+    async function initStorage() {
+        try {
+            fallbackDatabase = await openFallbackDatabase();
+            if (fallbackDatabase) {
+                const store = fallbackDatabase.transaction(INDEXED_DB_STORE).objectStore(INDEXED_DB_STORE);
+                const [keys, values] = await Promise.all([
+                    promisifyRequest(store.getAllKeys()),
+                    promisifyRequest(store.getAll()),
+                ]);
+                keys.forEach((key, index) => indexedDbCache.set(key, values[index]));
+            }
+        } catch (error) {
+            console.warn('[armazenamento] IndexedDB indisponível, usando só o localStorage:', error);
+            fallbackDatabase = null;
+        }
+
+        runStorageMigrations();
+    }
+
+    /**
+     * Roda, em ordem, as migrações mais novas que a versão dos dados salvos.
+     * Se uma migração falhar, as seguintes não rodam e a versão fica na última que deu certo.
+     */
+    function runStorageMigrations() {
+        const storedVersion = Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+
+        if (storedVersion > CURRENT_SCHEMA_VERSION) {
+            // Dados salvos por uma versão mais nova da loja (ex: outra aba já atualizada)
+            console.warn(`[armazenamento] Dados na versão ${storedVersion}, mais nova que a ${CURRENT_SCHEMA_VERSION} desta página.`);
+            return;
+        }
+
+        for (const migration of STORAGE_MIGRATIONS) {
+            if (migration.version <= storedVersion) continue;
+
+            try {
+                migration.migrate();
+                localStorage.setItem(SCHEMA_VERSION_KEY, String(migration.version));
+            } catch (error) {
+                console.error(`[armazenamento] Falha na migração ${migration.version} (${migration.description}):`, error);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Lê uma chave sem conferir o formato (usado pelas migrações).
+     * @param {string} key - A chave.
+     * @returns {*} O valor salvo, ou undefined se não existir ou não for um JSON válido.
+     */
+    function readRawStoredValue(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return undefined;
+        if (raw === INDEXED_DB_MARKER) return indexedDbCache.get(key);
+
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Descarta um valor corrompido, guardando uma cópia em '<chave>_corrupt' para análise.
+     * @param {string} key - A chave corrompida.
+     * @param {string} reason - O problema encontrado.
+     */
+    function recoverCorruptValue(key, reason) {
+        console.warn(`[armazenamento] "${key}" foi descartado: ${reason}`);
+
+        try {
+            localStorage.setItem(`${key}_corrupt`, localStorage.getItem(key));
+        } catch {
+            // Sem espaço para a cópia: o valor é descartado mesmo assim
+        }
+        removeStoredValue(key);
+        storageRecoveries.push(key);
+    }
+
+    /**
+     * Lê um valor salvo, conferindo o formato esperado para a chave.
+     * Valores corrompidos são descartados (com aviso) e itens inválidos de listas são removidos.
+     * @param {string} key - A chave.
+     * @returns {*} O valor salvo, ou null se não existir (ou estava corrompido).
+     */
+    function readStoredValue(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return null;
+
+        let value;
+        if (raw === INDEXED_DB_MARKER) {
+            value = indexedDbCache.get(key);
+            if (value === undefined) {
+                recoverCorruptValue(key, 'o valor deveria estar no IndexedDB, mas não foi encontrado.');
+                return null;
+            }
+        } else {
+            try {
+                value = JSON.parse(raw);
+            } catch {
+                recoverCorruptValue(key, 'o texto salvo não é um JSON válido.');
+                return null;
+            }
+        }
+
+        const schema = STORAGE_SCHEMAS.find(rule => rule.pattern.test(key));
+        if (!schema) return value;
+
+        if (schema.items) {
+            if (!Array.isArray(value)) {
+                recoverCorruptValue(key, 'era esperada uma lista.');
+                return null;
+            }
+
+            const validItems = value.filter(schema.items);
+            if (validItems.length < value.length) {
+                console.warn(`[armazenamento] "${key}": ${value.length - validItems.length} item(ns) inválido(s) descartado(s).`);
+                storageRecoveries.push(key);
+                writeStoredValue(key, validItems);
+            }
+            return validItems;
+        }
+
+        if (schema.validate && !schema.validate(value)) {
+            recoverCorruptValue(key, 'o valor não tem o formato esperado.');
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * @param {Error} error - Um erro lançado pelo localStorage.
+     * @returns {boolean} true se o erro for de falta de espaço.
+     */
+    function isQuotaExceededError(error) {
+        return error instanceof DOMException &&
+            (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Salva um valor. Se o localStorage estiver cheio, o valor vai para o IndexedDB.
+     * @param {string} key - A chave.
+     * @param {*} value - O valor (qualquer coisa que vire JSON).
+     */
+    function writeStoredValue(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            // Voltou a caber no localStorage: a cópia do IndexedDB não é mais necessária
+            if (indexedDbCache.delete(key) && fallbackDatabase) {
+                writeIndexedDbEntry(key).catch(error => console.warn(`[armazenamento] Falha ao limpar "${key}" do IndexedDB:`, error));
+            }
+            return;
+        } catch (error) {
+            if (!isQuotaExceededError(error)) throw error;
+        }
+
+        if (!fallbackDatabase) {
+            // Sem IndexedDB: o valor continua só na memória até a página fechar
+            console.warn(`[armazenamento] Sem espaço para salvar "${key}".`);
+            showToast(t('storage.full'), 'error');
+            return;
+        }
+
+        indexedDbCache.set(key, value);
+        localStorage.removeItem(key); // Libera o espaço do valor antigo antes de gravar a marcação
+        localStorage.setItem(key, INDEXED_DB_MARKER);
+        writeIndexedDbEntry(key, value).catch(error => {
+            console.error(`[armazenamento] Falha ao salvar "${key}" no IndexedDB:`, error);
+            showToast(t('storage.saveFailed'), 'error');
+        });
+    }
+
+    /**
+     * Apaga um valor salvo (do localStorage e, se for o caso, do IndexedDB).
+     * @param {string} key - A chave.
+     */
+    function removeStoredValue(key) {
+        localStorage.removeItem(key);
+        if (indexedDbCache.delete(key) && fallbackDatabase) {
+            writeIndexedDbEntry(key).catch(error => console.warn(`[armazenamento] Falha ao apagar "${key}" do IndexedDB:`, error));
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // DATA SOURCES (de onde vêm produtos, carrinhos, favoritos, contas, pedidos e avaliações)
+    // ---------------------------------------------------------------------
+    // Produtos, carrinhos, favoritos, contas, pedidos e avaliações podem ficar no próprio navegador
+    // (localStorage, o padrão) ou em uma API REST. A escolha fica em 'config.js':
+    //   window.TECHSHOP_CONFIG = { dataSource: 'rest', apiBaseUrl: 'http://localhost:3000/api' };
+    // Para testar sem um backend de verdade: 'node mock-server.js'.
+    //
+    // As alterações são "otimistas": aparecem na tela na hora e são enviadas
+    // em seguida ('syncChange'). Se o envio falhar, o 'state' volta ao último
+    // valor confirmado e a tela é redesenhada.
+    // Filtros, sessão, pedidos de visitante (só os IDs), cupons, promoções, tabela de frete, idioma e moeda ficam sempre no navegador.
+    // ---------------------------------------------------------------------
+
+    /**
+     * O que toda implementação de data source oferece. Todas as funções retornam Promises;
+     * 'list' e 'get' resolvem null quando ainda não há nada salvo.
+     * @typedef {object} DataSource
+     * @property {string} name - 'local' ou 'rest'.
+     * @property {{list: Function, save: Function, remove: Function, saveAll: Function}} products -
+     *   list(), save(produto) (cria ou atualiza), remove(id) e saveAll(produtos) (substitui o catálogo).
+     * @property {{get: Function, save: Function, remove: Function}} cart -
+     *   Carrinhos por dono ('guest' ou o ID da conta): get(dono), save(dono, itens) e remove(dono).
+     * @property {{get: Function, save: Function, remove: Function}} wishlist -
+     *   Favoritos por dono, como os carrinhos: get(dono), save(dono, itens) e remove(dono).
+     * @property {{list: Function, save: Function}} users - list() e save(conta) (cria ou atualiza).
+     * @property {{list: Function, create: Function}} orders - list() e create(pedido), que também
+     *   dá baixa no estoque dos itens vendidos (os dois juntos, ou nenhum).
+     * @property {{list: Function, save: Function, remove: Function}} reviews -
+     *   list(), save(avaliação) (cria ou atualiza) e remove(id).
+     */
+
+    /**
+     * Retorna a chave do LocalStorage do carrinho de um dono.
+     * @param {string} owner - 'guest' (visitante) ou o ID da conta.
+     * @returns {string} A chave ('techshop_cart' ou 'techshop_cart_<id>').
+     */
+    function getLocalCartKey(owner) {
+        return owner === 'guest' ? 'techshop_cart' : `techshop_cart_${owner}`;
+    }
+
+    /**
+     * Retorna a chave do LocalStorage dos favoritos de um dono.
+     * @param {string} owner - 'guest' (visitante) ou o ID da conta.
+     * @returns {string} A chave ('techshop_wishlist' ou 'techshop_wishlist_<id>').
+     */
+    function getLocalWishlistKey(owner) {
+        return owner === 'guest' ? 'techshop_wishlist' : `techshop_wishlist_${owner}`;
+    }
+
+    /**
+     * Cria ou atualiza (pelo ID) um item de uma lista salva.
+     * @param {string} key - A chave da lista.
+     * @param {object} item - O item, com 'id'.
+     */
+    function upsertStoredItem(key, item) {
+        const items = readStoredValue(key) || [];
+        const index = items.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+            items.push(item);
+        } else {
+            items[index] = item;
+        }
+        writeStoredValue(key, items);
+    }
+
+    /** @type {DataSource} Dados guardados no próprio navegador (módulo de armazenamento) */
+    const localDataSource = {
+        name: 'local',
+        products: {
+            list: async () => readStoredValue('techshop_products'),
+            save: async product => upsertStoredItem('techshop_products', product),
+            remove: async productId => writeStoredValue('techshop_products',
+                (readStoredValue('techshop_products') || []).filter(product => product.id !== productId)),
+            saveAll: async products => writeStoredValue('techshop_products', products),
+        },
+        cart: {
+            get: async owner => readStoredValue(getLocalCartKey(owner)),
+            save: async (owner, cart) => writeStoredValue(getLocalCartKey(owner), cart),
+            remove: async owner => removeStoredValue(getLocalCartKey(owner)),
+        },
+        wishlist: {
+            get: async owner => readStoredValue(getLocalWishlistKey(owner)),
+            save: async (owner, items) => writeStoredValue(getLocalWishlistKey(owner), items),
+            remove: async owner => removeStoredValue(getLocalWishlistKey(owner)),
+        },
+        users: {
+            list: async () => readStoredValue('techshop_users'),
+            save: async user => upsertStoredItem('techshop_users', user),
+        },
+        orders: {
+            list: async () => readStoredValue('techshop_orders'),
+            create: async order => {
+                const products = readStoredValue('techshop_products') || [];
+                // Outra aba pode ter vendido o estoque antes: sem estoque para tudo, nada é gravado
+                const unavailableItem = findOutOfStockItem(products, order.items);
+                if (unavailableItem) throw new Error(t('checkout.outOfStock', { name: getCartItemLabel(unavailableItem) }));
+                deductOrderStock(products, order);
+                writeStoredValue('techshop_products', products);
+                upsertStoredItem('techshop_orders', order);
+            },
+        },
+        reviews: {
+            list: async () => readStoredValue('techshop_reviews'),
+            save: async review => upsertStoredItem('techshop_reviews', review),
+            remove: async reviewId => writeStoredValue('techshop_reviews',
+                (readStoredValue('techshop_reviews') || []).filter(review => review.id !== reviewId)),
+        },
+    };
+
+    /**
+     * Cria um data source que conversa com uma API REST (JSON via fetch).
+     * Rotas: /products, /products/:id, /carts/:dono, /users, /users/:id e /orders.
+     * Só para demonstração: o login é conferido aqui no navegador (por isso /users
+     * devolve o hash e o "sal" das senhas) e as requisições não levam nenhuma credencial.
+     * @param {string} baseUrl - O endereço da API (ex: 'http://localhost:3000/api').
+     * @returns {DataSource} O data source.
+     */
+    function createRestDataSource(baseUrl) {
+        /**
+         * Faz uma requisição à API.
+         * @param {string} method - O método HTTP.
+         * @param {string} path - O caminho (ex: '/products').
+         * @param {*} [body] - O corpo, enviado como JSON.
+         * @returns {Promise<*>} A resposta já convertida de JSON (null se vier vazia).
+         * @throws {Error} Se não houver conexão ou o servidor responder com erro.
+         */
+        async function request(method, path, body) {
+            let response;
+            try {
+                response = await fetch(`${baseUrl}${path}`, {
+                    method,
+                    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                });
+            } catch {
+                throw new Error(t('data.offline'));
+            }
+
+            if (!response.ok) throw new Error(t('data.serverError', { status: response.status }));
+            if (response.status === 204) return null;
+            return response.json();
+        }
+
+        /** Busca uma lista, conferindo se o servidor respondeu mesmo uma lista */
+        async function requestList(path) {
+            const items = await request('GET', path);
+            if (items !== null && !Array.isArray(items)) throw new Error(t('data.invalidResponse', { path }));
+            return items;
+        }
+
+        const id = value => encodeURIComponent(value);
+
+        return {
+            name: 'rest',
+            products: {
+                list: () => requestList('/products'),
+                save: product => request('PUT', `/products/${id(product.id)}`, product),
+                remove: productId => request('DELETE', `/products/${id(productId)}`),
+                saveAll: products => request('PUT', '/products', products),
+            },
+            cart: {
+                get: owner => requestList(`/carts/${id(owner)}`),
+                save: (owner, cart) => request('PUT', `/carts/${id(owner)}`, cart),
+                remove: owner => request('DELETE', `/carts/${id(owner)}`),
+            },
+            wishlist: {
+                get: owner => requestList(`/wishlists/${id(owner)}`),
+                save: (owner, items) => request('PUT', `/wishlists/${id(owner)}`, items),
+                remove: owner => request('DELETE', `/wishlists/${id(owner)}`),
+            },
+            users: {
+                list: () => requestList('/users'),
+                save: user => request('PUT', `/users/${id(user.id)}`, user),
+            },
+            orders: {
+                list: () => requestList('/orders'),
+                create: order => request('POST', '/orders', order),
+            },
+            reviews: {
+                list: () => requestList('/reviews'),
+                save: review => request('PUT', `/reviews/${id(review.id)}`, review),
+                remove: reviewId => request('DELETE', `/reviews/${id(reviewId)}`),
+            },
+        };
+    }
+
+    /**
+     * Escolhe o data source conforme a configuração da página (window.TECHSHOP_CONFIG).
+     * @param {object} [config={}] - A configuração ({ dataSource: 'local'|'rest', apiBaseUrl }).
+     * @returns {DataSource} O data source a usar.
+     */
+    function createDataSource(config = {}) {
+        if (config.dataSource === 'rest') {
+            if (!config.apiBaseUrl) console.warn('[dados] "apiBaseUrl" não configurada; usando "/api".');
+            return createRestDataSource((config.apiBaseUrl || '/api').replace(/\/+$/, ''));
+        }
+        if (config.dataSource && config.dataSource !== 'local') {
+            console.warn(`[dados] Data source "${config.dataSource}" desconhecido; usando o localStorage.`);
+        }
+        return localDataSource;
+    }
+
+    /** O data source em uso */
+    const dataSource = createDataSource(window.TECHSHOP_CONFIG);
+
+    /** Último valor confirmado pelo data source de cada parte do 'state' (usado para desfazer) */
+    const confirmedState = { products: [], cart: [], wishlist: [], users: [], orders: [], reviews: [] };
+
+    /**
+     * Copia um valor que vira JSON (produtos, carrinho, favoritos, contas, pedidos, avaliações).
+     * @param {*} value - O valor.
+     * @returns {*} Uma cópia independente.
+     */
+    function cloneData(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Marca partes do 'state' como confirmadas pelo data source (ex: logo depois de carregar).
+     * @param {...string} slices - As partes ('products', 'cart', 'wishlist', 'users', 'orders', 'reviews').
+     */
+    function rememberConfirmedState(...slices) {
+        slices.forEach(slice => {
+            confirmedState[slice] = cloneData(state[slice]);
+        });
+    }
+
+    /**
+     * Envia ao data source uma alteração que já foi aplicada no 'state' (atualização otimista).
+     * Se o envio falhar, as partes alteradas voltam ao último valor confirmado e a tela é redesenhada.
+     * @param {string[]} slices - As partes do 'state' alteradas ('products', 'cart', 'wishlist', 'users', 'orders', 'reviews').
+     * @param {function(): Promise<*>} request - A chamada ao data source.
+     * @param {string} errorMessage - O aviso mostrado se a alteração for desfeita.
+     * @returns {Promise<boolean>} true se o data source confirmou a alteração.
+     */
+    async function syncChange(slices, request, errorMessage) {
+        const optimisticState = cloneData(Object.fromEntries(slices.map(slice => [slice, state[slice]])));
+        const cartOwner = getCartOwner(); // O dono pode mudar (login/logout) antes da resposta chegar
+
+        state.dataStatus.pending++;
+        renderSyncStatus();
+        try {
+            await request();
+            slices.forEach(slice => {
+                confirmedState[slice] = optimisticState[slice];
+            });
+            broadcastChange(optimisticState, cartOwner);
+            return true;
+        } catch (error) {
+            console.error('[dados]', errorMessage, error);
+            slices.forEach(slice => {
+                state[slice] = cloneData(confirmedState[slice]);
+            });
+            renderAll();
+            showToast(t('data.rolledBack', { message: errorMessage, error: error.message }), 'error');
+            return false;
+        } finally {
+            state.dataStatus.pending--;
+            renderSyncStatus();
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // SINCRONIZAÇÃO ENTRE ABAS
+    // ---------------------------------------------------------------------
+    // Com a loja aberta em várias abas, cada alteração confirmada é avisada às
+    // outras pelo BroadcastChannel (ou, em navegadores sem ele, pelo evento
+    // 'storage' do localStorage). Quem recebe faz um "merge de três vias" item
+    // a item, em vez de simplesmente trocar tudo pela versão da outra aba:
+    //   - base:   o último valor confirmado que esta aba conhecia;
+    //   - local:  o que está na tela desta aba (pode ter alterações pendentes);
+    //   - remoto: o valor novo vindo da outra aba.
+    // Se só um dos lados mexeu num item, vale esse lado; se os dois mexeram,
+    // vale a edição mais recente ('updatedAt') ou, na dúvida, a da outra aba.
+    // ---------------------------------------------------------------------
+
+    /** Nome do canal usado entre as abas */
+    const TAB_SYNC_CHANNEL = 'techshop';
+
+    /** Canal de comunicação entre abas (null se o navegador não tiver BroadcastChannel) */
+    const tabChannel = 'BroadcastChannel' in window ? new BroadcastChannel(TAB_SYNC_CHANNEL) : null;
+
+    /**
+     * Compara dois valores que viram JSON.
+     * @returns {boolean} true se tiverem o mesmo conteúdo.
+     */
+    function isSameData(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Junta duas versões de uma lista que partiram da mesma base (merge de três vias).
+     * @param {object[]} base - A versão que as duas abas conheciam.
+     * @param {object[]} local - A versão desta aba.
+     * @param {object[]} remote - A versão da outra aba.
+     * @param {function(object): string} [getKey] - Como identificar um item (padrão: o 'id').
+     * @returns {object[]} A lista combinada, na ordem desta aba (itens novos da outra aba vão no fim).
+     */
+    function mergeById(base, local, remote, getKey = item => item.id) {
+        const toMap = items => new Map(items.map(item => [getKey(item), item]));
+        const baseItems = toMap(base);
+        const localItems = toMap(local);
+        const remoteItems = toMap(remote);
+
+        const pickVersion = key => {
+            const baseItem = baseItems.get(key);
+            const localItem = localItems.get(key);
+            const remoteItem = remoteItems.get(key);
+
+            if (isSameData(localItem, baseItem)) return remoteItem; // Só a outra aba mexeu (ou ninguém)
+            if (isSameData(remoteItem, baseItem)) return localItem; // Só esta aba mexeu
+            // As duas mexeram: vale a edição mais recente
+            if (localItem && remoteItem && localItem.updatedAt && remoteItem.updatedAt &&
+                localItem.updatedAt > remoteItem.updatedAt) {
+                return localItem;
+            }
+            return remoteItem;
+        };
+
+        const keys = [...localItems.keys(), ...[...remoteItems.keys()].filter(key => !localItems.has(key))];
+        return keys.map(pickVersion).filter(Boolean).map(cloneData);
+    }
+
+    /**
+     * Avisa as outras abas sobre uma alteração confirmada pelo data source.
+     * @param {object} changes - As partes do 'state' alteradas (ex: { products: [...] }).
+     * @param {string} cartOwner - O dono do carrinho (e dos favoritos) no momento da alteração.
+     */
+    function broadcastChange(changes, cartOwner) {
+        if (!tabChannel) return; // Sem BroadcastChannel, as outras abas usam o evento 'storage'
+        tabChannel.postMessage({ type: 'state-changed', changes, cartOwner });
+    }
+
+    /**
+     * Começa a ouvir as alterações feitas em outras abas.
+     */
+    function setupTabSync() {
+        // As estatísticas ficam sempre no navegador: basta reler os eventos que a outra aba gravou
+        window.addEventListener('storage', e => {
+            if (e.key === 'techshop_analytics') reloadAnalyticsEvents();
+        });
+
+        if (tabChannel) {
+            tabChannel.addEventListener('message', e => {
+                if (e.data && e.data.type === 'state-changed') {
+                    applyRemoteChanges(e.data.changes, e.data.cartOwner);
+                }
+            });
+            return;
+        }
+
+        // Sem BroadcastChannel: o evento 'storage' avisa quando outra aba grava no localStorage
+        if (dataSource.name !== 'local') return;
+        window.addEventListener('storage', e => {
+            if (e.key === 'techshop_products') {
+                applyRemoteChanges({ products: readStoredValue(e.key) || [] });
+            } else if (e.key === getCartStorageKey()) {
+                applyRemoteChanges({ cart: readStoredValue(e.key) || [] }, getCartOwner());
+            } else if (e.key === getLocalWishlistKey(getCartOwner())) {
+                applyRemoteChanges({ wishlist: readStoredValue(e.key) || [] }, getCartOwner());
+            } else if (e.key === 'techshop_users' || e.key === 'techshop_orders' || e.key === 'techshop_reviews') {
+                applyRemoteChanges({ [e.key.replace('techshop_', '')]: readStoredValue(e.key) || [] });
+            }
+        });
+    }
+
+    /**
+     * Junta ao 'state' as alterações vindas de outra aba e redesenha o que mudou.
+     * @param {object} changes - As partes alteradas ('products', 'cart', 'wishlist', 'users', 'orders', 'reviews').
+     * @param {string} [cartOwner] - De quem são o carrinho e os favoritos em 'changes'.
+     */
+    function applyRemoteChanges(changes, cartOwner) {
+        // Enquanto os dados carregam, as mudanças já vão chegar pelo próprio carregamento
+        if (state.dataStatus.loading) return;
+
+        const changedSlices = Object.keys(changes).filter(slice => {
+            if (!(slice in confirmedState)) return false;
+            // Carrinho/favoritos de outra conta (ex: a outra aba está logada com outro usuário)
+            if ((slice === 'cart' || slice === 'wishlist') && cartOwner !== getCartOwner()) return false;
+
+            // As linhas do carrinho são identificadas pelo produto e pela variação
+            const merged = mergeById(confirmedState[slice], state[slice], changes[slice], slice === 'cart' ? getCartItemKey : undefined);
+            confirmedState[slice] = cloneData(changes[slice]);
+            if (isSameData(merged, state[slice])) return false;
+
+            state[slice] = merged;
+            return true;
+        });
+        if (changedSlices.length === 0) return;
+
+        if (changedSlices.includes('products')) {
+            // O produto aberto no formulário de edição pode ter sido removido na outra aba
+            if (state.editingProductId && !state.products.some(p => p.id === state.editingProductId)) {
+                cancelProductEdit();
+            }
+            refreshAfterCatalogChange();
+        }
+        if (changedSlices.includes('cart')) renderCart();
+        if (changedSlices.includes('wishlist')) refreshWishlist();
+        if (changedSlices.includes('orders')) renderOrders();
+        if (changedSlices.includes('users')) renderAuthState();
+        if (changedSlices.includes('reviews')) {
+            renderProductGrid();
+            renderProductReviews();
+            renderAdminReviewList();
+        }
+
+        showToast(t('tabSync.updated', { parts: changedSlices.map(slice => t(`tabSync.${slice}`)).join(', ') }), 'info');
+    }
+
+    // ---------------------------------------------------------------------
+    // MODO OFFLINE E ATUALIZAÇÕES
+    // ---------------------------------------------------------------------
+    // O service worker ('sw.js') guarda a loja no navegador: sem internet,
+    // ela continua abrindo, e o catálogo e o carrinho (no localStorage)
+    // continuam funcionando. O cabeçalho avisa quando a conexão cai. Quando
+    // uma versão nova é publicada, o navegador a instala em segundo plano e
+    // a loja mostra o aviso "Atualizar": a troca só acontece com o clique,
+    // para não recarregar a página no meio de uma compra.
+    // ---------------------------------------------------------------------
+
+    /** Endereço do service worker (relativo à página) */
+    const SERVICE_WORKER_URL = 'sw.js';
+
+    /** Versão nova do service worker, instalada e esperando o clique em "Atualizar" (ou null) */
+    let waitingServiceWorker = null;
+
+    /** Vira true com o clique em "Atualizar": a página recarrega quando a versão nova assumir */
+    let updateRequested = false;
+
+    /** Mostra ou esconde o aviso "Sem internet" do cabeçalho */
+    function renderConnectionStatus() {
+        DOMElements.offlineIndicator.classList.toggle('hidden', navigator.onLine);
+    }
+
+    /**
+     * Lida com a queda e a volta da conexão (eventos 'offline' e 'online').
+     * @param {Event} e - O evento.
+     */
+    function handleConnectionChange(e) {
+        renderConnectionStatus();
+        showToast(t(e.type === 'offline' ? 'pwa.wentOffline' : 'pwa.backOnline'), 'info');
+    }
+
+    /**
+     * Registra o service worker e fica de olho nas versões novas da loja.
+     */
+    async function registerServiceWorker() {
+        // Service workers só funcionam em páginas servidas por http(s) (não em file://)
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Na primeira instalação o service worker também "assume", mas aí não há o que recarregar
+            if (updateRequested) window.location.reload();
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+            // Uma versão nova pode ter sido instalada numa visita anterior
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateAvailable(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Sem 'controller', é a primeira instalação: não há versão antiga para trocar
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateAvailable(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('[pwa] Não foi possível registrar o service worker:', error);
+        }
+    }
+
+    /**
+     * Mostra o aviso de versão nova no cabeçalho.
+     * @param {ServiceWorker} worker - O service worker da versão nova.
+     */
+    function showUpdateAvailable(worker) {
+        waitingServiceWorker = worker;
+        DOMElements.updateBanner.classList.remove('hidden');
+    }
+
+    /** Troca para a versão nova (botão "Atualizar"); a página recarrega quando ela assumir */
+    function applyUpdate() {
+        if (!waitingServiceWorker) return;
+        updateRequested = true;
+        DOMElements.updateButton.disabled = true;
+        waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE DADOS
+    // ---------------------------------------------------------------------
+    
+    /**
+     * Carrega os dados da loja: os que ficam no navegador (filtros, sessão, pedidos de visitante, cupons,
+     * promoções, tabela de frete, idioma, moeda e limite das estatísticas) e os do data source (produtos, contas, pedidos, avaliações e carrinho).
+     */
+    async function loadState() {
+        // Prepara o armazenamento (atualiza dados salvos por versões antigas da loja)
+        await initStorage();
+
+        // Tenta carregar a sessão (usuário logado)
+        const storedSession = readStoredValue('techshop_session');
+        // Tenta carregar os pedidos feitos como visitante neste navegador
+        const storedGuestOrderIds = readStoredValue('techshop_guest_orders');
+        // Tenta carregar os filtros usados por último na vitrine
+        const storedFilters = readStoredValue('techshop_filters');
+        // Tenta carregar os cupons e as promoções
+        const storedCoupons = readStoredValue('techshop_coupons');
+        const storedPromotions = readStoredValue('techshop_promotions');
+        // Tenta carregar a tabela de frete (se o admin nunca a editou, vale a padrão)
+        const storedShippingTable = readStoredValue('techshop_shipping_table');
+        // Tenta carregar o idioma e a moeda de exibição escolhidos
+        const storedLocale = readStoredValue('techshop_locale');
+        const storedCurrency = readStoredValue('techshop_currency');
+        // Tenta carregar o limite de eventos das estatísticas
+        const storedAnalyticsSettings = readStoredValue('techshop_analytics_settings');
+
+        if (storedLocale && MESSAGES[storedLocale]) {
+            state.locale = storedLocale;
+        }
+
+        if (storedCurrency && isValidCurrencyCode(storedCurrency.code)) {
+            state.currency = { code: storedCurrency.code, rate: storedCurrency.rate };
+        }
+
+        // Os textos fixos da página já aparecem no idioma certo durante o "Carregando..."
+        applyStaticTranslations();
+
+        if (storedFilters) {
+            // Junta com os filtros padrão, para o caso de faltar algum campo
+            state.filters = { ...DEFAULT_FILTERS, ...storedFilters };
+        }
+
+        if (storedCoupons) {
+            state.coupons = storedCoupons;
+        }
+
+        if (storedPromotions) {
+            state.promotions = storedPromotions;
+        }
+
+        state.shippingTable = storedShippingTable || cloneData(DEFAULT_SHIPPING_TABLE);
+        state.analyticsSettings = storedAnalyticsSettings || { maxEvents: DEFAULT_ANALYTICS_MAX_EVENTS };
+        state.analyticsEvents = readStoredValue('techshop_analytics') || [];
+
+        if (storedSession) {
+            state.session = storedSession;
+        }
+
+        if (storedGuestOrderIds) {
+            state.guestOrderIds = storedGuestOrderIds;
+        }
+
+        await loadDataSourceState();
+    }
+
+    /**
+     * Carrega produtos, contas, pedidos, avaliações e o carrinho do data source,
+     * mostrando "Carregando..." na vitrine e no admin enquanto isso.
+     */
+    async function loadDataSourceState() {
+        state.dataStatus.loading = true;
+        state.dataStatus.error = null;
+        renderProductGrid();
+        renderAdminProductList();
+
+        try {
+            const [storedProducts, storedUsers, storedOrders, storedReviews] = await Promise.all([
+                dataSource.products.list(),
+                dataSource.users.list(),
+                dataSource.orders.list(),
+                dataSource.reviews.list(),
+            ]);
+
+            if (storedProducts) {
+                state.products = storedProducts;
+            } else {
+                // Se não houver produtos, carrega o catálogo inicial (data/produtos.json)
+                state.products = await getInitialProducts();
+                // E salva esses dados iniciais (se não vieram, tenta de novo na próxima visita)
+                if (state.products.length > 0) await dataSource.products.saveAll(state.products);
+            }
+
+            state.users = storedUsers || [];
+            state.orders = storedOrders || [];
+            state.reviews = storedReviews || [];
+            rememberConfirmedState('products', 'users', 'orders', 'reviews');
+
+            // Se a conta da sessão não existe mais, a sessão é descartada
+            if (state.session && !getCurrentUser()) {
+                state.session = null;
+                saveSessionToLocalStorage();
+            }
+        } catch (error) {
+            console.error('[dados] Falha ao carregar os dados:', error);
+            state.dataStatus.error = error.message;
+        } finally {
+            state.dataStatus.loading = false;
+        }
+
+        // O carrinho e os favoritos dependem de quem está logado, por isso são carregados por último
+        await loadCart();
+        await loadWishlist();
+    }
+
+    /** Tenta carregar de novo os dados do data source (botão "Tentar novamente") */
+    async function reloadData() {
+        await loadDataSourceState();
+        reconcileCart();
+        reconcileWishlist();
+        renderAll();
+        handleRoute();
+    }
+
+    
+    /**
+     * Retorna o dono do carrinho de quem está usando a loja.
+     * Cada conta tem seu próprio carrinho; visitantes usam o carrinho 'guest'.
+     * @returns {string} 'guest' ou o ID da conta logada.
+     */
+    function getCartOwner() {
+        return state.session ? state.session.userId : 'guest';
+    }
+
+    
+    /**
+     * Retorna a chave do LocalStorage do carrinho atual (o cupom aplicado fica ao lado dela).
+     * @returns {string} A chave do carrinho atual.
+     */
+    function getCartStorageKey() {
+        return getLocalCartKey(getCartOwner());
+    }
+
+    
+    /** Carrega o CARRINHO de quem está usando a loja (conta logada ou visitante), o cupom e o frete escolhidos para ele */
+    async function loadCart() {
+        try {
+            // Se não achou um carrinho salvo, começa com um carrinho vazio
+            state.cart = (await dataSource.cart.get(getCartOwner())) || [];
+        } catch (error) {
+            console.error('[dados] Falha ao carregar o carrinho:', error);
+            state.cart = [];
+            showToast(t('cart.loadFailed', { error: error.message }), 'error');
+        }
+        rememberConfirmedState('cart');
+
+        // O cupom e o frete ficam "grudados" no carrinho, em chaves ao lado dele
+        state.appliedCoupon = readStoredValue(`${getCartStorageKey()}_coupon`);
+        state.shippingChoice = readStoredValue(`${getCartStorageKey()}_shipping`);
+    }
+
+    
+    /** Carrega os FAVORITOS de quem está usando a loja (conta logada ou visitante) */
+    async function loadWishlist() {
+        try {
+            state.wishlist = (await dataSource.wishlist.get(getCartOwner())) || [];
+        } catch (error) {
+            console.error('[dados] Falha ao carregar os favoritos:', error);
+            state.wishlist = [];
+            showToast(t('wishlist.loadFailed', { error: error.message }), 'error');
+        }
+        rememberConfirmedState('wishlist');
+    }
+
+    
+    /** Salva o cupom aplicado ao carrinho atual (sempre no navegador) */
+    function saveAppliedCoupon() {
+        if (state.appliedCoupon) {
+            writeStoredValue(`${getCartStorageKey()}_coupon`, state.appliedCoupon);
+        } else {
+            removeStoredValue(`${getCartStorageKey()}_coupon`);
+        }
+    }
+
+    
+    /** Salva o frete escolhido para o carrinho atual (sempre no navegador) */
+    function saveShippingChoice() {
+        if (state.shippingChoice) {
+            writeStoredValue(`${getCartStorageKey()}_shipping`, state.shippingChoice);
+        } else {
+            removeStoredValue(`${getCartStorageKey()}_shipping`);
+        }
+    }
+
+    
+    /** Salva o CARRINHO ATUAL no data source (e o cupom e o frete escolhidos para ele) */
+    function saveCart() {
+        saveAppliedCoupon();
+        saveShippingChoice();
+        syncChange(['cart'], () => dataSource.cart.save(getCartOwner(), state.cart), t('cart.saveFailed'));
+    }
+
+    
+    /** Salva os FAVORITOS ATUAIS no data source */
+    function saveWishlist() {
+        syncChange(['wishlist'], () => dataSource.wishlist.save(getCartOwner(), state.wishlist), t('wishlist.saveFailed'));
+    }
+
+    
+    /** Salva os CUPONS no LocalStorage */
+    function saveCouponsToLocalStorage() {
+        writeStoredValue('techshop_coupons', state.coupons);
+    }
+
+    
+    /** Salva as PROMOÇÕES AUTOMÁTICAS no LocalStorage */
+    function savePromotionsToLocalStorage() {
+        writeStoredValue('techshop_promotions', state.promotions);
+    }
+
+    
+    /** Salva os FILTROS DA VITRINE no LocalStorage (para sobreviverem a um F5) */
+    function saveFiltersToLocalStorage() {
+        writeStoredValue('techshop_filters', state.filters);
+    }
+
+    
+    /** Salva a SESSÃO ATUAL no LocalStorage (ou apaga, se ninguém estiver logado) */
+    function saveSessionToLocalStorage() {
+        if (state.session) {
+            writeStoredValue('techshop_session', state.session);
+        } else {
+            removeStoredValue('techshop_session');
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // RENDERIZAÇÃO SEGURA (criação de elementos sem innerHTML)
+    // ---------------------------------------------------------------------
+    // As telas são montadas com 'h' (cria elementos) e 'renderList' (atualiza
+    // listas pela chave de cada item), nunca com innerHTML. Assim:
+    //   - textos digitados (nome de produto, descrição...) viram texto, nunca
+    //     HTML, e não conseguem injetar scripts na página (XSS);
+    //   - URLs de imagens e links são conferidas antes de irem para a página;
+    //   - ao mudar um item, só o elemento dele é recriado: os outros continuam
+    //     na tela, junto com o foco e a posição da rolagem.
+    // ---------------------------------------------------------------------
+
+    /**
+     * Imagem mostrada no lugar de uma URL de imagem inválida ("Sem imagem", no idioma atual).
+     * @returns {string} A imagem, como data URL.
+     */
+    function getPlaceholderImage() {
+        const label = t('image.none').replace(/[<>&]/g, ''); // O texto vai dentro do SVG
+        return 'data:image/svg+xml,' + encodeURIComponent(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="400"><rect width="100%" height="100%" fill="#e5e7eb"/>' +
+            `<text x="50%" y="50%" fill="#6b7280" font-family="sans-serif" font-size="32" text-anchor="middle">${label}</text></svg>`
+        );
+    }
+
+    /** O que foi usado para desenhar cada elemento de lista (se não mudou, o elemento é reaproveitado) */
+    const renderedSignatures = new WeakMap();
+
+    /**
+     * Confere a URL de uma imagem antes de usá-la na página.
+     * @param {string} url - A URL.
+     * @returns {string} A própria URL, ou a imagem padrão se ela não for http(s) nem data:image.
+     */
+    function getSafeImageUrl(url) {
+        return isValidImageUrl(url) ? url : getPlaceholderImage();
+    }
+
+    /**
+     * Troca uma imagem que não carregou (ex: link quebrado) pela imagem padrão.
+     * @param {HTMLImageElement} img - A imagem.
+     */
+    function showImagePlaceholder(img) {
+        const placeholder = getPlaceholderImage();
+        if (img.getAttribute('src') === placeholder) return; // Evita repetir se até a padrão falhar
+        img.setAttribute('src', placeholder);
+    }
+
+    /**
+     * Confere o destino de um link antes de usá-lo na página.
+     * @param {string} url - O destino (ex: '#/produto/1' ou 'https://...').
+     * @returns {string} O próprio destino, ou '#' se for perigoso (ex: 'javascript:...').
+     */
+    function getSafeHref(url) {
+        if (url.startsWith('#')) return url;
+        try {
+            const { protocol } = new URL(url, window.location.href);
+            return protocol === 'http:' || protocol === 'https:' ? url : '#';
+        } catch {
+            return '#';
+        }
+    }
+
+    /**
+     * Cria um elemento HTML. Textos são sempre inseridos como texto (nunca como HTML).
+     * Ex: h('button', { className: 'btn', dataset: { id: '1' } }, 'Comprar')
+     * @param {string} tag - A tag (ex: 'div').
+     * @param {object} [props={}] - Atributos. 'className' e 'dataset' são tratados à parte;
+     *   'src' e 'href' são conferidos; true vira atributo vazio (ex: disabled); null/false/undefined são ignorados.
+     * @param {...(Node|string|number|null|false|Array)} children - Os filhos (textos, elementos ou listas deles).
+     * @returns {HTMLElement} O elemento criado.
+     */
+    function h(tag, props = {}, ...children) {
+        const element = document.createElement(tag);
+
+        Object.entries(props).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+            // Eventos são tratados por delegação em 'setupEventListeners', nunca por atributo
+            if (name.startsWith('on')) throw new Error(`Atributo de evento não permitido: ${name}`);
+
+            if (name === 'className') {
+                element.className = value;
+            } else if (name === 'dataset') {
+                Object.assign(element.dataset, value);
+            } else if (name === 'src') {
+                element.setAttribute('src', getSafeImageUrl(value));
+            } else if (name === 'href') {
+                element.setAttribute('href', getSafeHref(value));
+            } else {
+                element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+
+        appendChildren(element, children);
+        return element;
+    }
+
+    /**
+     * Adiciona filhos a um elemento (textos viram nós de texto; listas são "achatadas").
+     * @param {HTMLElement} element - O elemento.
+     * @param {Array} children - Os filhos.
+     */
+    function appendChildren(element, children) {
+        children.flat(Infinity).forEach(child => {
+            if (child === null || child === undefined || child === false || child === '') return;
+            element.append(child instanceof Node ? child : document.createTextNode(String(child)));
+        });
+    }
+
+    /**
+     * Atualiza uma lista na tela a partir de uma lista de itens, pela chave de cada um:
+     * itens novos são criados, itens alterados são recriados, itens sem mudança ficam
+     * como estão (só mudam de lugar, se for preciso) e os que saíram são removidos.
+     * Elementos sem chave (ex: a mensagem de "lista vazia") são removidos.
+     * @param {HTMLElement} container - O elemento da lista.
+     * @param {object[]} items - Os itens, na ordem em que devem aparecer.
+     * @param {object} options
+     * @param {function(object): string} options.getKey - A chave única de um item (ex: o ID).
+     * @param {function(object): HTMLElement} options.render - Cria o elemento de um item.
+     * @param {function(object): string} [options.getSignature] - Tudo de que o elemento depende
+     *   (padrão: o próprio item em JSON). Se não mudar (nem o idioma e a moeda), o elemento é reaproveitado.
+     */
+    function renderList(container, items, { getKey, render, getSignature = item => JSON.stringify(item) }) {
+        const focusKey = getFocusKey(container);
+
+        const existing = new Map();
+        [...container.children].forEach(node => {
+            if (node.dataset.key === undefined) {
+                node.remove();
+            } else {
+                existing.set(node.dataset.key, node);
+            }
+        });
+
+        items.forEach((item, index) => {
+            const key = String(getKey(item));
+            // Trocar o idioma ou a moeda muda os textos e preços de todos os itens
+            const signature = `${state.locale}|${state.currency.code}|${state.currency.rate}|${getSignature(item)}`;
+            let node = existing.get(key);
+            existing.delete(key);
+
+            if (!node || renderedSignatures.get(node) !== signature) {
+                const newNode = render(item);
+                newNode.dataset.key = key;
+                renderedSignatures.set(newNode, signature);
+                if (node) node.replaceWith(newNode);
+                node = newNode;
+            }
+
+            // Só move o elemento se ele não estiver na posição certa
+            const current = container.children[index];
+            if (current !== node) container.insertBefore(node, current || null);
+        });
+
+        existing.forEach(node => node.remove());
+        restoreFocus(container, focusKey);
+    }
+
+    /**
+     * Descobre qual campo de uma lista está com o foco (pelo atributo 'data-focus-key').
+     * @param {HTMLElement} container - O elemento da lista.
+     * @returns {string|undefined} A chave do campo com foco, se houver.
+     */
+    function getFocusKey(container) {
+        const active = document.activeElement;
+        return active && container.contains(active) ? active.dataset.focusKey : undefined;
+    }
+
+    /**
+     * Devolve o foco ao campo com a mesma 'data-focus-key' (caso ele tenha sido recriado).
+     * @param {HTMLElement} container - O elemento da lista.
+     * @param {string} [focusKey] - A chave do campo que estava com foco.
+     */
+    function restoreFocus(container, focusKey) {
+        if (!focusKey) return;
+        const target = [...container.querySelectorAll('[data-focus-key]')].find(el => el.dataset.focusKey === focusKey);
+        if (target && target !== document.activeElement) target.focus();
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE RENDERIZAÇÃO (Desenhar na tela)
+    // ---------------------------------------------------------------------
+
+    /**
+     * "Renderiza" (desenha) a grade de produtos na página inicial.
+     * Ele lê o 'state.products', aplica a busca/filtros/ordenação e cria um card para cada produto.
+     */
+    function renderProductGrid() {
+        // Enquanto os produtos não chegam (ou se não foi possível carregá-los), mostra o aviso
+        if (state.dataStatus.loading || state.dataStatus.error) {
+            DOMElements.productGrid.replaceChildren(h('div', { className: 'col-span-3' }, createDataStatus()));
+            renderPagination(0);
+            return;
+        }
+
+        // As categorias dependem do catálogo, então são atualizadas junto com a grade
+        renderCategoryOptions();
+        
+        // Se não houver produtos, mostra uma mensagem
+        if (state.products.length === 0) {
+            DOMElements.productGrid.replaceChildren(
+                h('p', { className: 'text-gray-600 col-span-3' }, t('catalog.empty'))
+            );
+            renderPagination(0);
+            return; // Encerra a função
+        }
+
+        const products = getFilteredProducts();
+
+        // Há produtos na loja, mas nenhum passou pelos filtros
+        if (products.length === 0) {
+            DOMElements.productGrid.replaceChildren(
+                h('div', { className: 'col-span-3 text-gray-600' },
+                    h('p', { className: 'mb-4' }, t('catalog.noMatches')),
+                    h('button', { className: 'btn-clear-filters text-indigo-600 border border-indigo-600 py-2 px-4 rounded-lg hover:bg-indigo-50' }, t('filters.clear')),
+                )
+            );
+            renderPagination(0);
+            return;
+        }
+
+        // Só os produtos da página atual vão para a tela. Se a página não existe mais
+        // (ex: o catálogo diminuiu), mostra a última e corrige a URL.
+        const totalPages = Math.ceil(products.length / PRODUCTS_PER_PAGE);
+        if (state.catalogPage > totalPages) {
+            state.catalogPage = totalPages;
+            replaceCatalogPageInUrl();
+        }
+        const start = (state.catalogPage - 1) * PRODUCTS_PER_PAGE;
+        const pageProducts = products.slice(start, start + PRODUCTS_PER_PAGE);
+
+        // Atualiza os cards pelo ID do produto (só os que mudaram são recriados)
+        const ratings = getRatingSummaries();
+        renderList(DOMElements.productGrid, pageProducts, {
+            getKey: product => product.id,
+            getSignature: product => JSON.stringify([
+                product, state.promotions.find(p => p.productId === product.id), ratings.get(product.id), isInWishlist(product.id),
+            ]),
+            render: product => createProductCard(product, ratings.get(product.id)),
+        });
+        renderPagination(products.length);
+    }
+
+    /**
+     * Desenha a navegação entre as páginas da vitrine, abaixo da grade.
+     * Cada página é um link ('#/pagina/2'), então o "voltar" do navegador também funciona.
+     * @param {number} totalProducts - Quantos produtos passaram pelos filtros (0 esconde a navegação).
+     */
+    function renderPagination(totalProducts) {
+        const totalPages = Math.ceil(totalProducts / PRODUCTS_PER_PAGE);
+        DOMElements.productPagination.classList.toggle('hidden', totalPages <= 1);
+        if (totalPages <= 1) {
+            DOMElements.productPagination.replaceChildren();
+            return;
+        }
+
+        const page = state.catalogPage;
+        const first = (page - 1) * PRODUCTS_PER_PAGE + 1;
+        const last = Math.min(page * PRODUCTS_PER_PAGE, totalProducts);
+
+        /** Cria o link de uma página (ou um texto apagado, se o link não levar a lugar nenhum) */
+        const createPageLink = (label, target, ariaLabel) => {
+            const baseClasses = 'min-w-10 text-center py-2 px-3 border rounded-lg';
+            if (target < 1 || target > totalPages) {
+                return h('span', { className: `${baseClasses} text-gray-400`, 'aria-disabled': 'true' }, label);
+            }
+            const isCurrent = target === page;
+            return h('a', {
+                href: `#${getCatalogPagePath(target)}`,
+                className: isCurrent
+                    ? `${baseClasses} bg-indigo-600 border-indigo-600 text-white font-semibold`
+                    : `${baseClasses} text-indigo-600 border-indigo-600 hover:bg-indigo-50`,
+                'aria-current': isCurrent ? 'page' : null,
+                'aria-label': ariaLabel,
+            }, label);
+        };
+
+        DOMElements.productPagination.replaceChildren(
+            h('p', { className: 'text-gray-600 text-sm' }, t('pagination.showing', { first, last, total: totalProducts })),
+            h('div', { className: 'flex flex-wrap justify-center gap-2' },
+                createPageLink(t('pagination.previous'), page - 1, t('pagination.previousLabel')),
+                getPaginationItems(page, totalPages).map(item => item === null
+                    ? h('span', { className: 'py-2 px-1 text-gray-500' }, '…')
+                    : createPageLink(String(item), item, t('pagination.page', { page: item }))),
+                createPageLink(t('pagination.next'), page + 1, t('pagination.nextLabel')),
+            ),
+        );
+    }
+
+    /**
+     * Escolhe quais números de página mostrar: a primeira, a última e as vizinhas
+     * da atual. Os intervalos escondidos viram 'null' (desenhados como "…").
+     * Ex: página 6 de 20 -> [1, null, 4, 5, 6, 7, 8, null, 20]
+     * @param {number} current - A página atual.
+     * @param {number} total - O total de páginas.
+     * @returns {Array<number|null>} Os números de página, com 'null' nos intervalos.
+     */
+    function getPaginationItems(current, total) {
+        const items = [];
+        for (let page = 1; page <= total; page++) {
+            if (page === 1 || page === total || Math.abs(page - current) <= 2) {
+                items.push(page);
+            } else if (items[items.length - 1] !== null) {
+                items.push(null);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Cria o "card" de um produto da vitrine.
+     * @param {object} product - O produto.
+     * @param {{average: number, count: number}} [rating] - A nota média do produto (se tiver avaliações).
+     * @returns {HTMLElement} O card.
+     */
+    function createProductCard(product, rating) {
+        return h('div', { className: 'bg-white rounded-lg shadow-lg overflow-hidden transition-transform duration-300 hover:scale-105' },
+            // 'loading: lazy' só baixa a imagem quando o card chega perto da área visível
+            h('img', { src: product.img, alt: product.name, className: 'product-image', loading: 'lazy' }),
+            h('div', { className: 'p-6' },
+                h('div', { className: 'flex justify-between items-start gap-2' },
+                    h('p', { className: 'text-sm text-gray-500 mb-1' }, product.category),
+                    createWishlistButton(product.id),
+                ),
+                h('h3', { className: 'text-xl font-semibold text-gray-800 mb-2' }, product.name),
+                createRatingSummary(rating),
+                createStockBadge(product),
+                createPromotionBadge(product),
+                h('p', { className: 'text-2xl font-bold text-indigo-600 mb-4' }, formatProductPrice(product)),
+                h('div', { className: 'flex flex-col sm:flex-row sm:justify-between gap-3' },
+                    h('a', {
+                        href: `#/produto/${encodeURIComponent(product.id)}`,
+                        className: 'btn-view-detail w-full sm:w-auto text-center text-indigo-600 border border-indigo-600 py-2 px-4 rounded-lg hover:bg-indigo-50',
+                    }, t('product.viewDetails')),
+                    // Com variações, a combinação é escolhida na página do produto
+                    hasVariants(product)
+                        ? createChooseOptionsLink(product, 'w-full sm:w-auto py-2 px-4')
+                        : h('button', {
+                            className: 'btn-add-to-cart w-full sm:w-auto bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed',
+                            dataset: { id: product.id },
+                            disabled: product.stock <= 0,
+                        }, t('product.addToCart')),
+                ),
+            ),
+        );
+    }
+    
+    
+    /**
+     * Formata o preço de vitrine de um produto ("A partir de" quando as variações têm preços diferentes).
+     * @param {object} product - O produto.
+     * @returns {string} O preço formatado.
+     */
+    function formatProductPrice(product) {
+        const price = formatPrice(product.price);
+        return hasVariantPriceRange(product) ? t('variants.priceFrom', { price }) : price;
+    }
+
+    /**
+     * Cria o link "Escolher opções", que leva à página do produto (usado no lugar
+     * de "Adicionar ao Carrinho" em produtos com variações).
+     * @param {object} product - O produto.
+     * @param {string} sizeClasses - As classes de tamanho do botão.
+     * @returns {HTMLElement} O link.
+     */
+    function createChooseOptionsLink(product, sizeClasses) {
+        return h('a', {
+            href: `#/produto/${encodeURIComponent(product.id)}`,
+            className: `${sizeClasses} text-center bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors`,
+        }, t('variants.choose'));
+    }
+
+    /**
+     * Monta a página de detalhe de um produto específico.
+     * É chamada pelo roteador na rota '#/produto/:id'.
+     * @param {string} productId - O ID do produto a ser exibido.
+     * @param {boolean} [isNewVisit=true] - false quando a página só é redesenhada (a visualização já foi contada).
+     * @returns {boolean} false se o produto não existir (a rota é recusada).
+     */
+    function showProductDetail(productId, isNewVisit = true) {
+        // Encontra o produto no 'state' usando o ID
+        const product = state.products.find(p => p.id === productId);
+        if (!product) {
+            showNotFound('notFound.product');
+            return false;
+        }
+        
+        // "Voltar aos produtos" leva para a página da vitrine de onde o cliente veio
+        DOMElements.productDetailBackLink.setAttribute('href', `#${getCatalogPagePath(state.catalogPage)}`);
+
+        state.viewingProductId = product.id;
+        state.variantSelection = getDefaultVariantSelection(product);
+        fillReviewForm();
+        renderProductReviews();
+        renderProductDetailContent(product);
+        if (isNewVisit) trackEvent('view', product.id);
+        return true;
+    }
+
+    /**
+     * Desenha o produto na página de detalhe (foto, nota, preço, opções e botões).
+     * Fica separada de 'showProductDetail' para poder ser redesenhada (ex: troca de idioma
+     * ou de variação) sem mexer no formulário de avaliação que o cliente pode estar preenchendo.
+     * @param {object} product - O produto.
+     */
+    function renderProductDetailContent(product) {
+        // Com variações, preço, foto e estoque são os da combinação escolhida
+        const variant = findVariantByOptions(product, state.variantSelection);
+        const shown = variant ? { ...variant, img: variant.img || product.img } : product;
+        const unavailable = hasVariants(product) && !variant;
+
+        const focusKey = getFocusKey(DOMElements.productDetailContent); // O select de opção que estava com foco
+        DOMElements.productDetailContent.replaceChildren(
+            h('div', { className: 'grid grid-cols-1 md:grid-cols-2 gap-8 items-start' },
+                h('img', { src: shown.img, alt: product.name, className: 'w-full h-auto object-cover rounded-lg shadow-md' }),
+                h('div', {},
+                    h('h1', { className: 'text-4xl font-bold mb-3' }, product.name),
+                    createRatingSummary(getRatingSummaries().get(product.id)),
+                    unavailable ? null : createStockBadge(shown),
+                    createPromotionBadge(product),
+                    h('p', { className: 'text-3xl text-indigo-600 font-semibold mb-6' }, formatPrice(shown.price)),
+                    h('p', { className: 'text-gray-700 text-lg mb-8' }, product.description),
+                    hasVariants(product) ? createVariantSelectors(product, variant) : null,
+                    h('div', { className: 'flex items-center gap-4' },
+                        h('button', {
+                            className: 'btn-add-to-cart-detail w-full md:w-auto bg-indigo-600 text-white py-3 px-8 rounded-lg font-semibold hover:bg-indigo-700 transition-colors text-lg disabled:bg-gray-400 disabled:cursor-not-allowed',
+                            dataset: variant ? { id: product.id, sku: variant.sku } : { id: product.id },
+                            disabled: unavailable || shown.stock <= 0,
+                        }, t('product.addToCart')),
+                        createWishlistButton(product.id),
+                    ),
+                ),
+            )
+        );
+        restoreFocus(DOMElements.productDetailContent, focusKey);
+    }
+
+    /**
+     * Cria os seletores das opções de um produto (um por opção, ex: Cor e Armazenamento)
+     * e o SKU da combinação escolhida (ou o aviso de que ela não existe).
+     * @param {object} product - O produto com variações.
+     * @param {object|null} variant - A variação escolhida (null se a combinação não foi cadastrada).
+     * @returns {HTMLElement} Os seletores.
+     */
+    function createVariantSelectors(product, variant) {
+        return h('div', { className: 'mb-8 space-y-4' },
+            product.options.map((option, index) => {
+                const selectId = `variant-option-${index}`;
+                return h('div', {},
+                    h('label', { for: selectId, className: 'block text-gray-700 font-semibold mb-1' }, option.name),
+                    h('select', {
+                        id: selectId,
+                        className: 'variant-option-select w-full md:w-64 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-400',
+                        dataset: { option: option.name, focusKey: selectId },
+                    }, option.values.map(value => h('option', {
+                        value,
+                        selected: state.variantSelection[option.name] === value,
+                    }, value))),
+                );
+            }),
+            variant
+                ? h('p', { className: 'text-sm text-gray-500' }, t('variants.skuLabel', { sku: variant.sku }))
+                : h('p', { className: 'text-sm text-red-600', role: 'status' }, t('variants.unavailable')),
+        );
+    }
+
+    
+    /**
+     * Renderiza (desenha) os itens do carrinho na página do carrinho.
+     * Lê o 'state.cart' e atualiza só as linhas que mudaram.
+     */
+    function renderCart() {
+        renderCartNotice();
+
+        // Subtotal, descontos (cupom e promoções), frete e total
+        const totals = calculateCartTotals();
+        renderCouponMessage(totals);
+        renderShippingOptions(totals);
+        DOMElements.cartSummary.replaceChildren(...createTotalsBreakdown(totals));
+        DOMElements.cartTotal.textContent = formatPrice(totals.total);
+
+        // Se o carrinho estiver vazio, mostra mensagem
+        if (state.cart.length === 0) {
+            DOMElements.cartItemsContainer.replaceChildren(h('p', { className: 'text-gray-600' }, t('cart.empty')));
+            DOMElements.cartCount.textContent = '0';
+            return; // Encerra a função
+        }
+
+        // Atualiza as linhas pela chave de cada uma (mexer na quantidade de um item não recria os outros)
+        renderList(DOMElements.cartItemsContainer, state.cart, {
+            getKey: getCartItemKey,
+            render: createCartLine,
+        });
+
+        // Calcula a quantidade total de itens (somando as quantidades de CADA item)
+        // 'reduce' é um método de array que "reduz" o array a um único valor.
+        // Começa com 'sum' = 0, e para cada 'item', adiciona 'item.quantity' ao 'sum'.
+        const totalItems = state.cart.reduce((sum, item) => sum + item.quantity, 0);
+        
+        // Atualiza o contador no ícone do carrinho
+        DOMElements.cartCount.textContent = totalItems;
+    }
+
+    /**
+     * Cria a linha de um item do carrinho (com os botões de quantidade e "Remover").
+     * @param {object} item - O item do carrinho.
+     * @returns {HTMLElement} A linha.
+     */
+    function createCartLine(item) {
+        const itemTotal = item.price * item.quantity; // Calcula o subtotal do item
+        const key = getCartItemKey(item);
+        const label = getCartItemLabel(item);
+
+        return h('div', { className: 'flex justify-between items-center py-4 border-b border-gray-200' },
+            h('div', { className: 'flex items-center' },
+                h('img', { src: item.img, alt: label, className: 'h-16 w-16 object-cover rounded-lg mr-4' }),
+                h('div', {},
+                    h('h4', { className: 'text-lg font-semibold text-gray-800' }, item.name),
+                    // As opções escolhidas (ex: "Cor: Preto · Armazenamento: 128 GB")
+                    item.options ? h('p', { className: 'text-sm text-gray-500' }, describeVariantOptions(item.options)) : null,
+                    h('p', { className: 'text-gray-600 mb-2' }, t('cart.each', { price: formatPrice(item.price) })),
+                    h('div', { className: 'flex items-center gap-2' },
+                        h('button', {
+                            className: 'btn-cart-decrease h-8 w-8 border rounded-lg hover:bg-gray-100',
+                            dataset: { key, focusKey: `decrease-${key}` },
+                            'aria-label': t('cart.decrease', { name: label }),
+                        }, '-'),
+                        h('input', {
+                            type: 'number',
+                            min: 1,
+                            value: item.quantity,
+                            className: 'cart-qty-input w-16 px-2 py-1 border rounded-lg text-center',
+                            dataset: { key, focusKey: `quantity-${key}` },
+                            'aria-label': t('cart.quantity', { name: label }),
+                        }),
+                        h('button', {
+                            className: 'btn-cart-increase h-8 w-8 border rounded-lg hover:bg-gray-100',
+                            dataset: { key, focusKey: `increase-${key}` },
+                            'aria-label': t('cart.increase', { name: label }),
+                        }, '+'),
+                    ),
+                ),
+            ),
+            h('div', { className: 'text-right' },
+                h('p', { className: 'text-lg font-semibold text-gray-800' }, formatPrice(itemTotal)),
+                h('button', {
+                    className: 'btn-remove-from-cart text-red-500 hover:text-red-700 text-sm',
+                    dataset: { key },
+                    'aria-label': t('cart.removeItem', { name: label }),
+                }, t('common.remove')),
+            ),
+        );
+    }
+
+    
+    /**
+     * Cria o botão de coração que favorita (ou desfavorita) um produto.
+     * @param {string} productId - O ID do produto.
+     * @returns {HTMLElement} O botão.
+     */
+    function createWishlistButton(productId) {
+        const saved = isInWishlist(productId);
+        const label = saved ? t('wishlist.remove') : t('wishlist.add');
+        return h('button', {
+            type: 'button',
+            className: `btn-toggle-wishlist text-2xl leading-none hover:text-red-500 ${saved ? 'text-red-500' : 'text-gray-400'}`,
+            dataset: { id: productId },
+            'aria-pressed': String(saved),
+            'aria-label': label,
+            title: label,
+        }, saved ? '♥' : '♡');
+    }
+
+    /** Atualiza o coração da página de detalhe (o resto da página continua como está) */
+    function renderDetailWishlistButton() {
+        const button = DOMElements.productDetailContent.querySelector('.btn-toggle-wishlist');
+        if (button) button.replaceWith(createWishlistButton(button.dataset.id));
+    }
+
+    /**
+     * Renderiza a página "Meus Favoritos" e o contador do link "Favoritos".
+     */
+    function renderWishlist() {
+        DOMElements.wishlistCount.textContent = state.wishlist.length;
+
+        // Favoritos cujo produto ainda não chegou (ex: catálogo carregando) ficam de fora
+        const entries = state.wishlist
+            .map(item => ({ item, product: state.products.find(p => p.id === item.id) }))
+            .filter(entry => entry.product);
+
+        if (entries.length === 0) {
+            DOMElements.wishlistItems.replaceChildren(
+                h('p', { className: 'text-gray-600' }, t('wishlist.empty'))
+            );
+            return;
+        }
+
+        renderList(DOMElements.wishlistItems, entries, {
+            getKey: entry => entry.item.id,
+            render: createWishlistLine,
+        });
+    }
+
+    /**
+     * Cria a linha de um favorito (com "Mover para o carrinho" e "Remover").
+     * @param {{item: object, product: object}} entry - O favorito e o produto dele.
+     * @returns {HTMLElement} A linha.
+     */
+    function createWishlistLine({ item, product }) {
+        return h('div', { className: 'bg-white flex flex-wrap justify-between items-center gap-4 p-4 rounded-lg shadow' },
+            h('div', { className: 'flex items-center' },
+                h('img', { src: product.img, alt: product.name, className: 'h-16 w-16 object-cover rounded-lg mr-4', loading: 'lazy' }),
+                h('div', {},
+                    h('a', {
+                        href: `#/produto/${encodeURIComponent(product.id)}`,
+                        className: 'text-lg font-semibold text-gray-800 hover:text-indigo-600',
+                    }, product.name),
+                    h('p', { className: 'text-gray-700' }, formatProductPrice(product)),
+                    // Avisa se o preço caiu desde que o produto foi favoritado
+                    hasPriceDropped(item, product)
+                        ? h('span', { className: 'inline-block mt-1 px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-800' },
+                            t('wishlist.priceDropped', { price: formatPrice(item.savedPrice) }))
+                        : null,
+                    createStockBadge(product),
+                ),
+            ),
+            h('div', { className: 'flex gap-2' },
+                hasVariants(product)
+                    ? createChooseOptionsLink(product, 'py-2 px-4')
+                    : h('button', {
+                        className: 'btn-wishlist-to-cart bg-indigo-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-indigo-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed',
+                        dataset: { id: product.id },
+                        disabled: product.stock <= 0,
+                    }, t('wishlist.moveToCart')),
+                h('button', {
+                    className: 'btn-remove-from-wishlist text-red-500 hover:text-red-700 py-2 px-4',
+                    dataset: { id: product.id },
+                }, t('common.remove')),
+            ),
+        );
+    }
+
+    /**
+     * Cria o aviso de "Carregando..." ou de erro de carregamento (com o botão "Tentar novamente").
+     * @returns {HTMLElement} O aviso.
+     */
+    function createDataStatus() {
+        if (state.dataStatus.loading) {
+            return h('p', { className: 'text-gray-600', role: 'status' }, t('data.loading'));
+        }
+
+        return h('div', { className: 'p-4 rounded-lg bg-red-50 border border-red-300 text-red-800', role: 'alert' },
+            h('p', { className: 'mb-2' }, t('data.loadFailed', { error: state.dataStatus.error })),
+            h('button', {
+                type: 'button',
+                className: 'btn-retry-load bg-red-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-red-700 transition-colors',
+            }, t('data.retry')),
+        );
+    }
+
+    /** Mostra no painel admin se ainda há alterações sendo salvas */
+    function renderSyncStatus() {
+        const { pending } = state.dataStatus;
+        DOMElements.adminSyncStatus.textContent = pending > 0 ? t('data.saving', { count: pending }) : '';
+        DOMElements.adminSyncStatus.classList.toggle('hidden', pending === 0);
+    }
+
+    /** Redesenha todas as partes da tela que dependem dos dados */
+    function renderAll() {
+        renderProductGrid();
+        renderCart();
+        renderWishlist();
+        renderAdminProductList();
+        renderAdminCouponList();
+        renderAdminPromotionList();
+        renderOrders();
+        renderAdminReviewList();
+        renderAuthState();
+    }
+
+
+    /**
+     * Cria as linhas de subtotal, descontos e frete de um resumo de valores
+     * (usado no carrinho e no checkout). O total fica de fora, cada tela o mostra do seu jeito.
+     * @param {object} totals - O resultado de 'calculateCartTotals'.
+     * @returns {HTMLElement[]} As linhas.
+     */
+    function createTotalsBreakdown(totals) {
+        const createRow = (label, value, className = 'flex justify-between') =>
+            h('div', { className }, h('span', {}, label), h('span', {}, value));
+
+        return [
+            createRow(t('cart.subtotal'), formatPrice(totals.subtotal)),
+            ...totals.discounts.map(discount =>
+                createRow(discount.label, `- ${formatPrice(discount.amount)}`, 'flex justify-between text-green-700')),
+            createShippingRow(totals, createRow),
+        ];
+    }
+
+    /**
+     * Cria a linha do frete de um resumo de valores: o serviço escolhido e o preço
+     * (ou "Grátis"), ou um lembrete de informar o CEP.
+     * @param {object} totals - O resultado de 'calculateCartTotals'.
+     * @param {Function} createRow - Cria uma linha a partir do rótulo e do valor.
+     * @returns {HTMLElement} A linha.
+     */
+    function createShippingRow(totals, createRow) {
+        const option = totals.shippingOption;
+        if (!option) return createRow(t('cart.shipping'), t('shipping.pending'));
+
+        return createRow(
+            t('shipping.rowLabel', { service: t(SHIPPING_SERVICES[option.service]) }),
+            option.free ? t('shipping.free') : formatPrice(option.price),
+        );
+    }
+
+    /**
+     * Mostra abaixo do campo de CEP as opções de frete (PAC, SEDEX) para escolher,
+     * ou por que o CEP informado não pode ser atendido.
+     * @param {object} totals - O resultado de 'calculateCartTotals'.
+     */
+    function renderShippingOptions(totals) {
+        // O campo mostra o CEP do frete escolhido (mas não atrapalha quem está digitando outro)
+        if (document.activeElement !== DOMElements.shippingCep) {
+            DOMElements.shippingCep.value = state.shippingChoice ? state.shippingChoice.cep : '';
+        }
+
+        const quote = totals.shippingQuote;
+        if (!quote) {
+            DOMElements.shippingOptions.replaceChildren();
+            return;
+        }
+        if (quote.error) {
+            DOMElements.shippingOptions.replaceChildren(h('p', { className: 'text-red-600' }, quote.error));
+            return;
+        }
+
+        const { freeShippingThreshold } = state.shippingTable;
+        const freeShippingReached = quote.options.some(option => option.free);
+
+        DOMElements.shippingOptions.replaceChildren(
+            h('fieldset', {},
+                h('legend', { className: 'text-gray-700 mb-2' }, t('shipping.destination', { cep: state.shippingChoice.cep, region: quote.region.name })),
+                quote.options.map(option => h('label', { className: 'flex items-center gap-2 py-1 text-gray-700 cursor-pointer' },
+                    h('input', {
+                        type: 'radio',
+                        name: 'shipping-service',
+                        value: option.service,
+                        checked: totals.shippingOption !== null && totals.shippingOption.service === option.service,
+                    }),
+                    h('span', { className: 'font-semibold' }, t(SHIPPING_SERVICES[option.service])),
+                    h('span', {}, `${option.free ? t('shipping.free') : formatPrice(option.price)} · ${t('shipping.days', { count: option.days })}`),
+                )),
+            ),
+            ...(freeShippingThreshold > 0 && !freeShippingReached
+                ? [h('p', { className: 'text-gray-500 mt-1' }, t('shipping.freeThresholdHint', { amount: formatPrice(freeShippingThreshold) }))]
+                : []),
+        );
+    }
+
+    /**
+     * Mostra abaixo do campo de cupom se o cupom foi aplicado ou por que foi recusado.
+     * @param {object} totals - O resultado de 'calculateCartTotals'.
+     */
+    function renderCouponMessage(totals) {
+        if (!state.appliedCoupon) {
+            DOMElements.couponMessage.replaceChildren();
+            return;
+        }
+
+        const status = totals.couponError
+            ? h('span', { className: 'text-red-600' }, t('coupon.notApplied', { code: state.appliedCoupon, reason: totals.couponError }))
+            : h('span', { className: 'text-green-700' }, t('coupon.applied', { code: state.appliedCoupon }));
+
+        DOMElements.couponMessage.replaceChildren(
+            status,
+            h('button', { type: 'button', className: 'btn-remove-coupon ml-2 text-gray-500 hover:text-red-600 underline' }, t('coupon.remove')),
+        );
+    }
+
+    
+    /**
+     * Mostra (ou esconde) o quadro de avisos do carrinho, que explica o que
+     * mudou nele por causa de alterações no catálogo.
+     */
+    function renderCartNotice() {
+        DOMElements.cartNotice.classList.toggle('hidden', state.cartNotices.length === 0);
+        if (state.cartNotices.length === 0) {
+            DOMElements.cartNotice.replaceChildren();
+            return;
+        }
+
+        DOMElements.cartNotice.replaceChildren(
+            h('p', { className: 'font-semibold mb-2' }, t('cart.noticeTitle')),
+            h('ul', { className: 'list-disc list-inside mb-3' }, state.cartNotices.map(notice => h('li', {}, t(notice.key, notice.params)))),
+            h('button', { className: 'btn-dismiss-cart-notice text-sm font-semibold underline' }, t('cart.noticeDismiss')),
+        );
+    }
+
+    
+    /**
+     * Renderiza a lista de produtos na página de Admin.
+     */
+    function renderAdminProductList() {
+        if (state.dataStatus.loading || state.dataStatus.error) {
+            DOMElements.adminProductList.replaceChildren(createDataStatus());
+            return;
+        }
+        
+        // Se não houver produtos, mostra mensagem
+        if (state.products.length === 0) {
+            DOMElements.adminProductList.replaceChildren(h('p', { className: 'text-gray-600' }, t('adminProducts.empty')));
+            return;
+        }
+
+        renderList(DOMElements.adminProductList, state.products, {
+            getKey: product => product.id,
+            render: createAdminProductRow,
+        });
+    }
+
+    /**
+     * Cria a linha de um produto na lista do admin (com "Editar" e "Remover").
+     * @param {object} product - O produto.
+     * @returns {HTMLElement} A linha.
+     */
+    function createAdminProductRow(product) {
+        // Produtos com estoque baixo (ou zerado) ficam destacados para o admin repor
+        const rowClasses = product.stock <= 0
+            ? 'border-red-400 bg-red-50'
+            : product.stock <= LOW_STOCK_THRESHOLD ? 'border-yellow-400 bg-yellow-50' : '';
+
+        return h('div', { className: `flex justify-between items-center p-4 border rounded-lg ${rowClasses}` },
+            h('div', { className: 'flex items-center' },
+                h('img', { src: product.img, alt: product.name, className: 'h-12 w-12 object-cover rounded-lg mr-4', loading: 'lazy' }),
+                h('div', {},
+                    h('h4', { className: 'text-lg font-semibold text-gray-800' }, product.name),
+                    h('p', { className: 'text-gray-600' }, t('adminProducts.priceAndStock', { price: formatProductPrice(product), stock: product.stock })),
+                    hasVariants(product)
+                        ? h('p', { className: 'text-sm text-gray-500' }, t('variants.count', { count: product.variants.length }))
+                        : null,
+                    createStockBadge(product),
+                ),
+            ),
+            h('div', { className: 'flex gap-2' },
+                h('button', {
+                    className: 'btn-edit-product border border-indigo-600 text-indigo-600 py-2 px-4 rounded-lg font-semibold hover:bg-indigo-50 transition-colors',
+                    dataset: { id: product.id },
+                }, t('common.edit')),
+                h('button', {
+                    className: 'btn-delete-product bg-red-500 text-white py-2 px-4 rounded-lg font-semibold hover:bg-red-600 transition-colors',
+                    dataset: { id: product.id },
+                }, t('common.remove')),
+            ),
+        );
+    }
+
+
+    /**
+     * Cria o "selo" de estoque de um produto: "Esgotado" ou "Últimas unidades".
+     * @param {object} product - O produto.
+     * @returns {HTMLElement|null} O selo (null se o estoque estiver normal).
+     */
+    function createStockBadge(product) {
+        if (product.stock <= 0) {
+            return h('span', { className: 'inline-block mb-2 px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-700' }, t('stock.soldOut'));
+        }
+        if (product.stock <= LOW_STOCK_THRESHOLD) {
+            return h('span', { className: 'inline-block mb-2 px-2 py-1 rounded text-xs font-semibold bg-yellow-100 text-yellow-800' }, t('stock.low'));
+        }
+        return null;
+    }
+
+
+    /**
+     * Cria o "selo" de promoção automática de um produto (ex: "Leve 3 pague 2").
+     * @param {object} product - O produto.
+     * @returns {HTMLElement|null} O selo (null se o produto não tiver promoção).
+     */
+    function createPromotionBadge(product) {
+        const promotion = state.promotions.find(p => p.productId === product.id);
+        if (!promotion) return null;
+        return h('span', { className: 'inline-block mb-2 px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-800' }, describePromotion(promotion));
+    }
+
+
+    /**
+     * Atualiza as opções de categoria: o select da barra de filtros e as
+     * sugestões (datalist) do formulário de produto do admin.
+     */
+    function renderCategoryOptions() {
+        const categories = getCategories();
+
+        DOMElements.filterCategory.replaceChildren(
+            h('option', { value: '' }, t('filters.allCategories')),
+            ...categories.map(category => h('option', { value: category }, category)),
+        );
+        // Se a categoria escolhida sumiu do catálogo, o filtro volta para "Todas"
+        if (!categories.includes(state.filters.category)) {
+            state.filters.category = '';
+        }
+        DOMElements.filterCategory.value = state.filters.category;
+
+        DOMElements.categoryOptions.replaceChildren(...categories.map(category => h('option', { value: category })));
+    }
+
+    /**
+     * Preenche os campos da barra de filtros com os valores do 'state.filters'
+     * (ex: ao abrir a página com filtros salvos).
+     */
+    function renderFilterControls() {
+        const { query, minPrice, maxPrice, sort } = state.filters;
+        DOMElements.filterSearch.value = query;
+        DOMElements.filterMinPrice.value = minPrice === null ? '' : minPrice;
+        DOMElements.filterMaxPrice.value = maxPrice === null ? '' : maxPrice;
+        DOMElements.filterSort.value = sort;
+        // A categoria é preenchida por 'renderCategoryOptions', junto com a grade
+    }
+
+
+    /**
+     * Renderiza a prévia da importação de catálogo: o que acontece com cada linha
+     * do arquivo (produto novo, atualização ou erros que impedem a importação).
+     */
+    function renderCatalogImportPreview() {
+        const preview = state.catalogImport;
+
+        if (!preview) {
+            DOMElements.catalogImportPreview.replaceChildren();
+            DOMElements.catalogImportActions.classList.add('hidden');
+            return;
+        }
+
+        const mode = getCatalogImportMode();
+        const validCount = preview.rows.filter(row => row.errors.length === 0).length;
+        const invalidCount = preview.rows.length - validCount;
+
+        let summary = t('catalogIO.validCount', { count: validCount });
+        if (invalidCount > 0) summary += t('catalogIO.invalidCount', { count: invalidCount });
+        if (mode === 'replace') summary += t('catalogIO.replaceWarning', { count: state.products.length });
+
+        const rows = preview.rows.map(row => {
+            const name = row.product && row.product.name ? row.product.name : t('catalogIO.unnamed');
+            let status;
+            if (row.errors.length > 0) {
+                status = h('ul', { className: 'text-red-600 list-disc ml-6' }, row.errors.map(error => h('li', {}, error)));
+            } else if (mode === 'merge' && state.products.some(p => p.id === row.product.id)) {
+                status = h('span', { className: 'text-yellow-700' }, t('catalogIO.updatesExisting'));
+            } else {
+                status = h('span', { className: 'text-green-700' }, t('catalogIO.newProduct'));
+            }
+
+            return h('div', { className: `p-3 border rounded-lg ${row.errors.length > 0 ? 'border-red-300 bg-red-50' : ''}` },
+                h('p', { className: 'font-semibold text-gray-800' }, t('catalogIO.item', { position: row.position, name })),
+                status,
+            );
+        });
+
+        DOMElements.catalogImportPreview.replaceChildren(
+            h('p', { className: 'text-gray-700' }, h('strong', {}, preview.fileName), summary),
+            ...rows,
+        );
+
+        DOMElements.catalogImportActions.classList.remove('hidden');
+        DOMElements.catalogImportConfirm.disabled = validCount === 0;
+    }
+
+
+    /**
+     * Renderiza a lista de cupons no painel admin, com a situação de cada um.
+     */
+    function renderAdminCouponList() {
+        if (state.coupons.length === 0) {
+            DOMElements.adminCouponList.replaceChildren(h('p', { className: 'text-gray-600' }, t('coupons.empty')));
+            return;
+        }
+
+        renderList(DOMElements.adminCouponList, state.coupons, {
+            getKey: coupon => coupon.code,
+            getSignature: coupon => JSON.stringify([coupon, isCouponExpired(coupon)]),
+            render: createAdminCouponRow,
+        });
+    }
+
+    /**
+     * Cria a linha de um cupom na lista do admin.
+     * @param {object} coupon - O cupom.
+     * @returns {HTMLElement} A linha.
+     */
+    function createAdminCouponRow(coupon) {
+        const status = !coupon.active
+            ? h('span', { className: 'text-gray-500' }, t('coupons.statusDisabled'))
+            : isCouponExpired(coupon) ? h('span', { className: 'text-red-600' }, t('coupons.statusExpired')) : h('span', { className: 'text-green-700' }, t('coupons.statusActive'));
+        const details = [
+            describeCoupon(coupon),
+            coupon.minSubtotal > 0 ? t('coupons.minimum', { price: formatPrice(coupon.minSubtotal) }) : '',
+            coupon.expiresAt ? t('coupons.validUntil', { date: formatDate(coupon.expiresAt) }) : '',
+        ].filter(Boolean).join(' · ');
+
+        return h('div', { className: 'flex justify-between items-center p-4 border rounded-lg' },
+            h('div', {},
+                h('h4', { className: 'text-lg font-semibold text-gray-800' }, `${coupon.code} · `, status),
+                h('p', { className: 'text-gray-600' }, details),
+            ),
+            h('div', { className: 'flex gap-2' },
+                h('button', {
+                    className: 'btn-toggle-coupon border border-indigo-600 text-indigo-600 py-2 px-4 rounded-lg font-semibold hover:bg-indigo-50 transition-colors',
+                    dataset: { code: coupon.code },
+                }, coupon.active ? t('coupons.deactivate') : t('coupons.activate')),
+                h('button', {
+                    className: 'btn-delete-coupon bg-red-500 text-white py-2 px-4 rounded-lg font-semibold hover:bg-red-600 transition-colors',
+                    dataset: { code: coupon.code },
+                }, t('common.remove')),
+            ),
+        );
+    }
+
+    /**
+     * Renderiza as promoções automáticas no painel admin e as opções de produto do formulário.
+     */
+    function renderAdminPromotionList() {
+        // Mantém o produto escolhido no formulário, se ele ainda existir
+        const selectedProductId = DOMElements.promoProductSelect.value;
+        DOMElements.promoProductSelect.replaceChildren(
+            ...state.products.map(product => h('option', { value: product.id }, product.name))
+        );
+        if (state.products.some(product => product.id === selectedProductId)) {
+            DOMElements.promoProductSelect.value = selectedProductId;
+        }
+
+        if (state.promotions.length === 0) {
+            DOMElements.adminPromotionList.replaceChildren(h('p', { className: 'text-gray-600' }, t('promotions.empty')));
+            return;
+        }
+
+        renderList(DOMElements.adminPromotionList, state.promotions, {
+            getKey: promotion => promotion.id,
+            getSignature: promotion => {
+                const product = state.products.find(p => p.id === promotion.productId);
+                return JSON.stringify([promotion, product ? product.name : null]);
+            },
+            render: promotion => {
+                const product = state.products.find(p => p.id === promotion.productId);
+                return h('div', { className: 'flex justify-between items-center p-4 border rounded-lg' },
+                    h('div', {},
+                        h('h4', { className: 'text-lg font-semibold text-gray-800' }, describePromotion(promotion)),
+                        h('p', { className: 'text-gray-600' }, product ? product.name : t('common.removedProduct')),
+                    ),
+                    h('button', {
+                        className: 'btn-delete-promotion bg-red-500 text-white py-2 px-4 rounded-lg font-semibold hover:bg-red-600 transition-colors',
+                        dataset: { id: promotion.id },
+                    }, t('common.remove')),
+                );
+            },
+        });
+    }
+
+
+    /**
+     * Renderiza a lista de contas no painel admin, com o botão para
+     * promover ou rebaixar cada uma. Só é preenchida para administradores.
+     */
+    function renderAdminUserList() {
+        if (!isAdmin()) {
+            DOMElements.adminUserList.replaceChildren();
+            return;
+        }
+
+        const currentUser = getCurrentUser();
+
+        renderList(DOMElements.adminUserList, state.users, {
+            getKey: user => user.id,
+            getSignature: user => JSON.stringify([user.name, user.email, user.role, user === currentUser]),
+            render: user => {
+                const isUserAdmin = user.role === 'admin';
+                return h('div', { className: 'flex justify-between items-center p-4 border rounded-lg' },
+                    h('div', {},
+                        h('h4', { className: 'text-lg font-semibold text-gray-800' }, user.name, user === currentUser ? ` ${t('common.you')}` : ''),
+                        h('p', { className: 'text-gray-600' }, `${user.email} · ${isUserAdmin ? t('users.admin') : t('users.customer')}`),
+                    ),
+                    h('button', {
+                        className: 'btn-toggle-role border border-indigo-600 text-indigo-600 py-2 px-4 rounded-lg font-semibold hover:bg-indigo-50 transition-colors',
+                        dataset: { id: user.id },
+                    }, isUserAdmin ? t('users.removeAdmin') : t('users.makeAdmin')),
+                );
+            },
+        });
+    }
+
+
+    /**
+     * Cria as estrelas de uma nota (ex: 4 -> "★★★★☆").
+     * @param {number} rating - A nota (de 1 a 5; médias são arredondadas).
+     * @returns {HTMLElement} As estrelas, com a nota por extenso para leitores de tela.
+     */
+    function createRatingStars(rating) {
+        const fullStars = Math.round(rating);
+        return h('span', { className: 'text-yellow-500', role: 'img', 'aria-label': t('reviews.starsLabel', { rating: formatRating(rating) }) },
+            '★'.repeat(fullStars) + '☆'.repeat(5 - fullStars));
+    }
+
+    /**
+     * Cria a linha com a nota média e o número de avaliações de um produto.
+     * @param {{average: number, count: number}} [rating] - A nota média (vazio se o produto não tiver avaliações).
+     * @returns {HTMLElement} A linha (ex: "★★★★☆ 4,3 (12 avaliações)").
+     */
+    function createRatingSummary(rating) {
+        if (!rating) {
+            return h('p', { className: 'text-sm text-gray-500 mb-2' }, t('reviews.noRatings'));
+        }
+        return h('p', { className: 'text-sm text-gray-700 mb-2' },
+            createRatingStars(rating.average),
+            ` ${formatRating(rating.average)} (${t('reviews.count', { count: rating.count })})`,
+        );
+    }
+
+    /**
+     * Renderiza as avaliações do produto aberto na página de detalhe: a nota média,
+     * o formulário (ou o convite para entrar na conta) e a lista de avaliações.
+     * Os campos do formulário não são tocados aqui (ver 'fillReviewForm'), para não
+     * apagar o que o cliente está digitando quando chega uma avaliação de outra aba.
+     */
+    function renderProductReviews() {
+        const productId = state.viewingProductId;
+        if (!productId) return;
+
+        const user = getCurrentUser();
+        const ownReview = getOwnReview(productId);
+        const reviews = getVisibleReviews(productId);
+
+        DOMElements.reviewSummary.replaceChildren(createRatingSummary(getRatingSummaries().get(productId)));
+
+        DOMElements.reviewForm.classList.toggle('hidden', !user);
+        DOMElements.reviewLoginPrompt.classList.toggle('hidden', Boolean(user));
+        setTranslatedText(DOMElements.reviewSubmit, ownReview ? 'reviews.saveChanges' : 'reviews.publish');
+        DOMElements.reviewDeleteButton.classList.toggle('hidden', !ownReview);
+        DOMElements.reviewModerationNote.classList.toggle('hidden', !(ownReview && ownReview.hidden));
+
+        if (reviews.length === 0) {
+            DOMElements.reviewList.replaceChildren(h('p', { className: 'text-gray-600' }, t('reviews.none')));
+            return;
+        }
+
+        renderList(DOMElements.reviewList, reviews, {
+            getKey: review => review.id,
+            getSignature: review => JSON.stringify([review, Boolean(user) && review.userId === user.id]),
+            render: review => h('div', { className: 'p-4 border rounded-lg' },
+                h('div', { className: 'flex flex-wrap justify-between gap-2 mb-2' },
+                    h('p', { className: 'font-semibold text-gray-800' },
+                        createRatingStars(review.rating), ` ${review.userName}`, user && review.userId === user.id ? ` ${t('common.you')}` : ''),
+                    h('p', { className: 'text-gray-500 text-sm' }, describeReviewDate(review)),
+                ),
+                h('p', { className: 'text-gray-700 whitespace-pre-line' }, review.text),
+            ),
+        });
+    }
+
+    /**
+     * Renderiza a moderação de avaliações no painel admin (as mais recentes primeiro).
+     */
+    function renderAdminReviewList() {
+        if (state.reviews.length === 0) {
+            DOMElements.adminReviewList.replaceChildren(h('p', { className: 'text-gray-600' }, t('adminReviews.empty')));
+            return;
+        }
+
+        const reviews = [...state.reviews].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        renderList(DOMElements.adminReviewList, reviews, {
+            getKey: review => review.id,
+            getSignature: review => {
+                const product = state.products.find(p => p.id === review.productId);
+                return JSON.stringify([review, product ? product.name : null]);
+            },
+            render: review => {
+                const product = state.products.find(p => p.id === review.productId);
+                return h('div', { className: `flex justify-between items-start gap-4 p-4 border rounded-lg ${review.hidden ? 'bg-gray-50' : ''}` },
+                    h('div', {},
+                        h('h4', { className: 'text-lg font-semibold text-gray-800' },
+                            product ? product.name : t('common.removedProduct'),
+                            review.hidden ? h('span', { className: 'ml-2 px-2 py-1 rounded text-xs font-semibold bg-gray-200 text-gray-700' }, t('adminReviews.hiddenBadge')) : null,
+                        ),
+                        h('p', { className: 'text-gray-600 mb-1' }, createRatingStars(review.rating), ` ${review.userName} · ${describeReviewDate(review)}`),
+                        h('p', { className: 'text-gray-700 whitespace-pre-line' }, review.text),
+                    ),
+                    h('button', {
+                        className: 'btn-toggle-review shrink-0 border border-indigo-600 text-indigo-600 py-2 px-4 rounded-lg font-semibold hover:bg-indigo-50 transition-colors',
+                        dataset: { id: review.id },
+                    }, review.hidden ? t('adminReviews.show') : t('adminReviews.hide')),
+                );
+            },
+        });
+    }
+
+
+    /**
+     * Renderiza o histórico de pedidos na página "Meus Pedidos".
+     * Os pedidos mais recentes aparecem primeiro.
+     */
+    function renderOrders() {
+        // Mostra apenas os pedidos de quem está usando a loja. Os pedidos sem conta são de
+        // todos os visitantes: cada navegador só mostra os que foram feitos nele
+        const userId = state.session ? state.session.userId : null;
+        const orders = state.orders.filter(order => (userId
+            ? order.userId === userId
+            : !order.userId && state.guestOrderIds.includes(order.id)));
+
+        if (orders.length === 0) {
+            DOMElements.ordersList.replaceChildren(h('p', { className: 'text-gray-600' }, t('orders.empty')));
+            return;
+        }
+
+        // 'reverse' deixa os mais recentes primeiro ('filter' já criou uma cópia do 'state.orders')
+        renderList(DOMElements.ordersList, orders.reverse(), {
+            getKey: order => order.id,
+            render: createOrderCard,
+        });
+    }
+
+    /**
+     * Cria o card de um pedido do histórico.
+     * @param {object} order - O pedido.
+     * @returns {HTMLElement} O card.
+     */
+    function createOrderCard(order) {
+        const status = ORDER_STATUSES[order.status];
+
+        return h('div', { className: 'bg-white p-6 rounded-lg shadow-lg' },
+            h('div', { className: 'flex flex-wrap justify-between items-center gap-2 mb-4' },
+                h('div', {},
+                    h('h3', { className: 'text-lg font-semibold text-gray-800' }, t('orders.number', { id: order.id })),
+                    h('p', { className: 'text-gray-500 text-sm' }, new Date(order.createdAt).toLocaleString(state.locale)),
+                ),
+                h('span', { className: `px-3 py-1 rounded-full text-sm font-semibold ${status.classes}` }, t(status.label)),
+            ),
+            h('ul', { className: 'text-gray-700 border-t border-b border-gray-200 py-2 mb-4' },
+                order.items.map(item => h('li', { className: 'flex justify-between py-1' },
+                    h('span', {}, `${item.quantity}x ${getCartItemLabel(item)}`),
+                    h('span', {}, formatPrice(item.price * item.quantity)),
+                )),
+            ),
+            h('div', { className: 'flex flex-wrap justify-between gap-2 text-gray-600' },
+                h('span', {}, t('orders.deliveryTo', { method: t(PAYMENT_METHODS[order.payment.method]), city: order.address.city, state: order.address.state })),
+                h('span', { className: 'text-lg font-bold text-indigo-600' }, formatPrice(order.total)),
+            ),
+        );
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE LÓGICA DE NEGÓCIO
+    // ---------------------------------------------------------------------
+
+    /** Categoria dada a produtos que não têm uma */
+    const DEFAULT_CATEGORY = 'Outros';
+
+    /** Estoque dado a produtos cadastrados antes do controle de estoque (o admin pode ajustar) */
+    const DEFAULT_STOCK = 10;
+
+    /** A partir de quantas unidades (ou menos) o produto está nas "Últimas unidades" */
+    const LOW_STOCK_THRESHOLD = 5;
+
+    /** Quantos produtos aparecem em cada página da vitrine */
+    const PRODUCTS_PER_PAGE = 12;
+
+    /**
+     * Identifica uma linha do carrinho: o ID do produto e, em produtos com variações,
+     * o SKU da variação (o mesmo celular em duas cores são duas linhas).
+     * @param {object} item - O item do carrinho.
+     * @returns {string} A chave da linha (em produtos sem variações, o próprio ID do produto).
+     */
+    function getCartItemKey(item) {
+        return item.sku ? `${item.id}::${item.sku}` : item.id;
+    }
+
+    /**
+     * Encontra uma linha do carrinho pela chave (ver 'getCartItemKey').
+     * @param {string} itemKey - A chave da linha.
+     * @returns {object|undefined} O item do carrinho.
+     */
+    function findCartItem(itemKey) {
+        return state.cart.find(item => getCartItemKey(item) === itemKey);
+    }
+
+    /**
+     * Nome de um item do carrinho com as opções escolhidas (ex: "Smartphone X (128 GB, Preto)").
+     * @param {object} item - O item do carrinho (ou de um pedido).
+     * @returns {string} O nome para mostrar.
+     */
+    function getCartItemLabel(item) {
+        if (!item.options) return item.name;
+        return t('cart.itemWithOptions', { name: item.name, options: Object.values(item.options).join(', ') });
+    }
+
+    /**
+     * Retorna quantas unidades de uma linha do carrinho já estão nele.
+     * @param {string} itemKey - A chave da linha (o ID do produto, em produtos sem variações).
+     * @returns {number} A quantidade no carrinho (0 se não estiver).
+     */
+    function getCartQuantity(itemKey) {
+        const cartItem = findCartItem(itemKey);
+        return cartItem ? cartItem.quantity : 0;
+    }
+
+    /**
+     * Prepara um texto para buscas: minúsculas e sem acentos
+     * (ex: "Câmera" -> "camera"), para "camera" encontrar "Câmera".
+     * @param {string} text - O texto original.
+     * @returns {string} O texto normalizado.
+     */
+    function normalizeText(text) {
+        return String(text)
+            .normalize('NFD') // Separa as letras dos acentos ("â" -> "a" + "^")
+            .replace(/[\u0300-\u036f]/g, '') // Remove os acentos
+            .toLowerCase();
+    }
+
+    /**
+     * Lista as categorias existentes no catálogo, em ordem alfabética e sem repetições.
+     * @returns {string[]} As categorias.
+     */
+    function getCategories() {
+        const categories = new Set(state.products.map(product => product.category));
+        return [...categories].sort((a, b) => a.localeCompare(b, state.locale));
+    }
+
+    /**
+     * Aplica a busca, os filtros e a ordenação do 'state.filters' ao catálogo.
+     * @returns {object[]} Os produtos que devem aparecer na vitrine, já ordenados.
+     */
+    function getFilteredProducts() {
+        const { query, category, minPrice, maxPrice } = state.filters;
+        // Cada palavra buscada precisa aparecer no nome ou na descrição
+        const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+
+        const products = state.products.filter(product => {
+            if (category && product.category !== category) return false;
+            // Os limites de preço são digitados na moeda em que os preços aparecem
+            const price = convertPrice(product.price);
+            if (minPrice !== null && price < minPrice) return false;
+            if (maxPrice !== null && price > maxPrice) return false;
+
+            const searchable = normalizeText(`${product.name} ${product.description}`);
+            return terms.every(term => searchable.includes(term));
+        });
+
+        return sortProducts(products, state.filters.sort);
+    }
+
+    /**
+     * Ordena uma lista de produtos.
+     * @param {object[]} products - Os produtos (a lista é ordenada no lugar).
+     * @param {string} sort - 'price-asc', 'price-desc', 'name', 'newest' ou 'default' (ordem de cadastro).
+     * @returns {object[]} A mesma lista, ordenada.
+     */
+    function sortProducts(products, sort) {
+        switch (sort) {
+            case 'price-asc':
+                return products.sort((a, b) => a.price - b.price);
+            case 'price-desc':
+                return products.sort((a, b) => b.price - a.price);
+            case 'name':
+                return products.sort((a, b) => a.name.localeCompare(b.name, state.locale));
+            case 'newest':
+                return products.sort((a, b) => getProductCreatedTime(b) - getProductCreatedTime(a));
+            case 'rating': {
+                // Maior nota média primeiro; no empate, o mais avaliado. Sem avaliações vão para o fim.
+                const ratings = getRatingSummaries();
+                const getRating = product => ratings.get(product.id) || { average: 0, count: 0 };
+                return products.sort((a, b) =>
+                    getRating(b).average - getRating(a).average || getRating(b).count - getRating(a).count);
+            }
+            default:
+                return products;
+        }
+    }
+
+    /**
+     * Retorna quando um produto foi cadastrado, em milissegundos.
+     * Produtos antigos não têm 'createdAt', mas o ID deles é o 'Date.now()' do cadastro.
+     * @param {object} product - O produto.
+     * @returns {number} O momento do cadastro (0 se for desconhecido).
+     */
+    function getProductCreatedTime(product) {
+        if (product.createdAt) return new Date(product.createdAt).getTime();
+        return Number(product.id) || 0;
+    }
+
+    /**
+     * Lê os campos da barra de filtros, guarda no 'state' e redesenha a vitrine.
+     */
+    function handleFiltersChange() {
+        // Campo de preço vazio (ou inválido) = sem limite
+        const readPrice = input => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? value : null;
+        };
+
+        state.filters = {
+            query: DOMElements.filterSearch.value,
+            category: DOMElements.filterCategory.value,
+            minPrice: readPrice(DOMElements.filterMinPrice),
+            maxPrice: readPrice(DOMElements.filterMaxPrice),
+            sort: DOMElements.filterSort.value,
+        };
+
+        saveFiltersToLocalStorage();
+        goToFirstCatalogPage();
+        renderProductGrid();
+    }
+
+    /** Volta os filtros ao padrão (botões "Limpar filtros") */
+    function resetFilters() {
+        state.filters = { ...DEFAULT_FILTERS };
+        saveFiltersToLocalStorage();
+        renderFilterControls();
+        goToFirstCatalogPage();
+        renderProductGrid();
+    }
+
+    /**
+     * Retorna o caminho de uma página da vitrine (a primeira é a própria Home).
+     * @param {number} page - O número da página.
+     * @returns {string} O caminho (ex: '/' ou '/pagina/3').
+     */
+    function getCatalogPagePath(page) {
+        return page > 1 ? `/pagina/${page}` : '/';
+    }
+
+    /**
+     * Mostra uma página da vitrine. É chamada pelo roteador ('#/' e '#/pagina/:page').
+     * @param {string|number} page - O número da página (vem da URL como texto).
+     * @returns {boolean} false se o número não for válido (a rota é recusada).
+     */
+    function showCatalogPage(page) {
+        const pageNumber = Number(page);
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            showNotFound('notFound.catalogPage');
+            return false;
+        }
+
+        state.catalogPage = pageNumber;
+        renderProductGrid();
+        return true;
+    }
+
+    /**
+     * Atualiza a URL com a página atual da vitrine, sem criar uma nova entrada no
+     * histórico (e sem disparar o roteador, que rolaria a janela para o topo).
+     */
+    function replaceCatalogPageInUrl() {
+        // Se a vitrine não está na tela (ex: o catálogo mudou em outra aba), a URL é de outra página
+        const match = currentPath === null ? null : matchRoute(currentPath);
+        if (!match || match.route.page !== 'page-home') return;
+
+        window.history.replaceState(null, '', `#${getCatalogPagePath(state.catalogPage)}`);
+        currentPath = getCatalogPagePath(state.catalogPage);
+    }
+
+    /** Volta a vitrine para a primeira página (ex: ao mudar a busca ou os filtros) */
+    function goToFirstCatalogPage() {
+        if (state.catalogPage === 1) return;
+        state.catalogPage = 1;
+        replaceCatalogPageInUrl();
+    }
+
+    /**
+     * Adiciona um produto (ou uma variação dele) ao carrinho (state.cart).
+     * @param {string} productId - O ID do produto a ser adicionado.
+     * @param {string|null} [sku] - O SKU da variação escolhida (obrigatório em produtos com variações).
+     * @returns {boolean} true se o produto foi adicionado (false se não existe ou não há estoque).
+     */
+    function addToCart(productId, sku = null) {
+        // 1. Encontra o produto na lista GERAL de produtos
+        const product = state.products.find(p => p.id === productId);
+        if (!product) return false; // Se não achar, encerra
+
+        // Produtos com variações precisam da combinação escolhida na página do produto
+        if (hasVariants(product) && !sku) {
+            showToast(t('variants.chooseFirst', { name: product.name }), 'error');
+            return false;
+        }
+        const variant = findVariant(product, sku);
+        const purchasable = getPurchasableItem(product, sku);
+        if (!purchasable) {
+            showToast(t('variants.unavailable'), 'error');
+            return false;
+        }
+
+        // A linha do carrinho (variações diferentes do mesmo produto são linhas diferentes)
+        const newItem = {
+            id: product.id,
+            ...(variant ? { sku: variant.sku, options: { ...variant.options } } : {}),
+            name: product.name,
+            price: purchasable.price,
+            img: purchasable.img,
+            quantity: 1
+        };
+        const itemKey = getCartItemKey(newItem);
+        const itemLabel = getCartItemLabel(newItem);
+
+        // Não deixa o carrinho passar do estoque disponível
+        if (purchasable.stock <= 0) {
+            showToast(t('cart.soldOut', { name: itemLabel }), 'error');
+            return false;
+        }
+        if (getCartQuantity(itemKey) >= purchasable.stock) {
+            showToast(t('cart.stockLimit', { stock: purchasable.stock, name: itemLabel }), 'error');
+            return false;
+        }
+
+        // 2. Verifica se o item JÁ ESTÁ no carrinho
+        const cartItem = findCartItem(itemKey);
+
+        if (cartItem) {
+            // 3a. Se JÁ ESTÁ, apenas aumenta a quantidade
+            cartItem.quantity++;
+        } else {
+            // 3b. Se NÃO ESTÁ, adiciona o produto ao carrinho com quantidade 1
+            state.cart.push(newItem);
+        }
+        
+        // 4. Salva o carrinho atualizado no LocalStorage
+        saveCart();
+        // 5. Redesenha o carrinho na tela
+        renderCart();
+        // 6. Registra a adição nas estatísticas e mostra uma notificação de sucesso
+        trackEvent('add', product.id, { ...(variant ? { sku: variant.sku } : {}), quantity: 1 });
+        showToast(t('cart.added', { name: itemLabel }));
+        return true;
+    }
+
+    /**
+     * Remove um item do carrinho. A notificação tem o botão "Desfazer".
+     * @param {string} itemKey - A chave da linha (ver 'getCartItemKey').
+     */
+    function removeFromCart(itemKey) {
         // Encontra a POSIÇÃO (índice) do item no array do carrinho
-        const itemIndex = state.cart.findIndex(item => item.id === productId);
+        const itemIndex = state.cart.findIndex(item => getCartItemKey(item) === itemKey);
         if (itemIndex === -1) return; // Se não achar (índice -1), encerra
 
-        const itemName = state.cart[itemIndex].name; // Pega o nome para a notificação
-        
-        // Remove o item do array 'state.cart' usando seu índice
-        state.cart.splice(itemIndex, 1); 
-        
-        // Salva e redesenha
-        saveCartToLocalStorage();
-        renderCart();
-        showToast(`${itemName} removido do carrinho.`, true); // true = notificação de erro (vermelha)
+        // Remove o item do array 'state.cart' usando seu índice (e guarda, para o "Desfazer")
+        rememberOriginalOrder('cart', state.cart.map(getCartItemKey));
+        const [removedItem] = state.cart.splice(itemIndex, 1);
+        const cartOwner = getCartOwner();
+        
+        // Salva e redesenha
+        saveCart();
+        renderCart();
+        // Uma remoção desfeita não conta como item abandonado
+        const removal = trackEvent('remove', removedItem.id, {
+            ...(removedItem.sku ? { sku: removedItem.sku } : {}),
+            quantity: removedItem.quantity,
+        });
+        showUndoToast(t('cart.removed', { name: getCartItemLabel(removedItem) }), () => {
+            if (restoreCartItem(removedItem, cartOwner)) untrackEvent(removal);
+        });
+    }
+
+    /**
+     * Desfaz a remoção de um item do carrinho, devolvendo-o à posição em que estava.
+     * @param {object} item - O item removido.
+     * @param {string} cartOwner - O dono do carrinho quando o item foi removido.
+     * @returns {boolean} true se o item voltou ao carrinho.
+     */
+    function restoreCartItem(item, cartOwner) {
+        // Depois de entrar/sair da conta, o carrinho na tela já é outro
+        if (getCartOwner() !== cartOwner) {
+            showToast(t('toast.undoUnavailable'), 'error');
+            return false;
+        }
+
+        // Se o produto voltou ao carrinho nesse meio-tempo, as quantidades se somam
+        const existingItem = findCartItem(getCartItemKey(item));
+        if (existingItem) {
+            existingItem.quantity += item.quantity;
+        } else {
+            insertInOriginalOrder('cart', state.cart, item, getCartItemKey);
+        }
+
+        // Confere preço e estoque de novo (o catálogo pode ter mudado)
+        reconcileCart();
+        saveCart();
+        renderCart();
+        showToast(t('cart.restored', { name: getCartItemLabel(item) }));
+        return true;
+    }
+
+    /**
+     * Muda a quantidade de um item do carrinho (botões +/- ou campo de quantidade).
+     * Quantidade 0 remove o item; acima do estoque, fica no máximo disponível.
+     * @param {string} itemKey - A chave da linha (ver 'getCartItemKey').
+     * @param {number} quantity - A nova quantidade desejada.
+     */
+    function updateCartQuantity(itemKey, quantity) {
+        const cartItem = findCartItem(itemKey);
+        if (!cartItem) return;
+
+        if (quantity <= 0) {
+            removeFromCart(itemKey);
+            return;
+        }
+
+        const product = state.products.find(p => p.id === cartItem.id);
+        const purchasable = product && getPurchasableItem(product, cartItem.sku);
+        if (purchasable && quantity > purchasable.stock) {
+            showToast(t('cart.stockLimit', { stock: purchasable.stock, name: getCartItemLabel(cartItem) }), 'error');
+            quantity = purchasable.stock;
+        }
+
+        cartItem.quantity = quantity;
+        saveCart();
+        renderCart();
+    }
+
+    /**
+     * Confere o carrinho contra o catálogo atual. Os itens do carrinho guardam
+     * uma cópia do nome, preço e imagem de quando foram adicionados, então aqui:
+     * - itens de produtos removidos da loja (ou esgotados) saem do carrinho;
+     * - preços, nomes e imagens alterados são atualizados;
+     * - quantidades acima do estoque são reduzidas ao disponível.
+     * O que mudou vira um aviso em 'state.cartNotices' (a chave do texto e os valores dele,
+     * para o aviso acompanhar uma troca de idioma).
+     * @returns {{key: string, params: object}[]} As mudanças feitas (vazia se nada mudou).
+     */
+    function reconcileCart() {
+        const changes = [];
+        // Sem o catálogo (ex: a API não respondeu) não há com o que comparar
+        if (state.dataStatus.error) return changes;
+
+        state.cart = state.cart.filter(item => {
+            const product = state.products.find(p => p.id === item.id);
+            // O que está à venda na linha: a variação (se tiver) ou o próprio produto
+            const purchasable = product && getPurchasableItem(product, item.sku);
+
+            if (!purchasable) {
+                changes.push({ key: 'cartNotice.unavailable', params: { name: getCartItemLabel(item) } });
+                return false;
+            }
+
+            // Nome, imagem e a descrição da variação são atualizados sem aviso
+            item.name = product.name;
+            item.img = purchasable.img;
+            const variant = findVariant(product, item.sku);
+            if (variant) item.options = { ...variant.options };
+            const name = getCartItemLabel(item);
+
+            if (purchasable.stock <= 0) {
+                changes.push({ key: 'cartNotice.soldOut', params: { name } });
+                return false;
+            }
+            if (purchasable.price !== item.price) {
+                changes.push({ key: 'cartNotice.priceChanged', params: { name, from: formatPrice(item.price), to: formatPrice(purchasable.price) } });
+                item.price = purchasable.price;
+            }
+            if (item.quantity > purchasable.stock) {
+                changes.push({ key: 'cartNotice.quantityAdjusted', params: { name, stock: purchasable.stock } });
+                item.quantity = purchasable.stock;
+            }
+            return true;
+        });
+
+        if (changes.length > 0) {
+            state.cartNotices.push(...changes);
+            saveCart();
+            showToast(t('cart.updatedToast'), 'info');
+        }
+        return changes;
+    }
+
+    /**
+     * Atualiza tudo o que depende do catálogo depois que ele muda
+     * (produto adicionado, editado, removido ou vendido).
+     */
+    function refreshAfterCatalogChange() {
+        renderProductGrid();
+        renderAdminProductList();
+        renderAdminPromotionList();
+        reconcileCart();
+        renderCart();
+        reconcileWishlist();
+        refreshWishlist();
+    }
+
+    /**
+     * Confere se uma URL de imagem é aceitável: http(s) ou uma imagem embutida (data:image).
+     * @param {string} url - A URL digitada.
+     * @returns {boolean} true se a URL for válida.
+     */
+    function isValidImageUrl(url) {
+        if (/^data:image\//i.test(url)) return true;
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch {
+            return false; // 'new URL' lança erro quando o texto não é uma URL
+        }
+    }
+
+    /**
+     * Valida os dados de um produto (formulário do admin).
+     * @param {object} data - Os campos do produto (name, price, stock, category, img, description,
+     *   weight em kg, length, width e height em cm e, se tiver, options e variants).
+     * @returns {string[]} A lista de erros encontrados (vazia se estiver tudo certo).
+     */
+    function validateProduct(data) {
+        const errors = [];
+
+        if (!data.name) errors.push(t('product.errorName'));
+        // Com variações, o preço e o estoque são os delas (conferidos em 'validateVariants')
+        if (!hasVariants(data)) {
+            // O preço pode ser 0 (brinde), mas não negativo nem vazio
+            if (!Number.isFinite(data.price) || data.price < 0) errors.push(t('product.errorPrice'));
+            if (!Number.isInteger(data.stock) || data.stock < 0) errors.push(t('product.errorStock'));
+        }
+        if (!data.category) errors.push(t('product.errorCategory'));
+        if (!isValidImageUrl(data.img)) errors.push(t('product.errorImg'));
+        if (!data.description) errors.push(t('product.errorDescription'));
+        if (!Number.isFinite(data.weight) || data.weight <= 0) errors.push(t('product.errorWeight'));
+        if (!['length', 'width', 'height'].every(field => Number.isFinite(data[field]) && data[field] > 0)) {
+            errors.push(t('product.errorDimensions'));
+        }
+        errors.push(...validateVariants(data));
+
+        return errors;
+    }
+
+    /**
+     * Lê os campos do formulário de produto do admin (com as opções e variações).
+     * @returns {object} Os dados digitados, já convertidos (preço, estoque, peso e medidas viram números).
+     */
+    function readProductForm() {
+        const priceText = document.getElementById('prod-price').value.trim();
+        const stockText = document.getElementById('prod-stock').value.trim();
+        const readNumber = id => {
+            const text = document.getElementById(id).value.trim();
+            return text === '' ? NaN : Number(text);
+        };
+
+        return {
+            name: document.getElementById('prod-name').value.trim(),
+            // Campo vazio vira NaN (e não 0), para a validação acusar o erro
+            price: priceText === '' ? NaN : Number(priceText),
+            stock: stockText === '' ? NaN : Number(stockText),
+            category: document.getElementById('prod-category').value.trim(),
+            img: document.getElementById('prod-img').value.trim(),
+            description: document.getElementById('prod-desc').value.trim(),
+            weight: readNumber('prod-weight'),
+            length: readNumber('prod-length'),
+            width: readNumber('prod-width'),
+            height: readNumber('prod-height'),
+            ...readVariantEditor(), // 'options' e 'variants'
+        };
+    }
+
+    /**
+     * Lida com o envio do formulário de produto (Admin): cadastra um produto
+     * novo ou, no modo de edição, salva as alterações mantendo o mesmo ID.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleProductFormSubmit(e) {
+        e.preventDefault(); // Impede o formulário de recarregar a página
+        if (!requireAdmin()) return; // Só administradores alteram o catálogo
+        
+        // Pega e valida os valores dos campos do formulário
+        // (com variações, o preço e o estoque do produto saem delas)
+        const data = summarizeVariants(readProductForm());
+        const errors = validateProduct(data);
+        const skuInUse = findSkuInUse(data.variants, state.editingProductId);
+        if (skuInUse) errors.push(t('variants.errorSkuDuplicate', { sku: skuInUse }));
+        if (errors.length > 0) {
+            showToast(errors[0], 'error'); // Mostra o primeiro problema encontrado
+            return;
+        }
+
+        let product;
+        if (state.editingProductId) {
+            // Modo de edição: atualiza o produto existente (o ID não muda)
+            product = state.products.find(p => p.id === state.editingProductId);
+            if (!product) {
+                showToast(t('product.notFound'), 'error');
+                cancelProductEdit();
+                return;
+            }
+            Object.assign(product, data, { updatedAt: new Date().toISOString() });
+            showToast(t('product.updated'));
+        } else {
+            // Cria o objeto do novo produto e adiciona ao 'state.products'
+            product = {
+                id: Date.now().toString(), // ID único baseado no timestamp atual
+                ...data,
+                createdAt: new Date().toISOString(),
+            };
+            state.products.push(product);
+            showToast(t('product.added'));
+        }
+        
+        // Salva o produto no data source
+        syncChange(['products'], () => dataSource.products.save(product), t('product.saveFailed'));
+        
+        // Redesenha a grade, a lista do Admin e confere o carrinho contra o catálogo novo
+        refreshAfterCatalogChange();
+        
+        // Limpa os campos do formulário (e sai do modo de edição)
+        cancelProductEdit();
+    }
+
+    /**
+     * Coloca o formulário do admin em modo de edição, preenchido com um produto.
+     * @param {string} productId - O ID do produto a ser editado.
+     */
+    function startProductEdit(productId) {
+        if (!requireAdmin()) return;
+
+        const product = state.products.find(p => p.id === productId);
+        if (!product) return;
+
+        state.editingProductId = productId;
+
+        document.getElementById('prod-name').value = product.name;
+        document.getElementById('prod-price').value = product.price;
+        document.getElementById('prod-stock').value = product.stock;
+        document.getElementById('prod-category').value = product.category;
+        document.getElementById('prod-img').value = product.img;
+        document.getElementById('prod-desc').value = product.description;
+        const productPackage = getProductPackage(product);
+        document.getElementById('prod-weight').value = productPackage.weight;
+        document.getElementById('prod-length').value = productPackage.length;
+        document.getElementById('prod-width').value = productPackage.width;
+        document.getElementById('prod-height').value = productPackage.height;
+        renderVariantEditor({ options: product.options, variants: product.variants });
+
+        renderProductFormMode();
+        updateImagePreview();
+
+        // Leva o admin até o formulário
+        DOMElements.addProductForm.scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('prod-name').focus();
+    }
+
+    /** Sai do modo de edição e limpa o formulário de produto */
+    function cancelProductEdit() {
+        state.editingProductId = null;
+        DOMElements.addProductForm.reset();
+        renderVariantEditor(); // As linhas de variações são criadas pelo script: o 'reset' não as apaga
+        renderProductFormMode();
+        updateImagePreview();
+    }
+
+    /** Ajusta o título e os botões do formulário conforme o modo (cadastro ou edição) */
+    function renderProductFormMode() {
+        const isEditing = Boolean(state.editingProductId);
+        setTranslatedText(DOMElements.productFormTitle, isEditing ? 'productForm.editTitle' : 'productForm.addTitle');
+        setTranslatedText(DOMElements.productFormSubmit, isEditing ? 'productForm.save' : 'productForm.add');
+        DOMElements.cancelEditButton.classList.toggle('hidden', !isEditing);
+    }
+
+    /**
+     * Atualiza a pré-visualização da imagem do formulário de produto.
+     * A imagem só é carregada se a URL for válida; os eventos 'load' e 'error'
+     * da <img> (em 'setupEventListeners') mostram a imagem ou o aviso.
+     */
+    function updateImagePreview() {
+        const url = DOMElements.productImgInput.value.trim();
+
+        if (!url) {
+            DOMElements.productImgPreview.removeAttribute('src');
+            DOMElements.productImgPreview.classList.add('hidden');
+            setTranslatedText(DOMElements.productImgPreviewMessage, 'productForm.imgPreviewEmpty');
+            return;
+        }
+
+        if (!isValidImageUrl(url)) {
+            DOMElements.productImgPreview.classList.add('hidden');
+            setTranslatedText(DOMElements.productImgPreviewMessage, 'productForm.imgPreviewInvalid');
+            return;
+        }
+
+        setTranslatedText(DOMElements.productImgPreviewMessage, 'productForm.imgPreviewLoading');
+        DOMElements.productImgPreview.src = url;
+    }
+
+    /**
+     * Deleta um produto da loja (state.products). A notificação tem o botão "Desfazer".
+     * @param {string} productId - O ID do produto a ser deletado.
+     */
+    function deleteProduct(productId) {
+        if (!requireAdmin()) return; // Só administradores alteram o catálogo
+
+        // Encontra o ÍNDICE do produto na lista
+        const productIndex = state.products.findIndex(p => p.id === productId);
+        if (productIndex === -1) return;
+
+        // Remover da loja é destrutivo: pede confirmação antes (o "Desfazer" só dura alguns segundos)
+        if (!window.confirm(t('product.confirmDelete', { name: state.products[productIndex].name }))) return;
+
+        // Guarda tudo o que a remoção leva junto, para o "Desfazer" poder devolver
+        const removed = {
+            product: state.products[productIndex],
+            promotions: state.promotions.filter(promotion => promotion.productId === productId),
+            cartOwner: getCartOwner(),
+            // Com variações, o produto pode ocupar várias linhas do carrinho
+            cartItems: state.cart.filter(item => item.id === productId),
+            wishlistItem: state.wishlist.find(item => item.id === productId) || null,
+        };
+        rememberOriginalOrder('products', state.products.map(p => p.id));
+        rememberOriginalOrder('cart', state.cart.map(getCartItemKey));
+        rememberOriginalOrder('wishlist', state.wishlist.map(item => item.id));
+        
+        // Remove o produto da lista 'state.products'
+        state.products.splice(productIndex, 1);
+
+        // Se o produto removido estava aberto no formulário de edição, sai da edição
+        if (state.editingProductId === productId) {
+            cancelProductEdit();
+        }
+
+        // As promoções do produto removido deixam de existir
+        state.promotions = state.promotions.filter(promotion => promotion.productId !== productId);
+        savePromotionsToLocalStorage();
+        
+        // Remove do data source
+        syncChange(['products'], () => dataSource.products.remove(productId), t('product.deleteFailed'));
+        
+        // Redesenha a grade e a lista do Admin, e tira o produto do carrinho atual.
+        // Os carrinhos das outras contas são conferidos quando elas entram na loja.
+        refreshAfterCatalogChange();
+        
+        // Mostra notificação
+        showUndoToast(t('product.deleted', { name: removed.product.name }), () => restoreProduct(removed));
+    }
+
+    /**
+     * Desfaz a remoção de um produto: ele volta à posição em que estava no catálogo,
+     * com as suas promoções, e volta ao carrinho e aos favoritos de quem o removeu.
+     * @param {object} removed - O que 'deleteProduct' guardou (produto, promoções, linhas do carrinho e favorito).
+     */
+    function restoreProduct(removed) {
+        if (!requireAdmin()) return;
+
+        const { product } = removed;
+        // Um produto com o mesmo ID pode ter sido criado nesse meio-tempo (ex: importação)
+        if (state.products.some(p => p.id === product.id)) {
+            showToast(t('toast.undoUnavailable'), 'error');
+            return;
+        }
+
+        insertInOriginalOrder('products', state.products, product, p => p.id);
+        // A lista inteira é salva para a posição do produto também voltar no data source
+        syncChange(['products'], () => dataSource.products.saveAll(state.products), t('product.restoreFailed'));
+
+        state.promotions.push(...removed.promotions);
+        savePromotionsToLocalStorage();
+
+        // O carrinho e os favoritos só voltam se ainda forem da mesma conta
+        if (getCartOwner() === removed.cartOwner) {
+            const cartItems = removed.cartItems.filter(item => !findCartItem(getCartItemKey(item)));
+            if (cartItems.length > 0) {
+                cartItems.forEach(item => insertInOriginalOrder('cart', state.cart, item, getCartItemKey));
+                // Os avisos de "não está mais disponível" deixam de valer
+                const restoredNames = cartItems.map(item => getCartItemLabel(item));
+                state.cartNotices = state.cartNotices.filter(notice =>
+                    !(notice.key === 'cartNotice.unavailable' && restoredNames.includes(notice.params.name)));
+                saveCart();
+            }
+            if (removed.wishlistItem && !state.wishlist.some(item => item.id === product.id)) {
+                insertInOriginalOrder('wishlist', state.wishlist, removed.wishlistItem, item => item.id);
+                saveWishlist();
+            }
+        }
+
+        refreshAfterCatalogChange();
+        showToast(t('product.restored', { name: product.name }));
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE VARIAÇÕES
+    // ---------------------------------------------------------------------
+    // Um produto pode ter opções (ex: Cor: Preto, Branco / Armazenamento:
+    // 128 GB, 256 GB) e uma variação para cada combinação, com SKU, preço,
+    // estoque e imagem próprios:
+    //   options:  [{ name: 'Cor', values: ['Preto', 'Branco'] }, ...]
+    //   variants: [{ sku, options: { Cor: 'Preto', ... }, price, stock, img }]
+    // O 'price' e o 'stock' do produto viram o menor preço e a soma dos
+    // estoques das variações, então a vitrine, os filtros e a ordenação
+    // continuam funcionando sem saber das variações. No carrinho, cada
+    // variação é uma linha própria (ver 'getCartItemKey').
+    // ---------------------------------------------------------------------
+
+    /** Quantas opções um produto pode ter (ex: cor, armazenamento e voltagem) */
+    const MAX_VARIANT_OPTIONS = 3;
+
+    /**
+     * @param {object} product - O produto.
+     * @returns {boolean} true se o produto tiver variações.
+     */
+    function hasVariants(product) {
+        return Array.isArray(product.variants) && product.variants.length > 0;
+    }
+
+    /**
+     * Encontra uma variação de um produto pelo SKU.
+     * @param {object} product - O produto.
+     * @param {string} sku - O SKU da variação.
+     * @returns {object|null} A variação (null se não existir).
+     */
+    function findVariant(product, sku) {
+        if (!hasVariants(product)) return null;
+        return product.variants.find(variant => variant.sku === sku) || null;
+    }
+
+    /**
+     * Encontra a variação de uma combinação de opções (ex: { Cor: 'Preto', Armazenamento: '128 GB' }).
+     * @param {object} product - O produto.
+     * @param {object} selection - O valor escolhido em cada opção.
+     * @returns {object|null} A variação (null se a combinação não foi cadastrada).
+     */
+    function findVariantByOptions(product, selection) {
+        if (!hasVariants(product)) return null;
+        return product.variants.find(variant => isSameVariantOptions(variant.options, selection)) || null;
+    }
+
+    /**
+     * @param {object} first - Os valores de uma combinação.
+     * @param {object} second - Os valores de outra combinação.
+     * @returns {boolean} true se as duas tiverem as mesmas opções, com os mesmos valores.
+     */
+    function isSameVariantOptions(first, second) {
+        const names = Object.keys(first);
+        return names.length === Object.keys(second).length && names.every(name => first[name] === second[name]);
+    }
+
+    /**
+     * Descreve a combinação de uma variação (ex: "Cor: Preto · Armazenamento: 128 GB").
+     * @param {object} options - O valor de cada opção.
+     * @returns {string} A descrição.
+     */
+    function describeVariantOptions(options) {
+        return Object.entries(options).map(([name, value]) => `${name}: ${value}`).join(' · ');
+    }
+
+    /**
+     * Monta todas as combinações possíveis das opções de um produto.
+     * Ex: Cor (Preto, Branco) x Armazenamento (128 GB, 256 GB) -> 4 combinações.
+     * @param {{name: string, values: string[]}[]} options - As opções do produto.
+     * @returns {object[]} As combinações (o valor de cada opção), na ordem das opções.
+     */
+    function getVariantCombinations(options) {
+        if (options.length === 0) return [];
+        return options.reduce((combinations, option) => combinations.flatMap(combination =>
+            option.values.map(value => ({ ...combination, [option.name]: value }))), [{}]);
+    }
+
+    /**
+     * Atualiza o preço e o estoque "de vitrine" de um produto com variações:
+     * o menor preço e a soma dos estoques delas.
+     * @param {object} product - O produto (é alterado).
+     * @returns {object} O próprio produto.
+     */
+    function summarizeVariants(product) {
+        if (hasVariants(product)) {
+            product.price = Math.min(...product.variants.map(variant => variant.price));
+            product.stock = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+        }
+        return product;
+    }
+
+    /**
+     * @param {object} product - O produto.
+     * @returns {boolean} true se as variações do produto tiverem preços diferentes (a vitrine mostra "A partir de").
+     */
+    function hasVariantPriceRange(product) {
+        return hasVariants(product) && product.variants.some(variant => variant.price !== product.price);
+    }
+
+    /**
+     * Escolhe a combinação mostrada ao abrir a página de um produto:
+     * a da primeira variação com estoque (ou a primeira, se todas esgotaram).
+     * @param {object} product - O produto.
+     * @returns {object} O valor escolhido em cada opção (vazio se o produto não tiver variações).
+     */
+    function getDefaultVariantSelection(product) {
+        if (!hasVariants(product)) return {};
+        const variant = product.variants.find(item => item.stock > 0) || product.variants[0];
+        return { ...variant.options };
+    }
+
+    /**
+     * Retorna o que está à venda numa linha do carrinho: a variação escolhida
+     * ou, em produtos sem variações, o próprio produto.
+     * @param {object} product - O produto.
+     * @param {string|null} [sku] - O SKU da variação.
+     * @returns {{price: number, stock: number, img: string}|null} Preço, estoque e imagem (null se a variação não existir mais).
+     */
+    function getPurchasableItem(product, sku = null) {
+        if (!hasVariants(product)) return sku ? null : product;
+        const variant = findVariant(product, sku);
+        if (!variant) return null;
+        return { price: variant.price, stock: variant.stock, img: variant.img || product.img };
+    }
+
+    /**
+     * Valida as opções e as variações de um produto (formulário do admin e importação).
+     * @param {object} data - O produto, com 'options' e 'variants' (podem faltar em produtos simples).
+     * @returns {string[]} A lista de erros encontrados (vazia se estiver tudo certo).
+     */
+    function validateVariants(data) {
+        const options = data.options || [];
+        const variants = data.variants || [];
+        const errors = validateVariantOptions(options);
+        if (errors.length > 0) return errors;
+
+        // Cada linha da tabela precisa ser uma combinação das opções atuais, sem repetir.
+        // Combinações que não existem à venda (ex: a cor branca só em 128 GB) podem ser removidas.
+        const combinations = getVariantCombinations(options);
+        const isCombination = variant => isPlainObject(variant.options) &&
+            combinations.some(combination => isSameVariantOptions(variant.options, combination));
+        const isRepeated = (variant, index) => variants.findIndex(other => isSameVariantOptions(other.options, variant.options)) !== index;
+        const matchesOptions = (options.length === 0) === (variants.length === 0) &&
+            variants.every(isCombination) && !variants.some(isRepeated);
+        if (!matchesOptions) return [t('variants.errorOutdated')];
+
+        const seenSkus = new Set();
+        variants.forEach((variant, index) => {
+            const row = index + 1;
+            if (!variant.sku) {
+                errors.push(t('variants.errorSku', { row }));
+            } else if (seenSkus.has(variant.sku)) {
+                errors.push(t('variants.errorSkuDuplicate', { sku: variant.sku }));
+            }
+            seenSkus.add(variant.sku);
+            if (!Number.isFinite(variant.price) || variant.price < 0) errors.push(t('variants.errorPrice', { row }));
+            if (!Number.isInteger(variant.stock) || variant.stock < 0) errors.push(t('variants.errorStock', { row }));
+            if (variant.img && !isValidImageUrl(variant.img)) errors.push(t('variants.errorImg', { row }));
+        });
+        return errors;
+    }
+
+    /**
+     * Valida só as opções de um produto (nomes e valores), antes de gerar as combinações.
+     * @param {{name: string, values: string[]}[]} options - As opções.
+     * @returns {string[]} A lista de erros encontrados (vazia se estiver tudo certo).
+     */
+    function validateVariantOptions(options) {
+        const errors = [];
+        if (options.length > MAX_VARIANT_OPTIONS) errors.push(t('variants.errorTooManyOptions', { max: MAX_VARIANT_OPTIONS }));
+
+        const seenNames = new Set();
+        options.forEach(option => {
+            if (!option.name) {
+                errors.push(t('variants.errorOptionName'));
+                return;
+            }
+            if (seenNames.has(normalizeText(option.name))) errors.push(t('variants.errorOptionDuplicate', { name: option.name }));
+            seenNames.add(normalizeText(option.name));
+
+            const values = option.values.map(normalizeText);
+            if (values.length === 0 || new Set(values).size !== values.length) {
+                errors.push(t('variants.errorOptionValues', { name: option.name }));
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Procura outro produto que já use um dos SKUs (o SKU identifica a variação no estoque).
+     * @param {object[]} variants - As variações do produto que está sendo salvo.
+     * @param {string|null} productId - O ID desse produto (null se for novo).
+     * @returns {string|null} O primeiro SKU repetido (null se nenhum).
+     */
+    function findSkuInUse(variants, productId) {
+        const usedSkus = new Set(state.products
+            .filter(product => product.id !== productId && hasVariants(product))
+            .flatMap(product => product.variants.map(variant => variant.sku)));
+        const repeated = variants.find(variant => usedSkus.has(variant.sku));
+        return repeated ? repeated.sku : null;
+    }
+
+    /**
+     * Desenha o editor de variações do formulário de produto (opções e tabela de combinações).
+     * @param {{options: object[], variants: object[]}} [data] - As opções e variações (vazio para um produto novo).
+     */
+    function renderVariantEditor({ options = [], variants = [] } = {}) {
+        DOMElements.variantOptionRows.replaceChildren(...options.map(createVariantOptionRow));
+        DOMElements.variantRows.replaceChildren(...variants.map(createVariantRow));
+        updateVariantEditorState();
+    }
+
+    /** Mostra a tabela só quando há combinações e limita o número de opções */
+    function updateVariantEditorState() {
+        const hasRows = DOMElements.variantRows.rows.length > 0;
+        DOMElements.variantTable.classList.toggle('hidden', !hasRows);
+        // Com variações, o preço e o estoque do produto saem delas
+        document.getElementById('prod-price').disabled = hasRows;
+        document.getElementById('prod-stock').disabled = hasRows;
+        DOMElements.addVariantOptionButton.disabled = DOMElements.variantOptionRows.children.length >= MAX_VARIANT_OPTIONS;
+    }
+
+    /**
+     * Cria a linha editável de uma opção (nome e valores separados por vírgula).
+     * @param {{name: string, values: string[]}} option - A opção (vazia para uma nova).
+     * @returns {HTMLElement} A linha.
+     */
+    function createVariantOptionRow(option) {
+        const inputClass = 'w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-400';
+        return h('div', { className: 'variant-option-row grid grid-cols-1 md:grid-cols-[1fr_2fr_auto] gap-3 items-center' },
+            h('input', {
+                type: 'text',
+                className: inputClass,
+                value: option.name,
+                placeholder: t('variants.optionNamePlaceholder'),
+                'aria-label': t('variants.optionName'),
+                dataset: { field: 'name' },
+            }),
+            h('input', {
+                type: 'text',
+                className: inputClass,
+                value: option.values.join(', '),
+                placeholder: t('variants.optionValuesPlaceholder'),
+                'aria-label': t('variants.optionValues'),
+                dataset: { field: 'values' },
+            }),
+            h('button', { type: 'button', className: 'btn-remove-variant-option text-red-500 hover:text-red-700' }, t('common.remove')),
+        );
+    }
+
+    /**
+     * Cria a linha editável de uma combinação (SKU, preço, estoque e imagem).
+     * A combinação fica guardada na linha, em 'data-options'.
+     * @param {object} variant - A variação.
+     * @returns {HTMLElement} A linha da tabela.
+     */
+    function createVariantRow(variant) {
+        const inputClass = 'w-full px-2 py-1 border rounded focus:outline-none focus:ring-2 focus:ring-indigo-400';
+        const combination = Object.values(variant.options).join(' / ');
+        const createCell = (field, label, attributes) => h('td', { className: 'px-2 py-2' },
+            h('input', { className: inputClass, dataset: { field }, 'aria-label': `${combination}: ${label}`, ...attributes }));
+        const formatNumber = value => (Number.isFinite(value) ? value : '');
+
+        return h('tr', { className: 'border-b', dataset: { options: JSON.stringify(variant.options) } },
+            h('td', { className: 'px-2 py-2 font-semibold text-gray-800 whitespace-nowrap' }, combination),
+            createCell('sku', t('variants.sku'), { type: 'text', value: variant.sku, className: `${inputClass} min-w-[10rem]` }),
+            createCell('price', t('variants.price'), { type: 'number', step: '0.01', min: 0, value: formatNumber(variant.price) }),
+            createCell('stock', t('variants.stock'), { type: 'number', step: 1, min: 0, value: formatNumber(variant.stock) }),
+            createCell('img', t('variants.img'), { type: 'text', value: variant.img, className: `${inputClass} min-w-[12rem]` }),
+            h('td', { className: 'px-2 py-2 text-right' },
+                h('button', { type: 'button', className: 'btn-remove-variant text-red-500 hover:text-red-700' }, t('common.remove')),
+            ),
+        );
+    }
+
+    /** Acrescenta uma opção vazia ao editor de variações */
+    function addVariantOptionRow() {
+        if (DOMElements.variantOptionRows.children.length >= MAX_VARIANT_OPTIONS) return;
+        const row = createVariantOptionRow({ name: '', values: [] });
+        DOMElements.variantOptionRows.append(row);
+        updateVariantEditorState();
+        row.querySelector('input').focus();
+    }
+
+    /**
+     * Lê as opções e as combinações do editor de variações.
+     * @returns {{options: object[], variants: object[]}} Os dados, com os números já convertidos (campos vazios viram NaN).
+     */
+    function readVariantEditor() {
+        const readNumber = text => (text.trim() === '' ? NaN : Number(text));
+
+        const options = Array.from(DOMElements.variantOptionRows.children, row => ({
+            name: row.querySelector('[data-field="name"]').value.trim(),
+            values: row.querySelector('[data-field="values"]').value.split(',').map(value => value.trim()).filter(Boolean),
+        })).filter(option => option.name || option.values.length > 0); // Linhas em branco são ignoradas
+
+        const variants = Array.from(DOMElements.variantRows.rows, row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value;
+            return {
+                sku: field('sku').trim(),
+                options: JSON.parse(row.dataset.options),
+                price: readNumber(field('price')),
+                stock: readNumber(field('stock')),
+                img: field('img').trim(),
+            };
+        });
+
+        return { options, variants };
+    }
+
+    /**
+     * Sugere um SKU para uma combinação (ex: "SMARTPHONE-X-128-GB-PRETO").
+     * @param {string} productName - O nome do produto.
+     * @param {object} combination - O valor de cada opção.
+     * @returns {string} O SKU sugerido (o admin pode trocar).
+     */
+    function suggestSku(productName, combination) {
+        return [productName, ...Object.values(combination)]
+            .map(text => normalizeText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+            .filter(Boolean)
+            .join('-')
+            .toUpperCase();
+    }
+
+    /**
+     * Monta a tabela de combinações a partir das opções digitadas ("Gerar combinações").
+     * Combinações que já estavam na tabela mantêm SKU, preço, estoque e imagem;
+     * as novas começam com o preço do produto e estoque 0.
+     */
+    function generateVariantRows() {
+        const { options, variants } = readVariantEditor();
+        const errors = validateVariantOptions(options);
+        if (errors.length > 0) {
+            showToast(errors[0], 'error');
+            return;
+        }
+
+        const productName = document.getElementById('prod-name').value.trim();
+        const priceText = document.getElementById('prod-price').value.trim();
+        const defaultPrice = priceText === '' ? NaN : Number(priceText);
+
+        const rows = getVariantCombinations(options).map(combination =>
+            variants.find(variant => isSameVariantOptions(variant.options, combination)) || {
+                sku: suggestSku(productName, combination),
+                options: combination,
+                price: defaultPrice,
+                stock: 0,
+                img: '',
+            });
+        DOMElements.variantRows.replaceChildren(...rows.map(createVariantRow));
+        updateVariantEditorState();
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE IMPORTAÇÃO E EXPORTAÇÃO DO CATÁLOGO
+    // ---------------------------------------------------------------------
+    // O catálogo pode ser exportado (backup) e importado em JSON ou CSV.
+    // Cada linha importada passa pela mesma validação do formulário de
+    // produto ('validateProduct'); linhas com erro aparecem na prévia e são
+    // ignoradas. O catálogo inicial (data/produtos.json) usa o mesmo formato.
+    // ---------------------------------------------------------------------
+
+    /** Arquivo com o catálogo inicial, usado quando ainda não há produtos salvos */
+    const INITIAL_CATALOG_URL = 'data/produtos.json';
+
+    /**
+     * Colunas do CSV do catálogo, na ordem em que são exportadas.
+     * 'options' e 'variants' (as variações) vão em JSON dentro da célula.
+     */
+    const CATALOG_CSV_COLUMNS = ['id', 'name', 'price', 'stock', 'weight', 'length', 'width', 'height', 'category', 'img', 'description', 'createdAt', 'options', 'variants'];
+
+    /** Colunas do CSV que guardam listas em JSON */
+    const CATALOG_CSV_JSON_COLUMNS = ['options', 'variants'];
+
+    /**
+     * Busca o catálogo inicial da loja (data/produtos.json).
+     * @returns {Promise<object[]>} Os produtos válidos do arquivo (vazio se não foi possível carregar).
+     */
+    async function getInitialProducts() {
+        try {
+            const response = await fetch(INITIAL_CATALOG_URL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const rows = buildCatalogImportRows(parseCatalogJson(await response.text()));
+            return rows.filter(row => row.errors.length === 0).map(row => row.product);
+        } catch (error) {
+            // Ex: página aberta direto do disco (file://), onde o navegador bloqueia o 'fetch'
+            console.warn('[catálogo] Não foi possível carregar o catálogo inicial:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Converte um texto de CSV em linhas e colunas.
+     * Aceita campos entre aspas (com vírgulas, quebras de linha e "" dentro).
+     * @param {string} text - O conteúdo do arquivo.
+     * @returns {string[][]} As linhas não vazias, cada uma com suas colunas.
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"'; // "" dentro de aspas é uma aspa de verdade
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+        // A última linha pode não terminar com quebra de linha
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Coloca um valor entre aspas quando ele precisa (vírgula, aspas ou quebra de linha).
+     * @param {*} value - O valor da célula.
+     * @returns {string} O valor pronto para o CSV.
+     */
+    function toCsvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Faz o navegador baixar um texto como arquivo.
+     * @param {string} content - O conteúdo do arquivo.
+     * @param {string} type - O tipo do arquivo (ex: 'text/csv;charset=utf-8').
+     * @param {string} fileName - O nome sugerido para o arquivo.
+     */
+    function downloadFile(content, type, fileName) {
+        // Cria um link temporário apontando para o arquivo e "clica" nele
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Lê o conteúdo de um CSV de catálogo (a primeira linha tem os nomes das colunas).
+     * @param {string} text - O conteúdo do arquivo.
+     * @returns {object[]} Um objeto por linha, com as colunas conhecidas.
+     * @throws {Error} Se o arquivo não tiver cabeçalho ou a coluna 'name'.
+     */
+    function parseCatalogCsv(text) {
+        const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, '')); // Remove o BOM que o Excel adiciona
+        if (!header) throw new Error(t('catalogIO.csvEmpty'));
+
+        const columns = header.map(column => column.trim());
+        if (!columns.includes('name')) {
+            throw new Error(t('catalogIO.csvHeader', { columns: CATALOG_CSV_COLUMNS.join(', ') }));
+        }
+
+        return lines.map(cells => {
+            const raw = {};
+            columns.forEach((column, index) => {
+                if (CATALOG_CSV_COLUMNS.includes(column)) raw[column] = cells[index];
+            });
+            return raw;
+        });
+    }
+
+    /**
+     * Lê o conteúdo de um JSON de catálogo: uma lista de produtos
+     * (ou um objeto com a lista em 'products').
+     * @param {string} text - O conteúdo do arquivo.
+     * @returns {object[]} Os produtos do arquivo, ainda sem validação.
+     * @throws {Error} Se o texto não for um JSON com uma lista de produtos.
+     */
+    function parseCatalogJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error(t('catalogIO.jsonInvalid'));
+        }
+
+        const products = Array.isArray(data) ? data : data && data.products;
+        if (!Array.isArray(products)) throw new Error(t('catalogIO.jsonNotList'));
+        return products;
+    }
+
+    /**
+     * Converte um campo numérico vindo de um arquivo (aceita "1299,90" e "1299.90").
+     * @param {*} value - O valor lido.
+     * @returns {number} O número (NaN se estiver vazio ou inválido, para a validação acusar).
+     */
+    function parseImportedNumber(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value ?? '').trim();
+        if (text === '') return NaN;
+        return Number(text.replace(',', '.'));
+    }
+
+    /**
+     * Lê as opções e as variações de um produto vindo de um arquivo
+     * (listas no JSON; texto em JSON nas colunas do CSV).
+     * @param {object} raw - O produto do arquivo.
+     * @returns {{options: object[], variants: object[]}|null} As opções e variações (null se não der para ler).
+     */
+    function parseImportedVariants(raw) {
+        const readList = value => {
+            if (value === undefined || value === null || value === '') return [];
+            if (Array.isArray(value)) return value;
+            try {
+                const list = JSON.parse(String(value));
+                return Array.isArray(list) ? list : null;
+            } catch {
+                return null;
+            }
+        };
+
+        const options = readList(raw.options);
+        const variants = readList(raw.variants);
+        if (!options || !variants || !options.every(isPlainObject) || !variants.every(isPlainObject)) return null;
+
+        return {
+            options: options.map(option => ({
+                name: String(option.name ?? '').trim(),
+                values: Array.isArray(option.values) ? option.values.map(value => String(value).trim()).filter(Boolean) : [],
+            })),
+            variants: variants.map(variant => ({
+                sku: String(variant.sku ?? '').trim(),
+                options: isPlainObject(variant.options)
+                    ? Object.fromEntries(Object.entries(variant.options).map(([name, value]) => [name.trim(), String(value).trim()]))
+                    : null,
+                price: parseImportedNumber(variant.price),
+                stock: parseImportedNumber(variant.stock),
+                img: String(variant.img ?? '').trim(),
+            })),
+        };
+    }
+
+    /**
+     * Monta e valida os produtos lidos de um arquivo de catálogo.
+     * @param {object[]} rawProducts - Os produtos do arquivo (campos ainda como vieram).
+     * @returns {{position: number, product: object|null, errors: string[]}[]} Uma entrada por produto do arquivo.
+     */
+    function buildCatalogImportRows(rawProducts) {
+        const seenIds = new Set();
+
+        return rawProducts.map((raw, index) => {
+            const position = index + 1;
+            if (!raw || typeof raw !== 'object') {
+                return { position, product: null, errors: [t('catalogIO.notAProduct')] };
+            }
+
+            const product = {
+                id: String(raw.id ?? '').trim(),
+                name: String(raw.name ?? '').trim(),
+                price: parseImportedNumber(raw.price),
+                stock: parseImportedNumber(raw.stock),
+                category: String(raw.category ?? '').trim(),
+                img: String(raw.img ?? '').trim(),
+                description: String(raw.description ?? '').trim(),
+            };
+            // Arquivos de antes do frete não têm peso nem medidas: ficam com as da caixa padrão
+            Object.entries(DEFAULT_PACKAGE).forEach(([field, value]) => {
+                product[field] = raw[field] === undefined ? value : parseImportedNumber(raw[field]);
+            });
+            if (raw.createdAt) product.createdAt = String(raw.createdAt);
+
+            // Com variações, o preço e o estoque do produto saem delas
+            const variantData = parseImportedVariants(raw);
+            if (variantData) Object.assign(product, variantData);
+            summarizeVariants(product);
+
+            const errors = variantData ? validateProduct(product) : [t('catalogIO.variantsInvalid'), ...validateProduct(product)];
+            if (product.id && seenIds.has(product.id)) errors.push(t('catalogIO.duplicateId', { id: product.id }));
+            if (product.id) seenIds.add(product.id);
+
+            return { position, product, errors };
+        });
+    }
+
+    /**
+     * Baixa o catálogo atual como um arquivo (Admin).
+     * @param {'json'|'csv'} format - O formato do arquivo.
+     */
+    function exportCatalog(format) {
+        if (!requireAdmin()) return;
+
+        let content;
+        let type;
+        if (format === 'csv') {
+            const lines = state.products.map(product => CATALOG_CSV_COLUMNS.map(column => {
+                if (!CATALOG_CSV_JSON_COLUMNS.includes(column)) return toCsvCell(product[column]);
+                return toCsvCell(hasVariants(product) ? JSON.stringify(product[column]) : ''); // Produtos simples ficam com a célula vazia
+            }).join(','));
+            content = [CATALOG_CSV_COLUMNS.join(','), ...lines].join('\r\n');
+            type = 'text/csv;charset=utf-8';
+        } else {
+            content = JSON.stringify(state.products, null, 2);
+            type = 'application/json';
+        }
+
+        downloadFile(content, type, `techshop-catalogo-${new Date().toISOString().slice(0, 10)}.${format}`);
+        showToast(t('catalogIO.exported', { count: state.products.length }));
+    }
+
+    /**
+     * Retorna o modo de importação escolhido no formulário.
+     * @returns {'merge'|'replace'} 'merge' (mesclar pelo ID) ou 'replace' (substituir tudo).
+     */
+    function getCatalogImportMode() {
+        const selected = DOMElements.catalogImportForm.querySelector('input[name="import-mode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
+
+    /**
+     * Lê o arquivo escolhido no campo de importação (no próprio navegador, com FileReader)
+     * e mostra a prévia do que será importado.
+     */
+    function handleCatalogFileSelected() {
+        const file = DOMElements.catalogImportFile.files[0];
+        state.catalogImport = null;
+        renderCatalogImportPreview();
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.addEventListener('load', () => {
+            try {
+                const text = String(reader.result);
+                const rawProducts = /\.csv$/i.test(file.name) ? parseCatalogCsv(text) : parseCatalogJson(text);
+                if (rawProducts.length === 0) throw new Error(t('catalogIO.noProducts'));
+
+                state.catalogImport = { fileName: file.name, rows: buildCatalogImportRows(rawProducts) };
+                renderCatalogImportPreview();
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+        });
+        reader.addEventListener('error', () => showToast(t('catalogIO.readFailed'), 'error'));
+        reader.readAsText(file);
+    }
+
+    /**
+     * Aplica a importação que está na prévia (Admin). As linhas com erro são ignoradas.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function applyCatalogImport(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
+
+        const preview = state.catalogImport;
+        if (!preview) {
+            showToast(t('catalogIO.chooseFile'), 'error');
+            return;
+        }
+
+        const validRows = preview.rows.filter(row => row.errors.length === 0);
+        if (validRows.length === 0) {
+            showToast(t('catalogIO.noValidRows'), 'error');
+            return;
+        }
+
+        const mode = getCatalogImportMode();
+        if (mode === 'replace' &&
+            !window.confirm(t('catalogIO.confirmReplace', { current: state.products.length, count: validRows.length }))) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const imported = validRows.map((row, index) => ({
+            ...row.product,
+            id: row.product.id || `${Date.now()}${index}`, // Linhas sem ID viram produtos novos
+            createdAt: row.product.createdAt || now,
+        }));
+
+        let added = 0;
+        let updated = 0;
+        if (mode === 'replace') {
+            state.products = imported;
+            added = imported.length;
+            // Promoções de produtos que saíram do catálogo deixam de existir
+            state.promotions = state.promotions.filter(promotion => state.products.some(p => p.id === promotion.productId));
+            savePromotionsToLocalStorage();
+        } else {
+            imported.forEach(product => {
+                const existing = state.products.find(p => p.id === product.id);
+                if (existing) {
+                    // Mantém a data de cadastro original
+                    Object.assign(existing, product, { createdAt: existing.createdAt, updatedAt: now });
+                    updated++;
+                } else {
+                    state.products.push(product);
+                    added++;
+                }
+            });
+        }
+
+        syncChange(['products'], () => dataSource.products.saveAll(state.products), t('catalogIO.importFailed'));
+
+        // Se o produto aberto no formulário de edição saiu do catálogo, sai da edição
+        if (state.editingProductId && !state.products.some(p => p.id === state.editingProductId)) {
+            cancelProductEdit();
+        }
+
+        cancelCatalogImport();
+        refreshAfterCatalogChange();
+
+        const skipped = preview.rows.length - validRows.length;
+        showToast(t('catalogIO.done', { added, updated, skipped: skipped > 0 ? t('catalogIO.skipped', { count: skipped }) : '' }));
+    }
+
+    /** Descarta o arquivo lido e limpa a prévia da importação */
+    function cancelCatalogImport() {
+        state.catalogImport = null;
+        DOMElements.catalogImportForm.reset();
+        renderCatalogImportPreview();
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE FRETE
+    // ---------------------------------------------------------------------
+    // O frete é calculado pelo CEP de entrega, numa tabela de faixas de CEP
+    // que o admin edita (fica sempre no navegador, como os cupons). Cada faixa
+    // tem, para o PAC e o SEDEX, o preço do primeiro kg, o valor de cada kg
+    // adicional e o prazo em dias úteis. Como nos Correios, cada produto pesa
+    // o maior entre o peso real e o peso cúbico da embalagem. Em compras a
+    // partir do valor de frete grátis, o PAC sai de graça.
+    // ---------------------------------------------------------------------
+
+    /** Serviços de entrega oferecidos, com a chave do nome de cada um (ver 'messages.js') */
+    const SHIPPING_SERVICES = {
+        pac: 'shipping.pac',
+        sedex: 'shipping.sedex',
+    };
+
+    /** Serviço escolhido quando o cliente informa o CEP pela primeira vez */
+    const DEFAULT_SHIPPING_SERVICE = 'pac';
+
+    /** Serviço que fica de graça a partir do valor de frete grátis */
+    const FREE_SHIPPING_SERVICE = 'pac';
+
+    /** Peso cúbico (kg) = comprimento x largura x altura (cm) / este divisor */
+    const CUBIC_WEIGHT_DIVISOR = 6000;
+
+    /** Peso (kg) e medidas (cm) de uma caixa média, para produtos cadastrados antes do frete */
+    const DEFAULT_PACKAGE = { weight: 1, length: 30, width: 20, height: 10 };
+
+    /** Tabela de frete usada enquanto o admin não salvar a dele */
+    const DEFAULT_SHIPPING_TABLE = {
+        freeShippingThreshold: 299, // Em reais (0 = sem frete grátis)
+        regions: [
+            {
+                name: 'Estado de São Paulo',
+                cepStart: '01000000',
+                cepEnd: '19999999',
+                pac: { price: 18.9, perKg: 2.5, days: 5 },
+                sedex: { price: 29.9, perKg: 5, days: 2 },
+            },
+            {
+                name: 'RJ, ES e MG',
+                cepStart: '20000000',
+                cepEnd: '39999999',
+                pac: { price: 22.9, perKg: 3.5, days: 7 },
+                sedex: { price: 39.9, perKg: 6.5, days: 3 },
+            },
+            {
+                name: 'Nordeste',
+                cepStart: '40000000',
+                cepEnd: '65999999',
+                pac: { price: 32.9, perKg: 5.5, days: 10 },
+                sedex: { price: 59.9, perKg: 9.5, days: 5 },
+            },
+            {
+                name: 'Norte e Centro-Oeste',
+                cepStart: '66000000',
+                cepEnd: '79999999',
+                pac: { price: 36.9, perKg: 6, days: 12 },
+                sedex: { price: 64.9, perKg: 10.5, days: 6 },
+            },
+            {
+                name: 'Sul',
+                cepStart: '80000000',
+                cepEnd: '99999999',
+                pac: { price: 26.9, perKg: 4, days: 8 },
+                sedex: { price: 44.9, perKg: 7.5, days: 4 },
+            },
+        ],
+    };
+
+    /**
+     * Retorna o peso e as medidas da embalagem de um produto (os da caixa
+     * padrão para o que faltar, ex: produtos vindos de uma API antiga).
+     * @param {object} product - O produto.
+     * @returns {{weight: number, length: number, width: number, height: number}} Peso em kg e medidas em cm.
+     */
+    function getProductPackage(product) {
+        const productPackage = {};
+        Object.entries(DEFAULT_PACKAGE).forEach(([field, value]) => {
+            productPackage[field] = Number.isFinite(product[field]) && product[field] > 0 ? product[field] : value;
+        });
+        return productPackage;
+    }
+
+    /**
+     * @param {string} cep - Um CEP digitado (ex: '01001-000' ou '01001000').
+     * @returns {boolean} true se tiver o formato 00000-000 (o hífen é opcional).
+     */
+    function isValidCep(cep) {
+        return /^\d{5}-?\d{3}$/.test(cep.trim());
+    }
+
+    /**
+     * Padroniza um CEP válido no formato 00000-000.
+     * @param {string} cep - O CEP (com ou sem hífen).
+     * @returns {string} O CEP formatado.
+     */
+    function formatCep(cep) {
+        const digits = cep.replace(/\D/g, '');
+        return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+    }
+
+    /**
+     * Procura a faixa da tabela de frete que atende um CEP.
+     * @param {string} cep - O CEP (com ou sem hífen).
+     * @returns {object|undefined} A faixa, ou undefined se o CEP não for atendido.
+     */
+    function findShippingRegion(cep) {
+        const digits = cep.replace(/\D/g, '');
+        // CEPs de 8 dígitos podem ser comparados como texto
+        return state.shippingTable.regions.find(region => region.cepStart <= digits && digits <= region.cepEnd);
+    }
+
+    /**
+     * Calcula o peso cobrado de um carrinho: para cada item, o maior entre o
+     * peso real e o peso cúbico da embalagem, vezes a quantidade.
+     * @param {object[]} cart - Os itens do carrinho.
+     * @returns {number} O peso em kg.
+     */
+    function getChargeableWeight(cart) {
+        return cart.reduce((sum, item) => {
+            const product = state.products.find(p => p.id === item.id);
+            const { weight, length, width, height } = product ? getProductPackage(product) : DEFAULT_PACKAGE;
+            return sum + Math.max(weight, length * width * height / CUBIC_WEIGHT_DIVISOR) * item.quantity;
+        }, 0);
+    }
+
+    /**
+     * Calcula as opções de frete de um carrinho para um CEP.
+     * @param {object[]} cart - Os itens do carrinho.
+     * @param {string} cep - O CEP de entrega.
+     * @param {number} subtotal - O valor dos produtos (já com as promoções), para o frete grátis.
+     * @returns {{region: object, options: {service: string, price: number, days: number, free: boolean}[]}|{error: string}}
+     *   A faixa de CEP e uma opção por serviço, ou o motivo de não haver frete.
+     */
+    function quoteShipping(cart, cep, subtotal) {
+        if (!isValidCep(cep)) return { error: t('checkout.invalidCep') };
+
+        const region = findShippingRegion(cep);
+        if (!region) return { error: t('shipping.noRegion', { cep: formatCep(cep) }) };
+
+        // O primeiro kg (ou fração) está no preço; cada kg seguinte, começado, é cobrado inteiro
+        const weight = Math.round(getChargeableWeight(cart) * 1000) / 1000;
+        const extraKg = Math.max(0, Math.ceil(weight) - 1);
+        const { freeShippingThreshold } = state.shippingTable;
+
+        const options = Object.keys(SHIPPING_SERVICES).map(service => {
+            const rate = region[service];
+            const free = service === FREE_SHIPPING_SERVICE && freeShippingThreshold > 0 && subtotal >= freeShippingThreshold;
+            return {
+                service,
+                price: free ? 0 : roundMoney(rate.price + rate.perKg * extraKg),
+                days: rate.days,
+                free,
+            };
+        });
+
+        return { region, options };
+    }
+
+    /**
+     * Lida com o envio do campo "CEP de entrega" do carrinho. O serviço já
+     * escolhido (ex: SEDEX) continua escolhido para o CEP novo.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleCalculateShipping(e) {
+        e.preventDefault();
+        const cep = DOMElements.shippingCep.value.trim();
+
+        if (state.cart.length === 0) {
+            showToast(t('shipping.cartEmpty'), 'error');
+            return;
+        }
+        if (!isValidCep(cep)) {
+            showToast(t('checkout.invalidCep'), 'error');
+            return;
+        }
+        if (!findShippingRegion(cep)) {
+            showToast(t('shipping.noRegion', { cep: formatCep(cep) }), 'error');
+            return;
+        }
+
+        state.shippingChoice = {
+            cep: formatCep(cep),
+            service: state.shippingChoice ? state.shippingChoice.service : DEFAULT_SHIPPING_SERVICE,
+        };
+        DOMElements.shippingCep.blur(); // Deixa 'renderCart' mostrar o CEP já formatado
+        saveCart();
+        renderCart();
+    }
+
+    /**
+     * Escolhe o serviço de entrega (PAC ou SEDEX) para o CEP informado.
+     * @param {string} service - O serviço (uma das chaves de SHIPPING_SERVICES).
+     */
+    function selectShippingService(service) {
+        if (!state.shippingChoice || !SHIPPING_SERVICES[service]) return;
+
+        state.shippingChoice = { ...state.shippingChoice, service };
+        saveCart();
+        renderCart();
+    }
+
+    /**
+     * Preenche a tabela de frete do admin (uma linha editável por faixa de CEP).
+     * @param {object} [table=state.shippingTable] - A tabela mostrada.
+     */
+    function renderShippingTableEditor(table = state.shippingTable) {
+        DOMElements.shippingTableForm.elements['free-shipping-threshold'].value = table.freeShippingThreshold;
+        DOMElements.shippingRegionRows.replaceChildren(...table.regions.map(createShippingRegionRow));
+    }
+
+    /**
+     * Cria a linha editável de uma faixa de CEP. Cada campo diz em 'data-field'
+     * qual valor da faixa ele guarda (ex: 'sedex.perKg').
+     * @param {object} region - A faixa (campos vazios para uma faixa nova).
+     * @returns {HTMLElement} A linha da tabela.
+     */
+    function createShippingRegionRow(region) {
+        const inputClass = 'w-full px-2 py-1 border rounded focus:outline-none focus:ring-2 focus:ring-indigo-400';
+        const createCell = (field, label, attributes) => h('td', { className: 'px-2 py-2' },
+            h('input', { className: inputClass, dataset: { field }, 'aria-label': label, ...attributes }));
+        const formatRangeCep = cep => (/^\d{8}$/.test(cep) ? formatCep(cep) : cep);
+
+        return h('tr', { className: 'border-b' },
+            createCell('name', t('shippingTable.region'), { type: 'text', value: region.name, className: `${inputClass} min-w-[10rem]` }),
+            createCell('cepStart', t('shippingTable.cepStart'), { type: 'text', inputmode: 'numeric', maxlength: 9, value: formatRangeCep(region.cepStart) }),
+            createCell('cepEnd', t('shippingTable.cepEnd'), { type: 'text', inputmode: 'numeric', maxlength: 9, value: formatRangeCep(region.cepEnd) }),
+            Object.entries(SHIPPING_SERVICES).map(([service, nameKey]) => [
+                createCell(`${service}.price`, `${t(nameKey)}: ${t('shippingTable.price')}`, { type: 'number', step: '0.01', min: 0, value: region[service].price }),
+                createCell(`${service}.perKg`, `${t(nameKey)}: ${t('shippingTable.perKg')}`, { type: 'number', step: '0.01', min: 0, value: region[service].perKg }),
+                createCell(`${service}.days`, `${t(nameKey)}: ${t('shippingTable.days')}`, { type: 'number', step: 1, min: 1, value: region[service].days }),
+            ]),
+            h('td', { className: 'px-2 py-2 text-right' },
+                h('button', { type: 'button', className: 'btn-remove-shipping-region text-red-500 hover:text-red-700' }, t('common.remove')),
+            ),
+        );
+    }
+
+    /** Acrescenta uma linha vazia à tabela de frete do admin (só é salva com "Salvar Tabela") */
+    function addShippingRegionRow() {
+        const emptyRate = { price: '', perKg: '', days: '' };
+        const region = { name: '', cepStart: '', cepEnd: '' };
+        Object.keys(SHIPPING_SERVICES).forEach(service => { region[service] = { ...emptyRate }; });
+
+        const row = createShippingRegionRow(region);
+        DOMElements.shippingRegionRows.append(row);
+        row.querySelector('input').focus();
+    }
+
+    /**
+     * Lê a tabela de frete do formulário do admin.
+     * @returns {object} A tabela, com os números já convertidos (campos vazios viram NaN).
+     */
+    function readShippingTableForm() {
+        const readNumber = text => (text.trim() === '' ? NaN : Number(text));
+
+        const regions = Array.from(DOMElements.shippingRegionRows.rows, row => {
+            const region = {};
+            Object.keys(SHIPPING_SERVICES).forEach(service => { region[service] = {}; });
+
+            row.querySelectorAll('input[data-field]').forEach(input => {
+                const [field, rateField] = input.dataset.field.split('.');
+                if (rateField) {
+                    region[field][rateField] = readNumber(input.value);
+                } else if (field === 'name') {
+                    region.name = input.value.trim();
+                } else {
+                    region[field] = input.value.replace(/\D/g, ''); // CEPs ficam só com os dígitos
+                }
+            });
+            return region;
+        });
+
+        return {
+            freeShippingThreshold: readNumber(DOMElements.shippingTableForm.elements['free-shipping-threshold'].value),
+            regions,
+        };
+    }
+
+    /**
+     * Valida a tabela de frete (formulário do admin).
+     * @param {object} table - A tabela lida do formulário.
+     * @returns {string[]} A lista de erros encontrados (vazia se estiver tudo certo).
+     */
+    function validateShippingTable(table) {
+        const errors = [];
+
+        if (!Number.isFinite(table.freeShippingThreshold) || table.freeShippingThreshold < 0) {
+            errors.push(t('shippingTable.errorThreshold'));
+        }
+        if (table.regions.length === 0) errors.push(t('shippingTable.errorEmpty'));
+
+        table.regions.forEach((region, index) => {
+            const row = index + 1;
+            if (!region.name) errors.push(t('shippingTable.errorName', { row }));
+            if (!/^\d{8}$/.test(region.cepStart) || !/^\d{8}$/.test(region.cepEnd) || region.cepStart > region.cepEnd) {
+                errors.push(t('shippingTable.errorCep', { row }));
+            }
+            Object.entries(SHIPPING_SERVICES).forEach(([service, nameKey]) => {
+                const { price, perKg, days } = region[service];
+                if (![price, perKg].every(value => Number.isFinite(value) && value >= 0)) {
+                    errors.push(t('shippingTable.errorPrice', { row, service: t(nameKey) }));
+                }
+                if (!Number.isInteger(days) || days < 1) {
+                    errors.push(t('shippingTable.errorDays', { row, service: t(nameKey) }));
+                }
+            });
+        });
+
+        // Um CEP não pode cair em duas faixas (a ordem da tabela decidiria o preço)
+        if (errors.length === 0) {
+            const sorted = [...table.regions].sort((a, b) => a.cepStart.localeCompare(b.cepStart));
+            sorted.slice(1).forEach((region, index) => {
+                const previous = sorted[index];
+                if (region.cepStart <= previous.cepEnd) {
+                    errors.push(t('shippingTable.errorOverlap', { first: previous.name, second: region.name }));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Lida com o envio da tabela de frete (Admin).
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleShippingTableSubmit(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
+
+        const table = readShippingTableForm();
+        const errors = validateShippingTable(table);
+        if (errors.length > 0) {
+            showToast(errors[0], 'error'); // Mostra o primeiro problema encontrado
+            return;
+        }
+
+        state.shippingTable = table;
+        writeStoredValue('techshop_shipping_table', state.shippingTable);
+
+        renderShippingTableEditor();
+        renderCart(); // Os preços e prazos do frete do carrinho podem ter mudado
+        showToast(t('shippingTable.saved'));
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE CUPONS E PROMOÇÕES
+    // ---------------------------------------------------------------------
+    // O total do carrinho é calculado em 'calculateCartTotals':
+    //   subtotal -> promoções automáticas -> frete -> cupom -> total.
+    // Cupons podem ser de porcentagem, valor fixo ou frete grátis, com valor
+    // mínimo de carrinho e data de validade opcionais.
+    // ---------------------------------------------------------------------
+
+    /**
+     * Arredonda um valor em reais para os centavos (evita resultados como 10.000000001).
+     * @param {number} value - O valor.
+     * @returns {number} O valor com no máximo duas casas decimais.
+     */
+    function roundMoney(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Formata uma data 'AAAA-MM-DD' no padrão do idioma atual (ex: dd/mm/aaaa em português).
+     * @param {string} isoDate - A data no formato 'AAAA-MM-DD'.
+     * @returns {string} A data formatada.
+     */
+    function formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        // Montada com o fuso local: 'new Date("AAAA-MM-DD")' seria meia-noite em UTC (e poderia cair no dia anterior)
+        return new Date(year, month - 1, day).toLocaleDateString(state.locale);
+    }
+
+    /**
+     * Padroniza um código de cupom (sem espaços e em maiúsculas).
+     * @param {string} code - O código digitado.
+     * @returns {string} O código padronizado.
+     */
+    function normalizeCouponCode(code) {
+        return code.trim().toUpperCase();
+    }
+
+    /**
+     * Verifica se um cupom já passou da validade. O cupom vale até o fim do dia da validade.
+     * @param {object} coupon - O cupom.
+     * @returns {boolean} true se estiver vencido.
+     */
+    function isCouponExpired(coupon) {
+        if (!coupon.expiresAt) return false;
+        return new Date(`${coupon.expiresAt}T23:59:59`) < new Date();
+    }
+
+    /**
+     * Descreve o benefício de um cupom (ex: "10% de desconto").
+     * @param {object} coupon - O cupom.
+     * @returns {string} A descrição.
+     */
+    function describeCoupon(coupon) {
+        if (coupon.type === 'percent') return t('coupon.percentOff', { value: coupon.value });
+        if (coupon.type === 'fixed') return t('coupon.amountOff', { amount: formatPrice(coupon.value) });
+        return t('coupon.freeShipping');
+    }
+
+    /**
+     * Descreve uma promoção automática (ex: "Leve 3 pague 2").
+     * @param {object} promotion - A promoção.
+     * @returns {string} A descrição.
+     */
+    function describePromotion(promotion) {
+        return t('promotion.buyXPayY', { buy: promotion.buy, pay: promotion.pay });
+    }
+
+    /**
+     * Confere se um cupom pode ser usado em um carrinho.
+     * @param {string} code - O código do cupom.
+     * @param {number} subtotal - O valor do carrinho (já com as promoções automáticas).
+     * @returns {{coupon: object|null, error: string|null}} O cupom válido, ou o motivo da recusa.
+     */
+    function validateCoupon(code, subtotal) {
+        const coupon = state.coupons.find(c => c.code === normalizeCouponCode(code));
+
+        if (!coupon) return { coupon: null, error: t('coupon.notFound') };
+        if (!coupon.active) return { coupon: null, error: t('coupon.inactive') };
+        if (isCouponExpired(coupon)) {
+            return { coupon: null, error: t('coupon.expiredOn', { date: formatDate(coupon.expiresAt) }) };
+        }
+        if (coupon.minSubtotal > 0 && subtotal < coupon.minSubtotal) {
+            const missing = coupon.minSubtotal - subtotal;
+            return {
+                coupon: null,
+                error: t('coupon.minimumNotReached', { minimum: formatPrice(coupon.minSubtotal), missing: formatPrice(missing) }),
+            };
+        }
+
+        return { coupon, error: null };
+    }
+
+    /**
+     * Calcula os valores do carrinho: subtotal, cada desconto aplicado, frete e total.
+     * Enquanto nenhum frete for escolhido, o total sai sem frete.
+     * @param {object[]} [cart=state.cart] - Os itens do carrinho.
+     * @param {string|null} [couponCode=state.appliedCoupon] - O cupom aplicado (se houver).
+     * @param {{cep: string, service: string}|null} [shippingChoice=state.shippingChoice] - O frete escolhido (se houver).
+     * @returns {{subtotal: number, discounts: {label: string, amount: number}[], shipping: number,
+     *   shippingQuote: object|null, shippingOption: object|null,
+     *   total: number, couponCode: string|null, couponError: string|null}} O resumo de valores
+     *   ('shippingQuote' é o resultado de 'quoteShipping' para o CEP escolhido).
+     */
+    function calculateCartTotals(cart = state.cart, couponCode = state.appliedCoupon, shippingChoice = state.shippingChoice) {
+        const subtotal = roundMoney(cart.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const discounts = [];
+
+        // 1. Promoções automáticas: a cada 'buy' unidades, paga só 'pay'
+        // (contadas por linha: cada variação do produto conta separado)
+        cart.forEach(item => {
+            const promotion = state.promotions.find(p => p.productId === item.id);
+            if (!promotion) return;
+
+            const freeUnits = Math.floor(item.quantity / promotion.buy) * (promotion.buy - promotion.pay);
+            if (freeUnits > 0) {
+                discounts.push({
+                    label: t('promotion.discountLabel', { promotion: describePromotion(promotion), name: getCartItemLabel(item) }),
+                    amount: roundMoney(freeUnits * item.price),
+                });
+            }
+        });
+
+        const afterPromotions = subtotal - discounts.reduce((sum, d) => sum + d.amount, 0);
+
+        // 2. Frete: as opções do CEP escolhido (o frete grátis olha o valor depois das promoções)
+        const shippingQuote = cart.length > 0 && shippingChoice ? quoteShipping(cart, shippingChoice.cep, afterPromotions) : null;
+        const shippingOption = (shippingQuote && !shippingQuote.error &&
+            shippingQuote.options.find(option => option.service === shippingChoice.service)) || null;
+        const shipping = shippingOption ? shippingOption.price : 0;
+
+        // 3. Cupom: calculado sobre o valor que sobrou depois das promoções
+        let couponError = null;
+        let appliedCode = null;
+        if (couponCode && cart.length > 0) {
+            const { coupon, error } = validateCoupon(couponCode, afterPromotions);
+            couponError = error;
+
+            if (coupon) {
+                appliedCode = coupon.code;
+                let amount = 0;
+                if (coupon.type === 'percent') amount = afterPromotions * coupon.value / 100;
+                if (coupon.type === 'fixed') amount = Math.min(coupon.value, afterPromotions); // Nunca deixa o total negativo
+                if (coupon.type === 'free_shipping') amount = shipping;
+
+                discounts.push({ label: t('coupon.discountLabel', { code: coupon.code, description: describeCoupon(coupon) }), amount: roundMoney(amount) });
+            }
+        }
+
+        const totalDiscount = discounts.reduce((sum, d) => sum + d.amount, 0);
+        const total = roundMoney(Math.max(0, subtotal + shipping - totalDiscount));
+
+        return { subtotal, discounts, shipping, shippingQuote, shippingOption, total, couponCode: appliedCode, couponError };
+    }
+
+    /**
+     * Lida com o envio do campo de cupom do carrinho.
+     * O cupom só fica aplicado se for válido; se não, o motivo aparece em um aviso.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleApplyCoupon(e) {
+        e.preventDefault();
+        const input = document.getElementById('coupon-code');
+        const code = normalizeCouponCode(input.value);
+        if (!code) return;
+
+        if (state.cart.length === 0) {
+            showToast(t('coupon.cartEmpty'), 'error');
+            return;
+        }
+
+        const totals = calculateCartTotals(state.cart, code);
+        if (totals.couponError) {
+            showToast(t('coupon.rejected', { code, reason: totals.couponError }), 'error');
+            return;
+        }
+
+        state.appliedCoupon = totals.couponCode;
+        saveCart();
+        renderCart();
+        input.value = '';
+        showToast(t('coupon.appliedToast', { code: totals.couponCode }));
+    }
+
+    /** Tira o cupom do carrinho (link "remover") */
+    function removeAppliedCoupon() {
+        state.appliedCoupon = null;
+        saveCart();
+        renderCart();
+    }
+
+    /**
+     * Lida com o formulário de criação de cupom (Admin).
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleCreateCoupon(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
+
+        const code = normalizeCouponCode(document.getElementById('coupon-admin-code').value);
+        const type = document.getElementById('coupon-admin-type').value;
+        const value = Number(document.getElementById('coupon-admin-value').value);
+        const minSubtotal = Number(document.getElementById('coupon-admin-min').value) || 0;
+        const expiresAt = document.getElementById('coupon-admin-expiry').value || null; // 'AAAA-MM-DD'
+
+        // Validação
+        if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+            showToast(t('coupons.invalidCode'), 'error');
+            return;
+        }
+        if (state.coupons.some(coupon => coupon.code === code)) {
+            showToast(t('coupons.duplicate', { code }), 'error');
+            return;
+        }
+        if (type !== 'free_shipping' && (!Number.isFinite(value) || value <= 0)) {
+            showToast(t('coupons.valueRequired'), 'error');
+            return;
+        }
+        if (type === 'percent' && value > 100) {
+            showToast(t('coupons.percentTooHigh'), 'error');
+            return;
+        }
+        if (minSubtotal < 0) {
+            showToast(t('coupons.minNegative'), 'error');
+            return;
+        }
+
+        state.coupons.push({
+            code,
+            type,
+            value: type === 'free_shipping' ? 0 : value,
+            minSubtotal,
+            expiresAt,
+            active: true,
+            createdAt: new Date().toISOString(),
+        });
+        saveCouponsToLocalStorage();
+
+        renderAdminCouponList();
+        renderCart();
+        DOMElements.couponAdminForm.reset();
+        showToast(t('coupons.created', { code }));
+    }
+
+    /**
+     * Ativa ou desativa um cupom (Admin).
+     * @param {string} code - O código do cupom.
+     */
+    function toggleCoupon(code) {
+        if (!requireAdmin()) return;
+
+        const coupon = state.coupons.find(c => c.code === code);
+        if (!coupon) return;
+
+        coupon.active = !coupon.active;
+        saveCouponsToLocalStorage();
+        renderAdminCouponList();
+        renderCart();
+        showToast(t(coupon.active ? 'coupons.activated' : 'coupons.deactivated', { code }));
+    }
+
+    /**
+     * Remove um cupom (Admin).
+     * @param {string} code - O código do cupom.
+     */
+    function deleteCoupon(code) {
+        if (!requireAdmin()) return;
+        if (!window.confirm(t('coupons.confirmDelete', { code }))) return;
+
+        state.coupons = state.coupons.filter(coupon => coupon.code !== code);
+        saveCouponsToLocalStorage();
+        renderAdminCouponList();
+        renderCart();
+        showToast(t('coupons.deleted', { code }), 'error');
+    }
+
+    /**
+     * Lida com o formulário de criação de promoção automática (Admin).
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleCreatePromotion(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
+
+        const productId = DOMElements.promoProductSelect.value;
+        const buy = Number(document.getElementById('promo-buy').value);
+        const pay = Number(document.getElementById('promo-pay').value);
+
+        if (!state.products.some(product => product.id === productId)) {
+            showToast(t('promotions.chooseProduct'), 'error');
+            return;
+        }
+        if (!Number.isInteger(buy) || !Number.isInteger(pay) || pay < 1 || buy <= pay) {
+            showToast(t('promotions.invalid'), 'error');
+            return;
+        }
+        // Uma promoção por produto, para os descontos não se acumularem
+        if (state.promotions.some(promotion => promotion.productId === productId)) {
+            showToast(t('promotions.duplicate'), 'error');
+            return;
+        }
+
+        state.promotions.push({
+            id: Date.now().toString(), // ID único baseado no timestamp atual
+            type: 'buy_x_pay_y',
+            productId,
+            buy,
+            pay,
+        });
+        savePromotionsToLocalStorage();
+
+        renderAdminPromotionList();
+        renderProductGrid();
+        renderCart();
+        showToast(t('promotions.created'));
+    }
+
+    /**
+     * Remove uma promoção automática (Admin).
+     * @param {string} promotionId - O ID da promoção.
+     */
+    function deletePromotion(promotionId) {
+        if (!requireAdmin()) return;
+
+        state.promotions = state.promotions.filter(promotion => promotion.id !== promotionId);
+        savePromotionsToLocalStorage();
+
+        renderAdminPromotionList();
+        renderProductGrid();
+        renderCart();
+        showToast(t('promotions.deleted'), 'error');
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE AVALIAÇÕES
+    // ---------------------------------------------------------------------
+    // Quem está logado pode dar uma nota de 1 a 5 e escrever um comentário em
+    // cada produto: uma avaliação por conta e produto (o ID junta os dois), que
+    // o autor pode editar ou excluir. Admins podem ocultar avaliações abusivas;
+    // avaliações ocultas não aparecem na loja nem contam na nota média.
+    // ---------------------------------------------------------------------
+
+    /** Tamanho máximo do comentário de uma avaliação */
+    const MAX_REVIEW_LENGTH = 1000;
+
+    /**
+     * Retorna o ID da avaliação de uma conta para um produto (sempre o mesmo, o que
+     * garante uma avaliação por conta e produto, mesmo entre abas).
+     * @param {string} productId - O ID do produto.
+     * @param {string} userId - O ID da conta.
+     * @returns {string} O ID da avaliação.
+     */
+    function getReviewId(productId, userId) {
+        return `${productId}:${userId}`;
+    }
+
+    /**
+     * Retorna a avaliação de quem está logado para um produto.
+     * @param {string} productId - O ID do produto.
+     * @returns {object|undefined} A avaliação, ou undefined se não houver (ou ninguém estiver logado).
+     */
+    function getOwnReview(productId) {
+        if (!state.session) return undefined;
+        const reviewId = getReviewId(productId, state.session.userId);
+        return state.reviews.find(review => review.id === reviewId);
+    }
+
+    /**
+     * Retorna as avaliações visíveis (não ocultadas) de um produto, das mais recentes para as mais antigas.
+     * @param {string} productId - O ID do produto.
+     * @returns {object[]} As avaliações.
+     */
+    function getVisibleReviews(productId) {
+        return state.reviews
+            .filter(review => review.productId === productId && !review.hidden)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Calcula a nota média e o número de avaliações visíveis de cada produto.
+     * @returns {Map<string, {average: number, count: number}>} ID do produto -> nota (só produtos com avaliações).
+     */
+    function getRatingSummaries() {
+        const totals = new Map();
+        state.reviews.forEach(review => {
+            if (review.hidden) return;
+            const total = totals.get(review.productId) || { sum: 0, count: 0 };
+            total.sum += review.rating;
+            total.count++;
+            totals.set(review.productId, total);
+        });
+
+        const summaries = new Map();
+        totals.forEach(({ sum, count }, productId) => {
+            summaries.set(productId, { average: sum / count, count });
+        });
+        return summaries;
+    }
+
+    /**
+     * Formata uma nota com uma casa decimal, no idioma atual (ex: 4.25 -> "4,3" ou "4.3").
+     * @param {number} rating - A nota.
+     * @returns {string} A nota formatada.
+     */
+    function formatRating(rating) {
+        return rating.toLocaleString(state.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    }
+
+    /**
+     * Descreve a data de uma avaliação (ex: "12/05/2025" ou "12/05/2025 (editada)").
+     * @param {object} review - A avaliação.
+     * @returns {string} A data formatada.
+     */
+    function describeReviewDate(review) {
+        const date = new Date(review.createdAt).toLocaleDateString(state.locale);
+        return review.updatedAt !== review.createdAt ? t('reviews.edited', { date }) : date;
+    }
+
+    /**
+     * Confere a nota e o comentário de uma avaliação.
+     * @param {number} rating - A nota escolhida.
+     * @param {string} text - O comentário (já sem espaços nas pontas).
+     * @returns {string|null} A mensagem de erro, ou null se estiver tudo certo.
+     */
+    function validateReview(rating, text) {
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) return t('reviews.errorRating');
+        if (!text) return t('reviews.errorText');
+        if (text.length > MAX_REVIEW_LENGTH) return t('reviews.errorLength', { max: MAX_REVIEW_LENGTH });
+        return null;
+    }
+
+    /**
+     * Preenche o formulário de avaliação com a avaliação de quem está logado
+     * para o produto aberto (ou o limpa, se ainda não houver uma).
+     */
+    function fillReviewForm() {
+        const ownReview = getOwnReview(state.viewingProductId);
+        DOMElements.reviewForm.reset();
+        if (!ownReview) return;
+
+        DOMElements.reviewForm.querySelector(`input[name="review-rating"][value="${ownReview.rating}"]`).checked = true;
+        DOMElements.reviewText.value = ownReview.text;
+    }
+
+    /** Redesenha tudo que mostra avaliações (depois de publicar, editar, excluir ou moderar) */
+    function refreshReviews() {
+        renderProductReviews();
+        renderProductGrid();
+        renderAdminReviewList();
+    }
+
+    /**
+     * Lida com o envio do formulário de avaliação: publica uma avaliação nova
+     * ou salva as alterações da avaliação que a conta já tinha feito.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleReviewSubmit(e) {
+        e.preventDefault();
+
+        const user = getCurrentUser();
+        if (!user) {
+            showToast(t('reviews.loginRequired'), 'error');
+            return;
+        }
+
+        const productId = state.viewingProductId;
+        if (!state.products.some(product => product.id === productId)) return;
+
+        const checked = DOMElements.reviewForm.querySelector('input[name="review-rating"]:checked');
+        const rating = checked ? Number(checked.value) : 0;
+        const text = DOMElements.reviewText.value.trim();
+
+        const error = validateReview(rating, text);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+
+        const ownReview = getOwnReview(productId);
+        const now = new Date().toISOString();
+        let review;
+        if (ownReview) {
+            // Uma avaliação ocultada pela moderação continua oculta depois de editada
+            review = { ...ownReview, rating, text, updatedAt: now };
+            state.reviews = state.reviews.map(existing => existing.id === review.id ? review : existing);
+        } else {
+            review = {
+                id: getReviewId(productId, user.id),
+                productId,
+                userId: user.id,
+                userName: user.name,
+                rating,
+                text,
+                hidden: false,
+                createdAt: now,
+                updatedAt: now,
+            };
+            state.reviews.push(review);
+        }
+
+        syncChange(['reviews'], () => dataSource.reviews.save(review), t('reviews.saveFailed'));
+        refreshReviews();
+        showToast(ownReview ? t('reviews.updated') : t('reviews.thanks'));
+    }
+
+    /**
+     * Exclui a avaliação de quem está logado para o produto aberto (botão "Excluir avaliação").
+     */
+    function deleteOwnReview() {
+        const ownReview = getOwnReview(state.viewingProductId);
+        if (!ownReview) return;
+        if (!window.confirm(t('reviews.confirmDelete'))) return;
+
+        state.reviews = state.reviews.filter(review => review.id !== ownReview.id);
+        syncChange(['reviews'], () => dataSource.reviews.remove(ownReview.id), t('reviews.deleteFailed'));
+
+        fillReviewForm();
+        refreshReviews();
+        showToast(t('reviews.deleted'));
+    }
+
+    /**
+     * Oculta uma avaliação (ou volta a mostrá-la). Só administradores.
+     * @param {string} reviewId - O ID da avaliação.
+     */
+    function toggleReviewHidden(reviewId) {
+        if (!requireAdmin()) return;
+
+        const review = state.reviews.find(r => r.id === reviewId);
+        if (!review) return;
+
+        review.hidden = !review.hidden;
+        syncChange(['reviews'], () => dataSource.reviews.save(review), t('reviews.moderateFailed'));
+        refreshReviews();
+        showToast(review.hidden ? t('reviews.hiddenToast') : t('reviews.shownToast'));
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE FAVORITOS
+    // ---------------------------------------------------------------------
+    // Os favoritos são guardados por dono, como o carrinho (visitante ou conta;
+    // ao entrar na conta, os do visitante passam para ela). Cada favorito guarda
+    // o preço do dia em que foi salvo, para avisar quando o produto baratear.
+    // ---------------------------------------------------------------------
+
+    /**
+     * @param {string} productId - O ID do produto.
+     * @returns {boolean} true se o produto está nos favoritos.
+     */
+    function isInWishlist(productId) {
+        return state.wishlist.some(item => item.id === productId);
+    }
+
+    /**
+     * @param {object} item - O favorito.
+     * @param {object} product - O produto atual.
+     * @returns {boolean} true se o preço caiu desde que o produto foi favoritado.
+     */
+    function hasPriceDropped(item, product) {
+        return product.price < item.savedPrice;
+    }
+
+    /** Redesenha tudo que mostra os favoritos (corações da vitrine e do detalhe e a página "Meus Favoritos") */
+    function refreshWishlist() {
+        renderWishlist();
+        renderProductGrid();
+        renderDetailWishlistButton();
+    }
+
+    /**
+     * Favorita um produto ou, se ele já for favorito, tira dos favoritos (botões de coração).
+     * @param {string} productId - O ID do produto.
+     */
+    function toggleWishlist(productId) {
+        const product = state.products.find(p => p.id === productId);
+        if (!product) return;
+
+        if (isInWishlist(productId)) {
+            state.wishlist = state.wishlist.filter(item => item.id !== productId);
+            showToast(t('wishlist.removed', { name: product.name }));
+        } else {
+            state.wishlist.push({ id: productId, savedPrice: product.price, addedAt: new Date().toISOString() });
+            showToast(t('wishlist.added', { name: product.name }));
+        }
+
+        saveWishlist();
+        refreshWishlist();
+    }
+
+    /**
+     * Move um favorito para o carrinho (passando pelas regras de estoque de 'addToCart').
+     * Se o produto não puder ir para o carrinho, ele continua nos favoritos.
+     * @param {string} productId - O ID do produto.
+     */
+    function moveWishlistItemToCart(productId) {
+        if (!addToCart(productId)) return;
+
+        state.wishlist = state.wishlist.filter(item => item.id !== productId);
+        saveWishlist();
+        refreshWishlist();
+    }
+
+    /**
+     * Tira dos favoritos os produtos que não existem mais na loja (ex: removidos no admin).
+     * @returns {number} Quantos favoritos foram removidos.
+     */
+    function reconcileWishlist() {
+        // Sem o catálogo (ex: a API não respondeu) não há com o que comparar
+        if (state.dataStatus.error) return 0;
+
+        const available = state.wishlist.filter(item => state.products.some(product => product.id === item.id));
+        const removedCount = state.wishlist.length - available.length;
+        if (removedCount > 0) {
+            state.wishlist = available;
+            saveWishlist();
+        }
+        return removedCount;
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE ESTATÍSTICAS
+    // ---------------------------------------------------------------------
+    // A loja registra o que os clientes fazem: cada produto aberto ('view'),
+    // cada adição ao carrinho ('add') e cada remoção ('remove'), com data e
+    // hora. Os eventos ficam sempre neste navegador (como os cupons), mesmo
+    // com a API REST, numa lista com limite: passando dele, os mais antigos
+    // são apagados. A lista é lida uma vez, em 'loadState', e fica no 'state'
+    // (os eventos das outras abas chegam pelo evento 'storage', ver 'setupTabSync');
+    // as gravações são agrupadas (ver 'saveAnalyticsEvents').
+    // O painel admin resume os eventos do período escolhido.
+    // ---------------------------------------------------------------------
+
+    /** Tipos de evento registrados, com o nome e a cor de cada um no gráfico diário */
+    const ANALYTICS_EVENT_TYPES = {
+        view: { labelKey: 'analytics.eventViews', color: 'bg-indigo-500' },
+        add: { labelKey: 'analytics.eventAdds', color: 'bg-green-500' },
+        remove: { labelKey: 'analytics.eventRemovals', color: 'bg-red-400' },
+    };
+
+    /** Quantos eventos guardar enquanto o admin não escolher outro limite */
+    const DEFAULT_ANALYTICS_MAX_EVENTS = 5000;
+
+    /** Limites aceitos no campo "Guardar no máximo" */
+    const ANALYTICS_MAX_EVENTS_RANGE = { min: 100, max: 10000 };
+
+    /** Quantos produtos aparecem nos rankings de mais visualizados e mais abandonados */
+    const ANALYTICS_RANKING_SIZE = 10;
+
+    /** Colunas do CSV de eventos, na ordem em que são exportadas */
+    const ANALYTICS_CSV_COLUMNS = ['at', 'type', 'productId', 'productName', 'sku', 'quantity'];
+
+    /**
+     * @param {*} value - Um limite de eventos.
+     * @returns {boolean} true se for um inteiro dentro de ANALYTICS_MAX_EVENTS_RANGE.
+     */
+    function isValidAnalyticsMaxEvents(value) {
+        return Number.isInteger(value) && value >= ANALYTICS_MAX_EVENTS_RANGE.min && value <= ANALYTICS_MAX_EVENTS_RANGE.max;
+    }
+
+    /** Quanto tempo (ms) juntar eventos antes de gravá-los (cada gravação reescreve a lista inteira) */
+    const ANALYTICS_SAVE_DELAY = 2000;
+
+    /** Eventos registrados ou apagados que ainda não foram gravados ({ add: evento } ou { remove: evento }) */
+    let pendingAnalyticsChanges = [];
+
+    /** Gravação agendada dos eventos pendentes (null se não houver) */
+    let analyticsSaveTimer = null;
+
+    /**
+     * Aplica uma alteração a uma lista de eventos, apagando os mais antigos que passarem do limite.
+     * @param {object[]} events - Os eventos (são alterados).
+     * @param {{add: object}|{remove: object}} change - O evento registrado ou apagado.
+     */
+    function applyAnalyticsChange(events, change) {
+        if (change.add) {
+            events.push(change.add);
+            if (events.length > state.analyticsSettings.maxEvents) events.splice(0, events.length - state.analyticsSettings.maxEvents);
+            return;
+        }
+        const index = events.findLastIndex(stored => isSameData(stored, change.remove));
+        if (index !== -1) events.splice(index, 1); // -1: já saiu pelo limite de eventos
+    }
+
+    /**
+     * Aplica uma alteração aos eventos do 'state' e agenda a gravação
+     * (eventos seguidos, como várias visualizações, são gravados de uma vez).
+     * @param {{add: object}|{remove: object}} change - O evento registrado ou apagado.
+     */
+    function changeAnalyticsEvents(change) {
+        applyAnalyticsChange(state.analyticsEvents, change);
+        pendingAnalyticsChanges.push(change);
+        if (analyticsSaveTimer === null) analyticsSaveTimer = setTimeout(saveAnalyticsEvents, ANALYTICS_SAVE_DELAY);
+    }
+
+    /**
+     * Grava as alterações pendentes nos eventos. Também é chamada quando a aba sai
+     * de vista ou é fechada, para nada se perder.
+     */
+    function saveAnalyticsEvents() {
+        clearTimeout(analyticsSaveTimer);
+        analyticsSaveTimer = null;
+        if (pendingAnalyticsChanges.length === 0) return;
+
+        // Parte do que está gravado, que pode ter eventos de outras abas
+        const events = readStoredValue('techshop_analytics') || [];
+        pendingAnalyticsChanges.forEach(change => applyAnalyticsChange(events, change));
+        pendingAnalyticsChanges = [];
+        state.analyticsEvents = events;
+        writeStoredValue('techshop_analytics', events);
+    }
+
+    /**
+     * Relê os eventos gravados por outra aba, sem perder os desta que ainda não foram gravados.
+     */
+    function reloadAnalyticsEvents() {
+        const events = readStoredValue('techshop_analytics') || [];
+        pendingAnalyticsChanges.forEach(change => applyAnalyticsChange(events, change));
+        state.analyticsEvents = events;
+    }
+
+    /**
+     * Registra um evento nas estatísticas, apagando os mais antigos que passarem do limite.
+     * @param {'view'|'add'|'remove'} type - O tipo do evento.
+     * @param {string} productId - O produto.
+     * @param {object} [details] - Dados extras (ex: { sku: 'X-128-PRETO', quantity: 2 }).
+     * @returns {object} O evento registrado.
+     */
+    function trackEvent(type, productId, details = {}) {
+        const event = { type, productId, ...details, at: new Date().toISOString() };
+        changeAnalyticsEvents({ add: event });
+        return event;
+    }
+
+    /**
+     * Apaga um evento já registrado (ex: a remoção de um item que o cliente desfez).
+     * @param {object} event - O evento, como retornado por 'trackEvent'.
+     */
+    function untrackEvent(event) {
+        changeAnalyticsEvents({ remove: event });
+    }
+
+    /**
+     * @param {Date} date - Uma data.
+     * @returns {string} O dia no fuso local, no formato 'AAAA-MM-DD' (o mesmo dos campos de data).
+     */
+    function toLocalDateKey(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * @returns {boolean} true se o período escolhido no admin terminar antes de começar.
+     */
+    function isAnalyticsRangeInvalid() {
+        const { from, to } = state.analyticsFilter;
+        return Boolean(from && to && from > to);
+    }
+
+    /**
+     * Separa os eventos do período escolhido no admin.
+     * @param {object[]} events - Os eventos.
+     * @returns {object[]} Os eventos cujo dia (no fuso local) está dentro do período.
+     */
+    function filterAnalyticsEvents(events) {
+        const { from, to } = state.analyticsFilter;
+        return events.filter(event => {
+            const day = toLocalDateKey(new Date(event.at));
+            return (!from || day >= from) && (!to || day <= to);
+        });
+    }
+
+    /**
+     * Conta os eventos por produto e por dia.
+     * @param {object[]} events - Os eventos do período.
+     * @returns {{totals: object, products: object[], days: object[]}} Os totais de cada tipo;
+     *   as contagens de cada produto (com as unidades removidas do carrinho); e as de cada dia,
+     *   do primeiro ao último dia com eventos (os dias sem nada entram zerados, para o gráfico).
+     */
+    function summarizeAnalytics(events) {
+        const createCounts = () => ({ view: 0, add: 0, remove: 0 });
+        const totals = createCounts();
+        const products = new Map(); // ID do produto -> contagens
+        const days = new Map();     // 'AAAA-MM-DD' -> contagens
+
+        events.forEach(event => {
+            const day = toLocalDateKey(new Date(event.at));
+            if (!products.has(event.productId)) products.set(event.productId, { ...createCounts(), removedUnits: 0 });
+            if (!days.has(day)) days.set(day, createCounts());
+
+            const productCounts = products.get(event.productId);
+            totals[event.type]++;
+            productCounts[event.type]++;
+            days.get(day)[event.type]++;
+            if (event.type === 'remove') productCounts.removedUnits += event.quantity || 1;
+        });
+
+        const dayKeys = [...days.keys()].sort();
+        const [year, month, day] = dayKeys[0].split('-').map(Number);
+        const dailyCounts = [];
+        for (let date = new Date(year, month - 1, day); toLocalDateKey(date) <= dayKeys[dayKeys.length - 1]; date.setDate(date.getDate() + 1)) {
+            const key = toLocalDateKey(date);
+            dailyCounts.push({ date: key, ...(days.get(key) || createCounts()) });
+        }
+
+        return {
+            totals,
+            products: [...products].map(([productId, counts]) => ({ productId, ...counts })),
+            days: dailyCounts,
+        };
+    }
+
+    /**
+     * @param {string} productId - O ID de um produto.
+     * @returns {string} O nome do produto (ou "Produto removido", se ele não existir mais).
+     */
+    function getAnalyticsProductName(productId) {
+        const product = state.products.find(p => p.id === productId);
+        return product ? product.name : t('common.removedProduct');
+    }
+
+    /**
+     * Desenha as estatísticas do período escolhido no painel admin:
+     * os totais, o gráfico diário e os rankings de produtos.
+     */
+    function renderAnalytics() {
+        const allEvents = state.analyticsEvents;
+        renderAnalyticsSettings(allEvents.length);
+
+        if (isAnalyticsRangeInvalid()) {
+            DOMElements.analyticsSummary.textContent = t('analytics.errorRange');
+            DOMElements.analyticsReport.replaceChildren();
+            return;
+        }
+
+        const events = filterAnalyticsEvents(allEvents);
+        if (events.length === 0) {
+            DOMElements.analyticsSummary.textContent = t('analytics.empty');
+            DOMElements.analyticsReport.replaceChildren();
+            return;
+        }
+
+        const { totals, products, days } = summarizeAnalytics(events);
+        const formatCount = count => count.toLocaleString(state.locale);
+        DOMElements.analyticsSummary.textContent = t('analytics.summary', {
+            views: formatCount(totals.view),
+            adds: formatCount(totals.add),
+            removals: formatCount(totals.remove),
+        });
+
+        const viewed = products.filter(product => product.view > 0);
+        const mostViewed = [...viewed].sort((a, b) => b.view - a.view).slice(0, ANALYTICS_RANKING_SIZE);
+        // Produtos só adicionados pela vitrine (sem abrir a página) não têm como calcular a conversão
+        const conversion = [...viewed].sort((a, b) => b.add / b.view - a.add / a.view || b.view - a.view);
+        const abandoned = products
+            .filter(product => product.remove > 0)
+            .sort((a, b) => b.removedUnits - a.removedUnits || b.remove - a.remove)
+            .slice(0, ANALYTICS_RANKING_SIZE);
+
+        DOMElements.analyticsReport.replaceChildren(
+            createAnalyticsChart(days),
+            h('div', { className: 'grid grid-cols-1 lg:grid-cols-2 gap-8' },
+                createAnalyticsTable('analytics.mostViewed', ['analytics.product', 'analytics.views'],
+                    mostViewed.map(product => [getAnalyticsProductName(product.productId), formatCount(product.view)])),
+                createAnalyticsTable('analytics.abandoned', ['analytics.product', 'analytics.removals', 'analytics.units'],
+                    abandoned.map(product => [getAnalyticsProductName(product.productId), formatCount(product.remove), formatCount(product.removedUnits)])),
+            ),
+            createAnalyticsTable('analytics.conversion', ['analytics.product', 'analytics.views', 'analytics.adds', 'analytics.rate'],
+                conversion.map(product => [
+                    getAnalyticsProductName(product.productId),
+                    formatCount(product.view),
+                    formatCount(product.add),
+                    (product.add / product.view).toLocaleString(state.locale, { style: 'percent', maximumFractionDigits: 1 }),
+                ])),
+        );
+    }
+
+    /**
+     * Mostra o limite de eventos e quantos estão guardados.
+     * @param {number} storedCount - Quantos eventos estão guardados.
+     */
+    function renderAnalyticsSettings(storedCount) {
+        const input = DOMElements.analyticsSettingsForm.elements['analytics-max-events'];
+        // Não apaga o que o admin está digitando
+        if (document.activeElement !== input) input.value = state.analyticsSettings.maxEvents;
+        DOMElements.analyticsStored.textContent = t('analytics.stored', { count: storedCount, max: state.analyticsSettings.maxEvents });
+    }
+
+    /**
+     * Cria o gráfico de atividade por dia: uma barra por dia, com as
+     * visualizações, adições e remoções empilhadas.
+     * @param {object[]} days - As contagens de cada dia (ver 'summarizeAnalytics').
+     * @returns {HTMLElement} O gráfico.
+     */
+    function createAnalyticsChart(days) {
+        const busiestDay = Math.max(...days.map(day => day.view + day.add + day.remove));
+        const lastDay = days[days.length - 1];
+
+        return h('div', {},
+            h('h3', { className: 'text-lg font-semibold text-gray-800 mb-3' }, t('analytics.chartTitle')),
+            h('div', { className: 'flex flex-wrap gap-4 text-sm text-gray-600 mb-3' },
+                Object.values(ANALYTICS_EVENT_TYPES).map(({ labelKey, color }) => h('span', { className: 'flex items-center gap-2' },
+                    h('span', { className: `inline-block w-3 h-3 rounded ${color}`, 'aria-hidden': 'true' }),
+                    t(labelKey),
+                )),
+            ),
+            h('ol', { className: 'flex items-end gap-1 h-48 border-b overflow-x-auto', 'aria-label': t('analytics.chartTitle') },
+                days.map(day => {
+                    const label = t('analytics.chartDay', { date: formatDate(day.date), views: day.view, adds: day.add, removals: day.remove });
+                    // A barra de cada dia é proporcional ao dia mais movimentado do período
+                    return h('li', { className: 'flex-1 min-w-[0.75rem] h-full flex flex-col-reverse', title: label, 'aria-label': label },
+                        Object.entries(ANALYTICS_EVENT_TYPES).map(([type, { color }]) => (day[type] > 0
+                            ? h('div', { className: color, style: `height: ${(day[type] / busiestDay) * 100}%` })
+                            : null)),
+                    );
+                }),
+            ),
+            h('div', { className: 'flex justify-between text-xs text-gray-500 mt-1' },
+                h('span', {}, formatDate(days[0].date)),
+                days.length > 1 ? h('span', {}, formatDate(lastDay.date)) : null,
+            ),
+        );
+    }
+
+    /**
+     * Cria uma tabela das estatísticas, com título.
+     * @param {string} titleKey - A chave do título.
+     * @param {string[]} columnKeys - As chaves dos nomes das colunas.
+     * @param {string[][]} rows - As células de cada linha, já formatadas.
+     * @returns {HTMLElement} A tabela (ou um aviso, se não houver linhas).
+     */
+    function createAnalyticsTable(titleKey, columnKeys, rows) {
+        return h('div', {},
+            h('h3', { className: 'text-lg font-semibold text-gray-800 mb-3' }, t(titleKey)),
+            rows.length === 0
+                ? h('p', { className: 'text-gray-600' }, t('analytics.noData'))
+                : h('div', { className: 'overflow-x-auto' },
+                    h('table', { className: 'w-full text-sm text-left text-gray-700' },
+                        h('thead', {},
+                            h('tr', { className: 'border-b' }, columnKeys.map(key => h('th', { className: 'px-2 py-2 font-semibold' }, t(key)))),
+                        ),
+                        h('tbody', {},
+                            rows.map(cells => h('tr', { className: 'border-b' }, cells.map(cell => h('td', { className: 'px-2 py-2' }, cell)))),
+                        ),
+                    ),
+                ),
+        );
+    }
+
+    /**
+     * Lida com a troca do período das estatísticas (campos "De" e "Até").
+     */
+    function handleAnalyticsFilterChange() {
+        const { elements } = DOMElements.analyticsFilterForm;
+        state.analyticsFilter = {
+            from: elements['analytics-from'].value,
+            to: elements['analytics-to'].value,
+        };
+        renderAnalytics();
+    }
+
+    /**
+     * Baixa os eventos do período escolhido como CSV (Admin).
+     */
+    function exportAnalyticsEvents() {
+        if (!requireAdmin()) return;
+
+        if (isAnalyticsRangeInvalid()) {
+            showToast(t('analytics.errorRange'), 'error');
+            return;
+        }
+        const events = filterAnalyticsEvents(state.analyticsEvents);
+        if (events.length === 0) {
+            showToast(t('analytics.exportEmpty'), 'error');
+            return;
+        }
+
+        const lines = events.map(event => ANALYTICS_CSV_COLUMNS.map(column =>
+            toCsvCell(column === 'productName' ? getAnalyticsProductName(event.productId) : event[column])).join(','));
+        const content = [ANALYTICS_CSV_COLUMNS.join(','), ...lines].join('\r\n');
+        downloadFile(content, 'text/csv;charset=utf-8', `techshop-estatisticas-${new Date().toISOString().slice(0, 10)}.csv`);
+        showToast(t('analytics.exported', { count: events.length }));
     }
 
     /**
-     * Lida com o envio do formulário de Adicionar Produto (Admin).
+     * Lida com o envio do limite de eventos guardados (Admin).
+     * Um limite menor que a quantidade guardada já apaga os eventos mais antigos.
      * @param {Event} e - O objeto do evento de 'submit'.
      */
-    function handleAddProduct(e) {
-        e.preventDefault(); // Impede o formulário de recarregar a página
-        
-        // Pega os valores dos campos do formulário
-        const name = document.getElementById('prod-name').value;
-        const price = parseFloat(document.getElementById('prod-price').value); // Converte para número
-        const img = document.getElementById('prod-img').value;
-        const description = document.getElementById('prod-desc').value;
+    function handleAnalyticsSettingsSubmit(e) {
+        e.preventDefault();
+        if (!requireAdmin()) return;
 
-        // Validação simples
-        if (!name || !price || !img || !description) {
-            showToast('Por favor, preencha todos os campos.', true);
+        const maxEvents = Number(e.target.elements['analytics-max-events'].value);
+        if (!isValidAnalyticsMaxEvents(maxEvents)) {
+            showToast(t('analytics.errorMaxEvents', ANALYTICS_MAX_EVENTS_RANGE), 'error');
             return;
         }
 
-        // Cria o objeto do novo produto
-        const newProduct = {
-            id: Date.now().toString(), // ID único baseado no timestamp atual
-            name,
-            price,
-            img,
-            description
+        state.analyticsSettings = { maxEvents };
+        writeStoredValue('techshop_analytics_settings', state.analyticsSettings);
+        saveAnalyticsEvents(); // Grava o que estava pendente antes de cortar
+        if (state.analyticsEvents.length > maxEvents) {
+            state.analyticsEvents = state.analyticsEvents.slice(-maxEvents);
+            writeStoredValue('techshop_analytics', state.analyticsEvents);
+        }
+
+        e.target.elements['analytics-max-events'].blur(); // Deixa 'renderAnalytics' mostrar o limite salvo
+        renderAnalytics();
+        showToast(t('analytics.settingsSaved', { max: maxEvents }));
+    }
+
+    // ---------------------------------------------------------------------
+    // FUNÇÕES DE CHECKOUT E PEDIDOS
+    // ---------------------------------------------------------------------
+    // O checkout é dividido em etapas: revisão do carrinho -> endereço ->
+    // pagamento (simulado) -> confirmação. Ao confirmar, o carrinho vira um
+    // pedido salvo em 'state.orders' e o carrinho é esvaziado.
+    // ---------------------------------------------------------------------
+
+    /** A ordem das etapas do checkout */
+    const CHECKOUT_STEPS = ['review', 'address', 'payment', 'confirm'];
+
+    /** Chaves dos nomes das formas de pagamento (simuladas) aceitas (ver 'messages.js') */
+    const PAYMENT_METHODS = {
+        pix: 'payment.pix',
+        card: 'payment.card',
+        boleto: 'payment.boleto',
+    };
+
+    /** Situações possíveis de um pedido, com a chave do texto e as cores do "selo" */
+    const ORDER_STATUSES = {
+        awaiting_payment: { label: 'orderStatus.awaitingPayment', classes: 'bg-yellow-100 text-yellow-800' },
+        paid: { label: 'orderStatus.paid', classes: 'bg-green-100 text-green-800' },
+    };
+
+    /**
+     * Inicia o checkout (rota '#/checkout', aberta pelo botão "Finalizar Compra").
+     * Sempre começa pela etapa de revisão, com os formulários limpos.
+     * @returns {boolean} false se o carrinho estiver vazio ou sem frete escolhido (volta para o carrinho).
+     */
+    function startCheckout() {
+        if (state.cart.length === 0) {
+            showToast(t('cart.empty'), 'error');
+            navigateTo('/carrinho', true);
+            return false;
+        }
+        // O frete é escolhido no carrinho, pelo CEP
+        if (!calculateCartTotals().shippingOption) {
+            showToast(t('shipping.required'), 'error');
+            navigateTo('/carrinho', true);
+            return false;
+        }
+
+        state.checkout = { step: 'review', address: null, payment: null };
+        DOMElements.checkoutAddressForm.reset();
+        DOMElements.checkoutPaymentForm.reset();
+        DOMElements.cardFields.classList.add('hidden');
+
+        // Sugere o nome de quem está logado como destinatário
+        const user = getCurrentUser();
+        if (user) {
+            document.getElementById('addr-recipient').value = user.name;
+        }
+        // E o CEP usado no cálculo do frete
+        document.getElementById('addr-cep').value = state.shippingChoice.cep;
+
+        renderCheckout();
+        return true;
+    }
+
+    /**
+     * Vai para uma etapa do checkout, desde que as etapas anteriores
+     * já tenham sido preenchidas.
+     * @param {string} step - A etapa de destino (ex: 'payment').
+     */
+    function goToCheckoutStep(step) {
+        if (!CHECKOUT_STEPS.includes(step)) return;
+
+        // Não deixa "pular" etapas que ainda não foram preenchidas
+        if (step !== 'review' && state.cart.length === 0) return;
+        if ((step === 'payment' || step === 'confirm') && !state.checkout.address) return;
+        if (step === 'confirm' && !state.checkout.payment) return;
+
+        state.checkout.step = step;
+        renderCheckout();
+        window.scrollTo(0, 0);
+    }
+
+    /**
+     * Renderiza o checkout: mostra apenas a etapa atual, destaca o
+     * indicador de etapas e preenche os resumos de revisão e confirmação.
+     */
+    function renderCheckout() {
+        const { step, address, payment } = state.checkout;
+        const currentIndex = CHECKOUT_STEPS.indexOf(step);
+
+        // Mostra somente o conteúdo da etapa atual
+        DOMElements.checkoutPanels.forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.panel !== step);
+        });
+
+        // Etapas já visitadas (e a atual) ficam destacadas no indicador
+        DOMElements.checkoutSteps.forEach(item => {
+            const reached = CHECKOUT_STEPS.indexOf(item.dataset.step) <= currentIndex;
+            item.className = reached ? 'text-indigo-600 font-semibold' : 'text-gray-400';
+        });
+
+        // Itens e valores do pedido (criados de novo a cada uso: um elemento só pode estar em um lugar da página)
+        const totals = calculateCartTotals();
+        const createOrderOverview = () => [
+            ...state.cart.map(item => h('div', { className: 'flex justify-between py-2 border-b border-gray-200' },
+                h('span', {}, `${item.quantity}x ${getCartItemLabel(item)}`),
+                h('span', { className: 'font-semibold' }, formatPrice(item.price * item.quantity)),
+            )),
+            h('div', { className: 'space-y-2 mt-4 text-gray-700' }, createTotalsBreakdown(totals)),
+            h('div', { className: 'flex justify-between mt-4 text-xl font-bold' },
+                h('span', {}, t('cart.total')),
+                h('span', { className: 'text-indigo-600' }, formatPrice(totals.total)),
+            ),
+            // Com os preços convertidos para outra moeda, avisa quanto será cobrado de verdade
+            ...(state.currency.code === BASE_CURRENCY ? [] : [h('p', { className: 'mt-2 text-sm text-gray-600' },
+                t('checkout.chargedInBaseCurrency', { total: formatMoney(totals.total, BASE_CURRENCY) }))]),
+        ];
+
+        if (step === 'review') {
+            DOMElements.checkoutReviewItems.replaceChildren(...createOrderOverview());
+        }
+
+        if (step === 'confirm') {
+            const paymentDetail = payment.method === 'card'
+                ? t('checkout.cardEnding', { method: t(PAYMENT_METHODS.card), last4: payment.last4 })
+                : t(PAYMENT_METHODS[payment.method]);
+
+            DOMElements.checkoutSummary.replaceChildren(
+                h('div', { className: 'grid grid-cols-1 md:grid-cols-2 gap-6 mb-6 text-gray-700' },
+                    h('div', {},
+                        h('h3', { className: 'font-semibold text-gray-800 mb-2' }, t('checkout.delivery')),
+                        h('p', {}, address.recipient),
+                        h('p', {}, `${address.street}, ${address.number}${address.complement ? ` - ${address.complement}` : ''}`),
+                        h('p', {}, `${address.district} - ${address.city}/${address.state}`),
+                        h('p', {}, t('checkout.cep', { cep: address.cep })),
+                        totals.shippingOption
+                            ? h('p', {}, `${t(SHIPPING_SERVICES[totals.shippingOption.service])} · ${t('shipping.days', { count: totals.shippingOption.days })}`)
+                            : null,
+                    ),
+                    h('div', {},
+                        h('h3', { className: 'font-semibold text-gray-800 mb-2' }, t('checkout.payment')),
+                        h('p', {}, paymentDetail),
+                    ),
+                ),
+                ...createOrderOverview(),
+            );
+        }
+    }
+
+
+    /**
+     * Lida com o envio do formulário de endereço do checkout.
+     * @param {Event} e - O objeto do evento de 'submit'.
+     */
+    function handleCheckoutAddress(e) {
+        e.preventDefault();
+
+        const address = {
+            recipient: document.getElementById('addr-recipient').value.trim(),
+            cep: document.getElementById('addr-cep').value.trim(),
+            street: document.getElementById('addr-street').value.trim(),
+            number: document.getElementById('addr-number').value.trim(),
+            complement: document.getElementById('addr-complement').value.trim(),
+            district: document.getElementById('addr-district').value.trim(),
+            city: document.getElementById('addr-city').value.trim(),
+            state: document.getElementById('addr-state').value.trim().toUpperCase(),
         };
 
-        // Adiciona o novo produto ao 'state.products'
-        state.products.push(newProduct);
-        
-        // Salva a nova lista de produtos no LocalStorage
-        saveProductsToLocalStorage();
-        
-        // Redesenha a grade de produtos na Home E a lista de produtos no Admin
-        renderProductGrid();
-        renderAdminProductList();
-        
-        // Limpa os campos do formulário
-        DOMElements.addProductForm.reset();
-        // Mostra notificação de sucesso
-        showToast('Produto adicionado com sucesso!');
+        // CEP no formato 00000-000 (o hífen é opcional)
+        if (!/^\d{5}-?\d{3}$/.test(address.cep)) {
+            showToast(t('checkout.invalidCep'), 'error');
+            return;
+        }
+        // UF com exatamente duas letras
+        if (!/^[A-Z]{2}$/.test(address.state)) {
+            showToast(t('checkout.invalidState'), 'error');
+            return;
+        }
+        // Entrega em outro CEP: o frete escolhido no carrinho é recalculado para ele
+        const cep = formatCep(address.cep);
+        if (!state.shippingChoice || cep !== state.shippingChoice.cep) {
+            if (!findShippingRegion(cep)) {
+                showToast(t('shipping.noRegion', { cep }), 'error');
+                return;
+            }
+            state.shippingChoice = { service: DEFAULT_SHIPPING_SERVICE, ...state.shippingChoice, cep };
+            saveCart();
+            renderCart();
+            showToast(t('shipping.recalculated', { cep }), 'info');
+        }
+
+        state.checkout.address = address;
+        goToCheckoutStep('payment');
     }
 
     /**
-     * Deleta um produto da loja (state.products).
-     * @param {string} productId - O ID do produto a ser deletado.
+     * Lida com o envio do formulário de pagamento do checkout.
+     * O pagamento é apenas simulado: do cartão guardamos só os 4 últimos dígitos.
+     * @param {Event} e - O objeto do evento de 'submit'.
      */
-    function deleteProduct(productId) {
-        // Encontra o ÍNDICE do produto na lista
-        const productIndex = state.products.findIndex(p => p.id === productId);
-        if (productIndex === -1) return;
+    function handleCheckoutPayment(e) {
+        e.preventDefault();
 
-        const productName = state.products[productIndex].name;
-        
-        // Remove o produto da lista 'state.products'
-        state.products.splice(productIndex, 1);
-        
-        // Salva a lista atualizada
-        saveProductsToLocalStorage();
-        
-        // Redesenha a grade da Home e a lista do Admin
-        renderProductGrid();
-        renderAdminProductList();
-        
-        // Mostra notificação
-        showToast(`${productName} removido da loja.`, true);
-        
-        // TODO: Idealmente, também deveria remover o produto do carrinho de todos os usuários,
-        // mas com o LocalStorage, só conseguimos remover do 'state.cart' atual.
-        // Fica como uma melhoria futura.
+        const selected = DOMElements.checkoutPaymentForm.querySelector('input[name="payment-method"]:checked');
+        if (!selected) {
+            showToast(t('checkout.choosePayment'), 'error');
+            return;
+        }
+
+        const payment = { method: selected.value };
+
+        if (payment.method === 'card') {
+            const number = document.getElementById('card-number').value.replace(/\D/g, ''); // Só os dígitos
+            const name = document.getElementById('card-name').value.trim();
+            const expiry = document.getElementById('card-expiry').value.trim();
+
+            if (number.length < 13 || number.length > 19 || !name) {
+                showToast(t('checkout.invalidCard'), 'error');
+                return;
+            }
+            if (!/^(0[1-9]|1[0-2])\/\d{2}$/.test(expiry) || isCardExpired(expiry)) {
+                showToast(t('checkout.invalidExpiry'), 'error');
+                return;
+            }
+
+            payment.last4 = number.slice(-4);
+        }
+
+        state.checkout.payment = payment;
+        goToCheckoutStep('confirm');
+    }
+
+    /**
+     * Verifica se a validade de um cartão (MM/AA) já passou.
+     * @param {string} expiry - A validade no formato MM/AA.
+     * @returns {boolean} true se o cartão estiver vencido.
+     */
+    function isCardExpired(expiry) {
+        const [month, year] = expiry.split('/').map(Number);
+        // O cartão vale até o último dia do mês: o dia 0 do mês seguinte
+        const lastValidDay = new Date(2000 + year, month, 0, 23, 59, 59);
+        return lastValidDay < new Date();
+    }
+
+    /**
+     * Procura um item sem estoque suficiente (ou cujo produto ou variação não existe mais).
+     * @param {object[]} products - Os produtos.
+     * @param {object[]} items - Os itens do carrinho ou do pedido ({ id, sku?, quantity }).
+     * @returns {object|undefined} O primeiro item que não pode ser vendido (undefined se todos podem).
+     */
+    function findOutOfStockItem(products, items) {
+        return items.find(item => {
+            const product = products.find(p => p.id === item.id);
+            const purchasable = product && getPurchasableItem(product, item.sku);
+            return !purchasable || item.quantity > purchasable.stock;
+        });
+    }
+
+    /**
+     * Dá baixa no estoque dos produtos (e das variações) vendidos em um pedido.
+     * @param {object[]} products - Os produtos (são alterados).
+     * @param {object} order - O pedido.
+     */
+    function deductOrderStock(products, order) {
+        order.items.forEach(item => {
+            const product = products.find(p => p.id === item.id);
+            if (!product) return;
+            const variant = findVariant(product, item.sku);
+            if (variant) {
+                variant.stock -= item.quantity;
+                summarizeVariants(product); // O estoque do produto é a soma das variações
+            } else {
+                product.stock -= item.quantity;
+            }
+        });
+    }
+
+    /**
+     * Confirma o pedido: transforma o carrinho em um pedido salvo,
+     * esvazia o carrinho e leva o usuário para "Meus Pedidos".
+     */
+    function confirmOrder() {
+        const { address, payment } = state.checkout;
+        if (state.cart.length === 0 || !address || !payment) return;
+
+        // O estoque pode ter mudado desde que os itens foram para o carrinho
+        const unavailableItem = findOutOfStockItem(state.products, state.cart);
+        if (unavailableItem) {
+            showToast(t('checkout.outOfStock', { name: getCartItemLabel(unavailableItem) }), 'error');
+            navigateTo('/carrinho');
+            return;
+        }
+
+        const totals = calculateCartTotals();
+        if (!totals.shippingOption) {
+            showToast(t('shipping.required'), 'error');
+            navigateTo('/carrinho');
+            return;
+        }
+
+        const order = {
+            id: Date.now().toString(), // ID único baseado no timestamp atual
+            userId: state.session ? state.session.userId : null, // Quem fez o pedido (null = visitante)
+            createdAt: new Date().toISOString(),
+            // Copia os itens, para que o pedido não mude se o carrinho mudar
+            items: state.cart.map(item => ({
+                id: item.id,
+                ...(item.sku ? { sku: item.sku, options: { ...item.options } } : {}),
+                name: item.name,
+                price: item.price,
+                img: item.img,
+                quantity: item.quantity,
+            })),
+            itemCount: state.cart.reduce((sum, item) => sum + item.quantity, 0),
+            subtotal: totals.subtotal,
+            discounts: totals.discounts,
+            shipping: totals.shipping,
+            shippingService: totals.shippingOption.service, // 'pac' ou 'sedex'
+            shippingDays: totals.shippingOption.days, // Prazo prometido, em dias úteis
+            total: totals.total,
+            couponCode: totals.couponCode, // Só o cupom que realmente foi aplicado
+            // Boleto só é pago depois; Pix e cartão são aprovados na hora (simulação)
+            status: payment.method === 'boleto' ? 'awaiting_payment' : 'paid',
+            address,
+            payment,
+        };
+
+        state.orders.push(order);
+        deductOrderStock(state.products, order);
+        if (!order.userId) {
+            state.guestOrderIds.push(order.id);
+            writeStoredValue('techshop_guest_orders', state.guestOrderIds);
+        }
+
+        // Esvazia o carrinho (e tira o cupom, que já foi usado neste pedido)
+        state.cart = [];
+        state.appliedCoupon = null;
+        saveAppliedCoupon();
+
+        // O data source registra o pedido e dá baixa no estoque de uma vez só: ou os dois acontecem, ou nenhum.
+        // O carrinho vazio só é salvo depois; se isso falhar, o pedido continua valendo.
+        const owner = getCartOwner();
+        syncChange(['orders', 'products', 'cart'], () => dataSource.orders.create(order), t('checkout.orderFailed'))
+            .then(created => {
+                if (created) syncChange(['cart'], () => dataSource.cart.save(owner, []), t('cart.saveFailed'));
+            });
+        refreshAfterCatalogChange(); // O estoque mudou
+
+        state.checkout = { step: 'review', address: null, payment: null };
+        DOMElements.checkoutAddressForm.reset();
+        DOMElements.checkoutPaymentForm.reset();
+
+        renderOrders();
+        navigateTo('/pedidos');
+        showToast(t('checkout.orderPlaced', { id: order.id }));
     }
 
     // ---------------------------------------------------------------------
     // FUNÇÕES DE AUTENTICAÇÃO (Login/Registro)
     // ---------------------------------------------------------------------
-    // ATENÇÃO: Este é um sistema de "login" FALSO. Ele salva apenas UM
-    // usuário no LocalStorage. Não é seguro e serve apenas para fins de
-    // demonstração de um app front-end.
+    // As contas ficam no data source ('techshop_users' no modo local). A senha nunca é salva: guardamos
+    // apenas um hash PBKDF2 (Web Crypto) feito com um "sal" aleatório por
+    // conta. Ainda assim, tudo roda no navegador: serve para demonstração,
+    // não substitui a autenticação de um servidor de verdade.
     // ---------------------------------------------------------------------
 
+    /** Número de iterações do PBKDF2 (quanto maior, mais lento de atacar por força bruta) */
+    const PASSWORD_HASH_ITERATIONS = 100000;
+
+    /** Tamanho mínimo da senha no cadastro */
+    const MIN_PASSWORD_LENGTH = 6;
+
+    /**
+     * Retorna a conta de quem está logado.
+     * @returns {object|undefined} O usuário da sessão atual, ou undefined se for um visitante.
+     */
+    function getCurrentUser() {
+        if (!state.session) return undefined;
+        return state.users.find(user => user.id === state.session.userId);
+    }
+
+    /**
+     * Verifica se quem está logado é administrador.
+     * @returns {boolean} true se houver uma sessão de admin.
+     */
+    function isAdmin() {
+        const user = getCurrentUser();
+        return Boolean(user && user.role === 'admin');
+    }
+
+    /**
+     * Garante que uma ação de administração só rode com um admin logado.
+     * Mostra uma notificação de erro quando não há.
+     * @returns {boolean} true se a ação pode continuar.
+     */
+    function requireAdmin() {
+        if (isAdmin()) return true;
+        showToast(t('auth.adminOnly'), 'error');
+        return false;
+    }
+
+    /**
+     * Define o papel de uma conta nova. Enquanto a loja não tiver nenhum
+     * administrador, a próxima conta criada vira admin: é assim que o
+     * primeiro administrador é criado ("bootstrap").
+     * @returns {string} 'admin' ou 'customer'.
+     */
+    function getRoleForNewUser() {
+        return state.users.some(user => user.role === 'admin') ? 'customer' : 'admin';
+    }
+
+    /**
+     * Promove um cliente a admin, ou rebaixa um admin a cliente (painel admin).
+     * A loja nunca fica sem administrador: o último admin não pode ser rebaixado.
+     * @param {string} userId - O ID da conta.
+     */
+    function toggleUserRole(userId) {
+        if (!requireAdmin()) return;
+
+        const user = state.users.find(u => u.id === userId);
+        if (!user) return;
+
+        if (user.role === 'admin') {
+            const adminCount = state.users.filter(u => u.role === 'admin').length;
+            if (adminCount === 1) {
+                showToast(t('users.lastAdmin'), 'error');
+                return;
+            }
+            user.role = 'customer';
+        } else {
+            user.role = 'admin';
+        }
+
+        syncChange(['users'], () => dataSource.users.save(user), t('users.roleFailed'));
+        renderAdminUserList();
+        renderAuthState();
+        showToast(t(user.role === 'admin' ? 'users.nowAdmin' : 'users.nowCustomer', { name: user.name }));
+
+        // Quem rebaixou a si mesmo perde o acesso ao painel na hora
+        if (!isAdmin()) {
+            navigateTo('/');
+        }
+    }
+
+    /**
+     * Padroniza um email para comparação (sem espaços e em minúsculas).
+     * @param {string} email - O email digitado.
+     * @returns {string} O email padronizado.
+     */
+    function normalizeEmail(email) {
+        return email.trim().toLowerCase();
+    }
+
+    /**
+     * Converte bytes em texto hexadecimal (ex: [255, 1] -> "ff01").
+     * @param {ArrayBuffer|Uint8Array} buffer - Os bytes.
+     * @returns {string} O texto em hexadecimal.
+     */
+    function bufferToHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Gera um "sal" aleatório para o hash da senha.
+     * @returns {string} 16 bytes aleatórios em hexadecimal.
+     */
+    function generateSalt() {
+        return bufferToHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    /**
+     * Calcula o hash de uma senha com PBKDF2-SHA-256 (Web Crypto).
+     * @param {string} password - A senha em texto puro.
+     * @param {string} salt - O "sal" da conta, em hexadecimal.
+     * @returns {Promise<string>} O hash em hexadecimal.
+     */
+    async function hashPassword(password, salt) {
+        const encoder = new TextEncoder();
+        const key = await window.crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await window.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_HASH_ITERATIONS },
+            key,
+            256
+        );
+        return bufferToHex(bits);
+    }
+
+    /**
+     * Verifica se o navegador oferece a Web Crypto (ela não existe em páginas
+     * abertas por HTTP sem ser 'localhost'). Mostra um erro se não houver.
+     * @returns {boolean} true se for possível calcular hashes de senha.
+     */
+    function isCryptoAvailable() {
+        if (window.crypto && window.crypto.subtle) return true;
+        showToast(t('auth.cryptoUnavailable'), 'error');
+        return false;
+    }
+
+    /**
+     * Converte a conta antiga 'techshop_user' (uma única conta, com senha em
+     * texto puro) para o cadastro atual, com a senha em hash. Uma conta antiga
+     * sem email ou sem senha não tem como ser usada, e é apagada.
+     */
+    async function migrateLegacyUser() {
+        const legacyUser = readStoredValue('techshop_user');
+        if (!legacyUser) return;
+
+        if (typeof legacyUser.email !== 'string' || typeof legacyUser.pass !== 'string') {
+            console.warn('[armazenamento] A conta antiga "techshop_user" não tem email ou senha e foi descartada.');
+            removeStoredValue('techshop_user');
+            return;
+        }
+
+        const email = normalizeEmail(legacyUser.email);
+
+        // Só importa se o email ainda não tiver uma conta no cadastro novo
+        if (!state.users.some(user => user.email === email)) {
+            const salt = generateSalt();
+            const user = {
+                id: Date.now().toString(),
+                name: typeof legacyUser.name === 'string' ? legacyUser.name : email,
+                email,
+                role: getRoleForNewUser(),
+                salt,
+                passwordHash: await hashPassword(legacyUser.pass, salt),
+                createdAt: new Date().toISOString(),
+            };
+            state.users.push(user);
+            // Se não deu para salvar a conta nova, mantém a antiga para tentar de novo depois
+            if (!await syncChange(['users'], () => dataSource.users.save(user), t('auth.legacyFailed'))) return;
+        }
+
+        // Apaga a senha em texto puro
+        removeStoredValue('techshop_user');
+    }
+
+    /**
+     * Inicia a sessão de uma conta e troca o carrinho do visitante pelo dela.
+     * Os itens que o visitante já tinha no carrinho são somados ao carrinho da conta.
+     * Trocando de uma conta para outra, nada é somado: o carrinho e os favoritos
+     * da conta anterior continuam salvos com ela.
+     * @param {object} user - A conta que acabou de entrar.
+     */
+    async function startSession(user) {
+        const wasGuest = getCartOwner() === 'guest';
+        const guestCart = wasGuest ? state.cart : [];
+        const guestWishlist = wasGuest ? state.wishlist : [];
+        const guestShippingChoice = wasGuest ? state.shippingChoice : null;
+        if (!wasGuest) state.cartNotices = []; // Os avisos eram sobre o carrinho da outra conta
+
+        state.session = { userId: user.id, createdAt: new Date().toISOString() };
+        saveSessionToLocalStorage();
+        await loadCart();
+        await loadWishlist();
+
+        // Junta o carrinho de visitante ao carrinho da conta
+        guestCart.forEach(guestItem => {
+            const cartItem = findCartItem(getCartItemKey(guestItem));
+            if (cartItem) {
+                cartItem.quantity += guestItem.quantity;
+            } else {
+                state.cart.push(guestItem);
+            }
+        });
+        // O frete calculado como visitante vale para a conta, se ela ainda não tinha um
+        if (!state.shippingChoice) state.shippingChoice = guestShippingChoice;
+        // O carrinho de visitante foi "entregue" à conta
+        if (wasGuest) dataSource.cart.remove('guest').catch(error => console.warn('[dados] Falha ao apagar o carrinho de visitante:', error));
+        reconcileCart(); // O carrinho da conta pode ter ficado desatualizado desde a última visita
+        saveCart();
+
+        // Os favoritos de visitante também passam para a conta
+        const newFavorites = guestWishlist.filter(guestItem => !state.wishlist.some(item => item.id === guestItem.id));
+        if (newFavorites.length > 0) {
+            state.wishlist.push(...newFavorites);
+            saveWishlist();
+        }
+        if (wasGuest && guestWishlist.length > 0) {
+            dataSource.wishlist.remove('guest').catch(error => console.warn('[dados] Falha ao apagar os favoritos de visitante:', error));
+        }
+        reconcileWishlist();
+
+        renderAuthState();
+        renderCart();
+        refreshWishlist();
+        renderOrders();
+    }
+
+    /**
+     * Atualiza o cabeçalho conforme a sessão: mostra "Olá, Fulano" e "Sair"
+     * para quem está logado, ou o link "Login/Cadastro" para visitantes.
+     */
+    function renderAuthState() {
+        const user = getCurrentUser();
+
+        DOMElements.loginLink.classList.toggle('hidden', Boolean(user));
+        DOMElements.userGreeting.classList.toggle('hidden', !user);
+        DOMElements.logoutButton.classList.toggle('hidden', !user);
+        DOMElements.userGreeting.textContent = user ? t('nav.greeting', { name: user.name }) : '';
+
+        // O link "Admin" só aparece para administradores
+        DOMElements.adminLink.classList.toggle('hidden', !isAdmin());
+        renderAdminUserList();
+        // O formulário de avaliação só aparece para quem está logado
+        renderProductReviews();
+    }
+
     /** Lida com o envio do formulário de Login */
-    function handleLogin(e) {
+    async function handleLogin(e) {
         e.preventDefault();
-        const email = document.getElementById('login-email').value;
+        const email = normalizeEmail(document.getElementById('login-email').value);
         const pass = document.getElementById('login-pass').value;
 
-        // Tenta carregar o usuário salvo no LocalStorage
-        const storedUser = localStorage.getItem('techshop_user');
-        
-        if (storedUser) {
-            const user = JSON.parse(storedUser); // Converte o texto para objeto
-            
-            // Verifica se o email e a senha batem
-            if (user.email === email && user.pass === pass) {
-                showToast(`Bem-vindo de volta, ${user.name}!`);
-                showPage('page-home'); // Redireciona para a Home
-                DOMElements.loginForm.reset(); // Limpa o formulário
-            } else {
-                showToast('Email ou senha incorretos.', true);
-            }
-        } else {
-            // Se 'storedUser' é nulo, ninguém se cadastrou ainda
-            showToast('Nenhum usuário cadastrado.', true);
+        if (!isCryptoAvailable()) return;
+        await migrateLegacyUser();
+
+        // Procura a conta pelo email e confere o hash da senha digitada
+        const user = state.users.find(u => u.email === email);
+        const passwordHash = user ? await hashPassword(pass, user.salt) : null;
+
+        if (!user || passwordHash !== user.passwordHash) {
+            // A mesma mensagem nos dois casos, para não revelar quais emails têm conta
+            showToast(t('auth.invalidCredentials'), 'error');
+            return;
         }
+
+        await startSession(user);
+        showToast(t('auth.welcomeBack', { name: user.name }));
+        navigateTo('/'); // Redireciona para a Home
+        DOMElements.loginForm.reset(); // Limpa o formulário
     }
 
     /** Lida com o envio do formulário de Registro */
-    function handleRegister(e) {
+    async function handleRegister(e) {
         e.preventDefault();
-        const name = document.getElementById('reg-name').value;
-        const email = document.getElementById('reg-email').value;
+        const name = document.getElementById('reg-name').value.trim();
+        const email = normalizeEmail(document.getElementById('reg-email').value);
         const pass = document.getElementById('reg-pass').value;
 
-        // Cria o objeto do novo usuário
-        const newUser = { name, email, pass };
-        
-        // Salva o usuário no LocalStorage (sobrescrevendo qualquer usuário anterior)
-        localStorage.setItem('techshop_user', JSON.stringify(newUser));
+        if (!name || !email) {
+            showToast(t('auth.fillAll'), 'error');
+            return;
+        }
+        if (pass.length < MIN_PASSWORD_LENGTH) {
+            showToast(t('auth.passwordTooShort', { min: MIN_PASSWORD_LENGTH }), 'error');
+            return;
+        }
+
+        if (!isCryptoAvailable()) return;
+        await migrateLegacyUser();
+
+        // Cada email só pode ter uma conta
+        if (state.users.some(user => user.email === email)) {
+            showToast(t('auth.emailTaken'), 'error');
+            return;
+        }
+
+        // Cria o objeto do novo usuário (sem a senha, apenas o sal e o hash)
+        const salt = generateSalt();
+        const newUser = {
+            id: Date.now().toString(), // ID único baseado no timestamp atual
+            name,
+            email,
+            role: getRoleForNewUser(),
+            salt,
+            passwordHash: await hashPassword(pass, salt),
+            createdAt: new Date().toISOString(),
+        };
+
+        state.users.push(newUser);
+        const saved = await syncChange(['users'], () => dataSource.users.save(newUser), t('auth.registerFailed'));
+        if (!saved) return;
         
-        showToast('Cadastro realizado com sucesso! Faça o login.');
+        showToast(newUser.role === 'admin'
+            ? t('auth.registeredAdmin')
+            : t('auth.registered'));
         DOMElements.registerForm.reset();
         
         // Não redireciona, o usuário agora pode fazer login
-        // showPage('page-login'); // Esta linha já estava comentada, mas é uma opção
+        // navigateTo('/login'); // Esta linha já estava comentada, mas é uma opção
+    }
+
+    /** Encerra a sessão e volta ao carrinho de visitante */
+    async function handleLogout() {
+        const user = getCurrentUser();
+
+        state.session = null;
+        saveSessionToLocalStorage();
+        await loadCart(); // Carrega o carrinho de visitante (o da conta fica salvo)
+        await loadWishlist();
+        state.cartNotices = []; // Os avisos eram sobre o carrinho da conta
+        reconcileCart();
+        reconcileWishlist();
+
+        renderAuthState();
+        renderCart();
+        refreshWishlist();
+        renderOrders();
+        navigateTo('/');
+        showToast(t('auth.goodbye', { name: user ? user.name : t('auth.guest') }));
     }
 
         // ---------------------------------------------------------------------
@@ -562,18 +7080,35 @@ document.addEventListener('DOMContentLoaded', () => {
      * A função 'init' (iniciar) é o ponto de partida. Ela organiza o que 
      * deve acontecer assim que a página carrega.
      */
-    function init() {
+    async function init() {
         
-        // 1. Carrega dados salvos do LocalStorage (carrinho, produtos)
-        loadStateFromLocalStorage();
+        // 1. Carrega os dados (do navegador ou da API, conforme o data source)
+        await loadState();
+        // O catálogo pode ter mudado desde a última visita: confere o carrinho e os favoritos
+        reconcileCart();
+        reconcileWishlist();
         
         // 2. "Desenha" os produtos, o carrinho e a lista de admin na tela
-        renderProductGrid();
-        renderCart();
-        renderAdminProductList();
+        renderFilterControls();
+        renderAll();
+        renderCurrencySettings();
+        renderShippingTableEditor();
         
         // 3. Configura todos os "ouvintes de evento" (cliques em botões, envios de formulário, etc.)
         setupEventListeners();
+        setupTabSync(); // Mantém esta aba em dia com as alterações feitas em outras abas
+
+        // 4. Mostra a página indicada na URL (ex: um link direto para um produto)
+        handleRoute();
+
+        // 5. Prepara o funcionamento sem internet (e o aviso de versão nova da loja)
+        renderConnectionStatus();
+        registerServiceWorker();
+
+        // Avisa se algum dado salvo estava corrompido e precisou ser descartado
+        if (storageRecoveries.length > 0) {
+            showToast(t('storage.recovered'), 'info');
+        }
     }
 
 
@@ -0,0 +1,139 @@
+/*
+ * Service worker da loja: deixa a DEXTECH abrir e funcionar sem internet.
+ *
+ * - Na instalação, guarda o "esqueleto" da loja (HTML, scripts, CSS, o
+ *   Tailwind da CDN e o catálogo inicial) em um cache com a versão no nome.
+ * - As fotos dos produtos são guardadas na primeira vez que aparecem.
+ * - Produtos, carrinho e favoritos já ficam no localStorage, que funciona offline.
+ *   Os pedidos à API REST (quando configurada) não passam pelo cache.
+ *
+ * O esqueleto é sempre respondido pelo cache da versão instalada, então a página,
+ * os scripts e as mensagens de uma visita são sempre da mesma publicação.
+ * Ao publicar uma versão nova da loja (qualquer arquivo de SHELL_FILES), mude
+ * SHELL_VERSION: o navegador instala o service worker novo, que baixa o esqueleto
+ * novo inteiro e fica esperando até o cliente clicar em "Atualizar"
+ * (ver 'MODO OFFLINE E ATUALIZAÇÕES' em script.js).
+ */
+
+/** Versão do esqueleto da loja (mude a cada publicação) */
+const SHELL_VERSION = 'v1';
+
+/** Caches usados: o do esqueleto (um por versão) e o das fotos dos produtos */
+const SHELL_CACHE_PREFIX = 'techshop-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${SHELL_VERSION}`;
+const IMAGE_CACHE = 'techshop-images';
+
+/**
+ * Quantas fotos guardar (as mais antigas saem primeiro). Fotos de outros sites
+ * são respostas "opacas", que o navegador conta como bem maiores do que são.
+ */
+const MAX_CACHED_IMAGES = 60;
+
+/** Arquivos da própria loja guardados na instalação (caminhos relativos a este arquivo) */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'messages.js',
+    'config.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'data/produtos.json',
+];
+
+/** A página da loja: as rotas ficam no "#" da URL, então qualquer endereço abre o index.html */
+const PAGE_URL = new URL('index.html', self.location.href).href;
+
+/** Arquivos de outros sites usados pela página (o Tailwind vem da CDN) */
+const CDN_FILES = ['https://cdn.tailwindcss.com'];
+
+/** Endereços completos de tudo que está no cache do esqueleto */
+const SHELL_URLS = new Set([
+    ...SHELL_FILES.map(file => new URL(file, self.location.href).href),
+    ...CDN_FILES.map(url => new URL(url).href),
+]);
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // 'reload' passa por cima do cache HTTP: o esqueleto novo vem inteiro do servidor
+        await cache.addAll(SHELL_FILES.map(file => new Request(new URL(file, self.location.href), { cache: 'reload' })));
+        // Scripts de outro site sem CORS só podem ser guardados como resposta "opaca"
+        await Promise.all(CDN_FILES.map(async url => cache.put(url, await fetch(url, { mode: 'no-cors' }))));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        // Apaga o esqueleto das versões anteriores
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        // Na primeira instalação, passa a atender a página já aberta (as fotos começam a ser guardadas)
+        await self.clients.claim();
+    })());
+});
+
+// A página pede para a versão nova assumir quando o cliente clica em "Atualizar"
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(respondFromShell(PAGE_URL));
+    } else if (request.destination === 'image') {
+        event.respondWith(respondWithImage(event));
+    } else if (SHELL_URLS.has(request.url)) {
+        event.respondWith(respondFromShell(request));
+    }
+    // O resto (ex: a API REST) vai direto para a rede
+});
+
+/**
+ * Responde um arquivo do esqueleto com a cópia da versão instalada (ou pela rede,
+ * se ela faltar). Versões novas só chegam pelo service worker novo (ver o início do arquivo).
+ * @param {Request|string} request - O arquivo (na abertura da página, o index.html).
+ * @returns {Promise<Response>} O arquivo.
+ */
+async function respondFromShell(request) {
+    return (await caches.match(request, { cacheName: SHELL_CACHE })) || fetch(request);
+}
+
+/**
+ * Responde uma foto com a cópia guardada. Se ainda não houver cópia, busca na
+ * rede e guarda para a próxima vez. Offline e sem cópia, a foto falha e a
+ * página mostra a imagem padrão ("Sem imagem").
+ * @param {FetchEvent} event - O evento do pedido da foto.
+ * @returns {Promise<Response>} A foto.
+ */
+async function respondWithImage(event) {
+    const { request } = event;
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Fotos de outros sites chegam "opacas" (sem status): guardadas mesmo assim.
+    // Guardar fica em segundo plano: um erro do cache (ex: sem espaço) não impede a foto de aparecer
+    if (response.ok || response.type === 'opaque') {
+        event.waitUntil(cache.put(request, response.clone())
+            .then(() => trimImageCache(cache))
+            .catch(error => console.warn('[pwa] Não foi possível guardar a foto:', error)));
+    }
+    return response;
+}
+
+/**
+ * Apaga as fotos mais antigas do cache quando ele passa de MAX_CACHED_IMAGES.
+ * @param {Cache} cache - O cache das fotos.
+ */
+async function trimImageCache(cache) {
+    const keys = await cache.keys(); // Na ordem em que foram guardadas
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).map(key => cache.delete(key)));
+}